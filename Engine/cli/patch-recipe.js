@@ -3,16 +3,18 @@
  * patch-recipe.js - Apply a quick fix to a recipe
  * 
  * Usage:
- *   bun Engine/cli/patch-recipe.js <recipe.json> --step <n> --field <name> --value <new-value>
+ *   bun Engine/cli/patch-recipe.js <recipe.json> --step <n|id> --field <name> --value <new-value>
  *   bun Engine/cli/patch-recipe.js <recipe.json> --show
  * 
  * Examples:
  *   bun Engine/cli/patch-recipe.js generated/funko_com.json --show
  *   bun Engine/cli/patch-recipe.js generated/funko_com.json --step 1 --field locator --value ".col-6:nth-child(\$i) .pdp-link"
+ *   bun Engine/cli/patch-recipe.js movies/tmdb.json --step search_request --field url --value "https://..."
  */
 
 import { readFile, writeFile } from 'fs/promises';
 import minimist from 'minimist';
+import { findStepById } from '../src/recipeLoader.js';
 
 const args = minimist(process.argv.slice(2), {
   string: ['field', 'f', 'value', 'v', 'type', 't'],
@@ -23,7 +25,8 @@ const args = minimist(process.argv.slice(2), {
 });
 
 const recipePath = args._[0];
-const stepIndex = args.step;
+// A number is an index into the step list; anything else is a step id
+const stepRef = args.step;
 const field = args.field;
 const newValue = args.value;
 const stepType = args.type;
@@ -40,7 +43,7 @@ Usage:
 
 Options:
   --show                 Show recipe steps without modifying
-  --step, -s <n>         Step index to modify (0-based)
+  --step, -s <n|id>      Step to modify: index (0-based) or step id (also finds steps nested in blocks)
   --field, -f <name>     Field to modify (e.g., locator, url, attribute_name)
   --value, -v <new>      New value for the field
   --type, -t <type>      Step type: autocomplete_steps or url_steps (default: autocomplete_steps)
@@ -55,6 +58,9 @@ Examples:
   # Patch a locator in autocomplete step 1
   bun Engine/cli/patch-recipe.js generated/funko_com.json -s 1 -f locator -v ".col-6:nth-child(\\$i) .pdp-link"
 
+  # Patch a step by id
+  bun Engine/cli/patch-recipe.js movies/tmdb.json -s search_request -f url -v "https://api.themoviedb.org/3/search/movie?query=\$INPUT"
+
   # Patch url_steps instead
   bun Engine/cli/patch-recipe.js generated/funko_com.json -s 0 -f url -v "https://new.com" --type url_steps
 
@@ -64,6 +70,23 @@ Examples:
   process.exit(0);
 }
 
+// Lists steps with their index and id; block steps list their nested steps indented
+function printSteps(steps, indent, prefix = '') {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const cmd = step.command;
+    const loc = step.locator || step.url || '';
+    const id = step.id ? ` #${step.id}` : '';
+    console.log(`${indent}[${prefix}${i}]${id} ${cmd}: ${loc.slice(0, 60)}${loc.length > 60 ? '...' : ''}`);
+    if (step.output?.name) {
+      console.log(`${indent}    → ${step.output.name}`);
+    }
+    if (Array.isArray(step.steps)) {
+      printSteps(step.steps, `${indent}    `, `${prefix}${i}.`);
+    }
+  }
+}
+
 async function main() {
   let recipe;
   try {
@@ -77,22 +100,16 @@ async function main() {
   // Show mode
   if (showOnly) {
     console.log(`\n📄 Recipe: ${recipePath}\n`);
+    if (recipe.extends) {
+      console.log(`🔗 Extends: ${recipe.extends} (steps below are overrides)\n`);
+    }
     
     for (const type of ['autocomplete_steps', 'url_steps']) {
       const steps = recipe[type];
       if (!steps || steps.length === 0) continue;
       
       console.log(`📋 ${type}:`);
-      for (let i = 0; i < steps.length; i++) {
-        const step = steps[i];
-        const cmd = step.command;
-        const loc = step.locator || step.url || '';
-        const desc = step.description || '';
-        console.log(`   [${i}] ${cmd}: ${loc.slice(0, 60)}${loc.length > 60 ? '...' : ''}`);
-        if (step.output?.name) {
-          console.log(`       → ${step.output.name}`);
-        }
-      }
+      printSteps(steps, '   ');
       console.log('');
     }
     
@@ -103,7 +120,7 @@ async function main() {
   }
   
   // Patch mode
-  if (stepIndex === undefined || !field || newValue === undefined) {
+  if (stepRef === undefined || !field || newValue === undefined) {
     console.error('Error: --step, --field, and --value are required for patching');
     console.error('Use --show to see current steps, or --help for usage');
     process.exit(1);
@@ -115,16 +132,29 @@ async function main() {
     process.exit(1);
   }
   
-  if (stepIndex < 0 || stepIndex >= steps.length) {
-    console.error(`Error: Step index ${stepIndex} out of range (0-${steps.length - 1})`);
-    process.exit(1);
+  let step;
+  let stepIndex = stepRef;
+  if (typeof stepRef === 'number') {
+    if (stepRef < 0 || stepRef >= steps.length) {
+      console.error(`Error: Step index ${stepRef} out of range (0-${steps.length - 1})`);
+      process.exit(1);
+    }
+    step = steps[stepRef];
+  } else {
+    const found = findStepById(steps, String(stepRef));
+    if (!found) {
+      console.error(`Error: No step with id "${stepRef}" in ${stepType}`);
+      if (recipe.extends) {
+        console.error(`It may be defined in the base recipe (extends: ${recipe.extends})`);
+      }
+      process.exit(1);
+    }
+    ({ step, index: stepIndex } = found);
   }
-  
-  const step = steps[stepIndex];
   const oldValue = step[field];
   
   if (oldValue === undefined) {
-    console.error(`Error: Step ${stepIndex} has no field "${field}"`);
+    console.error(`Error: Step ${stepRef} has no field "${field}"`);
     console.error(`Available fields: ${Object.keys(step).join(', ')}`);
     process.exit(1);
   }
@@ -136,6 +166,7 @@ async function main() {
     recipePath,
     stepType,
     stepIndex,
+    stepId: step.id,
     field,
     oldValue,
     newValue,
@@ -146,7 +177,7 @@ async function main() {
     console.log(JSON.stringify(result, null, 2));
   } else {
     console.log(`\n${dryRun ? '🔍 DRY RUN - ' : ''}📝 Patching ${recipePath}\n`);
-    console.log(`   Step: ${stepType}[${stepIndex}]`);
+    console.log(`   Step: ${stepType}[${stepRef}]`);
     console.log(`   Field: ${field}`);
     console.log(`   Old: ${oldValue}`);
     console.log(`   New: ${newValue}`);
@@ -1,6 +1,6 @@
 #!/usr/bin/env bun
 /**
- * test-selector.js - Test a CSS selector on a page
+ * test-selector.js - Test a CSS, xpath: or text: locator on a page
  * 
  * Usage:
  *   bun Engine/cli/test-selector.js <url> <selector> [--loop] [--attr <name>] [--json]
@@ -9,10 +9,12 @@
  *   bun Engine/cli/test-selector.js "https://funko.com/search?q=test" ".product-tile"
  *   bun Engine/cli/test-selector.js "https://funko.com/search?q=test" ".col-6:nth-child(\$i) .pdp-link" --loop
  *   bun Engine/cli/test-selector.js "https://example.com" "meta[property='og:title']" --attr content
+ *   bun Engine/cli/test-selector.js "https://example.com/book" "xpath://dt[normalize-space()='Pages:']/following-sibling::dd[1]"
  */
 
 import puppeteer from 'puppeteer';
 import minimist from 'minimist';
+import { toPuppeteerSelector } from '../src/locators.js';
 
 const args = minimist(process.argv.slice(2), {
   string: ['attr', 'a'],
@@ -31,7 +33,7 @@ const maxItems = args.max;
 
 if (args.help || !url || !selector) {
   console.log(`
-test-selector - Test a CSS selector on a page
+test-selector - Test a CSS, xpath: or text: locator on a page
 
 Usage:
   bun Engine/cli/test-selector.js <url> <selector> [options]
@@ -52,34 +54,40 @@ Examples:
 
   # Extract an attribute
   bun Engine/cli/test-selector.js "https://example.com" "meta[property='og:image']" --attr content
+
+  # XPath (value next to a label) and text match
+  bun Engine/cli/test-selector.js "https://example.com/book" "xpath://dt[normalize-space()='Pages:']/following-sibling::dd[1]"
+  bun Engine/cli/test-selector.js "https://example.com/book" "text:Pages:"
 `);
   process.exit(0);
 }
 
+// Reads tag/text/attribute from a matched node. Runs in the page; XPath
+// locators may match text or attribute nodes, which have no tagName.
+function describeNode(node, attr) {
+  const text = node.textContent?.trim().slice(0, 100);
+  const value = attr && node.getAttribute ? node.getAttribute(attr) : text;
+  return {
+    tag: node.tagName ? node.tagName.toLowerCase() : node.nodeName.toLowerCase(),
+    text: text?.slice(0, 60),
+    value: value?.slice(0, 200),
+    hasContent: !!value && value.length > 0
+  };
+}
+
 async function testSelector(page, sel, attribute) {
-  return await page.evaluate((selector, attr) => {
-    const elements = document.querySelectorAll(selector);
-    const results = [];
-    
-    for (const el of elements) {
-      const text = el.textContent?.trim().slice(0, 100);
-      const value = attr ? el.getAttribute(attr) : text;
-      const tagName = el.tagName.toLowerCase();
-      
-      results.push({
-        tag: tagName,
-        text: text?.slice(0, 60),
-        value: value?.slice(0, 200),
-        hasContent: !!value && value.length > 0
-      });
-    }
-    
-    return {
-      selector,
-      count: elements.length,
-      results: results.slice(0, 20)
-    };
-  }, sel, attribute);
+  const handles = await page.$$(toPuppeteerSelector(sel));
+  const results = [];
+
+  for (const handle of handles.slice(0, 20)) {
+    results.push(await handle.evaluate(describeNode, attribute));
+  }
+
+  return {
+    selector: sel,
+    count: handles.length,
+    results
+  };
 }
 
 async function testLoopPattern(page, selectorPattern, attribute, max) {
@@ -87,19 +95,8 @@ async function testLoopPattern(page, selectorPattern, attribute, max) {
   
   for (let i = 1; i <= max; i++) {
     const sel = selectorPattern.replace(/\$i/g, String(i));
-    const result = await page.evaluate((selector, attr) => {
-      const el = document.querySelector(selector);
-      if (!el) return null;
-      
-      const text = el.textContent?.trim();
-      const value = attr ? el.getAttribute(attr) : text;
-      
-      return {
-        text: text?.slice(0, 60),
-        value: value?.slice(0, 200),
-        hasContent: !!value && value.length > 0
-      };
-    }, sel, attribute);
+    const handle = await page.$(toPuppeteerSelector(sel));
+    const result = handle ? await handle.evaluate(describeNode, attribute) : null;
     
     results.push({
       index: i,
@@ -2,32 +2,37 @@ import { file } from 'bun';
 import { dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import { readFile } from 'fs/promises';
 import { RecipeEngine } from './src/recipe.js';
 import { Log } from './src/logger.js';
 import { validateRecipeFields } from './src/fieldValidator.js';
+import { getStepOutputs } from './src/outputs.js';
+import { loadRecipeFile } from './src/recipeLoader.js';
 
 class ArgumentParser {
   async parse() {
     const args = Bun.argv.slice(2);
     const parsedArgs = {};
     let isDebug = false;
+    let isResolved = false;
 
     for (let i = 0; i < args.length; i++) {
       if (args[i] === '--debug') {
         isDebug = true;
+      } else if (args[i] === '--resolved') {
+        isResolved = true;
       } else if (args[i].startsWith('--')) {
         parsedArgs[args[i].replace('--', '')] = args[i + 1];
         i++;
       }
     }
 
-    return { parsedArgs, isDebug };
+    return { parsedArgs, isDebug, isResolved };
   }
 
-  validate(parsedArgs) {
-    if (!parsedArgs.recipe || !parsedArgs.type) {
+  validate(parsedArgs, isResolved = false) {
+    if (!parsedArgs.recipe || (!parsedArgs.type && !isResolved)) {
       Log.error('Usage: bun run engine.js --recipe <recipe_path> --type <step_type> [--input <input>]');
+      Log.error('       bun run engine.js --recipe <recipe_path> --resolved');
       process.exit(1);
     }
   }
@@ -71,8 +76,13 @@ class Engine {
   }
 
   async loadRecipe(recipePath) {
-    const recipeContent = await readFile(recipePath, 'utf-8');
-    return JSON.parse(recipeContent);
+    // Merge `extends` bases and expand `include` steps before anything reads the steps
+    return loadRecipeFile(recipePath);
+  }
+
+  async printResolvedRecipe(recipePath) {
+    const recipe = await this.loadRecipe(recipePath);
+    console.log(JSON.stringify(recipe, null, 2));
   }
 
   getAdditionalOptions(parsedArgs) {
@@ -98,9 +108,9 @@ class Engine {
       return visibleFields;
     }
 
-    for (const step of recipe.autocomplete_steps) {
-      if (!step.output?.name || !step.output.show) continue;
-      visibleFields.add(step.output.name.replace(/\$[a-zA-Z]+/g, ''));
+    for (const output of recipe.autocomplete_steps.flatMap(getStepOutputs)) {
+      if (!output.show) continue;
+      visibleFields.add(output.name.replace(/\$[a-zA-Z]+/g, ''));
     }
 
     return visibleFields;
@@ -137,9 +147,9 @@ class Engine {
     const filteredResult = {};
 
     if (recipe.url_steps && Array.isArray(recipe.url_steps)) {
-      for (const step of recipe.url_steps) {
-        if (step.output && step.output.name && step.output.show) {
-          const outputName = step.output.name;
+      for (const output of recipe.url_steps.flatMap(getStepOutputs)) {
+        if (output.show) {
+          const outputName = output.name;
           const fieldName = outputName.replace(/\$[a-zA-Z]+/g, '');
           if (ignoredFields.has(fieldName)) continue;
           if (result.hasOwnProperty(outputName)) {
@@ -186,6 +196,11 @@ class Engine {
         Log.error('Unknown command type:', commandType);
       }
 
+      const stepErrors = engine.getStepErrors();
+      if (finalResult && stepErrors.length > 0) {
+        finalResult.errors = stepErrors;
+      }
+
       console.log(this.jsonColorizer.colorize(finalResult));
     } finally {
       await engine.close();
@@ -203,15 +218,19 @@ class Engine {
   }
 
   async run() {
-    const { parsedArgs, isDebug } = await this.argumentParser.parse();
+    const { parsedArgs, isDebug, isResolved } = await this.argumentParser.parse();
     Log.isDebug = isDebug;
 
-    this.argumentParser.validate(parsedArgs);
+    this.argumentParser.validate(parsedArgs, isResolved);
 
     const { recipe: recipePath, type: stepType, input = '' } = parsedArgs;
 
     try {
-      await this.executeRecipe(recipePath, stepType, input);
+      if (isResolved) {
+        await this.printResolvedRecipe(recipePath);
+      } else {
+        await this.executeRecipe(recipePath, stepType, input);
+      }
     } catch (error) {
       this.handleError(error);
     }
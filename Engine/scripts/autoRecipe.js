@@ -47,6 +47,9 @@ import { validateSemanticMatch, validateMultiQuery } from './autoRecipe/validati
 // API tools for building api_request-based recipes
 import { normalizeApiDescriptor, buildApiSteps } from './autoRecipe/apiTools.js';
 
+// Engine locator syntax (CSS, xpath:, text:)
+import { parseLocator, queryAllLocator } from '../src/locators.js';
+
 /**
  * Prompt user for input via readline
  */
@@ -110,13 +113,29 @@ class Logger {
 }
 
 /**
- * Validate CSS selector syntax - checks for invalid pseudo-classes
+ * Validate locator syntax - checks for invalid pseudo-classes in CSS selectors.
+ * `xpath:` and `text:` locators are the sanctioned way to match by text.
+ * A fallback array is valid when every alternative is.
  * Returns { valid: boolean, error?: string, suggestion?: string }
  */
 function validateSelector(selector) {
+  if (Array.isArray(selector) && selector.length > 0) {
+    for (let i = 0; i < selector.length; i++) {
+      const validation = validateSelector(selector[i]);
+      if (!validation.valid) {
+        return { ...validation, error: `Alternative ${i + 1}/${selector.length}: ${validation.error}` };
+      }
+    }
+    return { valid: true };
+  }
   if (!selector || typeof selector !== 'string') {
     return { valid: false, error: 'Selector is empty or not a string' };
   }
+
+  const { type, value } = parseLocator(selector);
+  if (type !== 'css') {
+    return value ? { valid: true } : { valid: false, error: `Empty ${type}: locator` };
+  }
   
   // Check for jQuery-specific pseudo-selectors that are not valid CSS
   const jQueryPseudos = [':contains', ':has', ':visible', ':hidden', ':selected', ':checked', ':parent', ':file', ':input', ':password', ':radio', ':submit', ':text', ':header', ':animated', ':eq', ':gt', ':lt', ':even', ':odd', ':first', ':last'];
@@ -127,7 +146,7 @@ function validateSelector(selector) {
       return { 
         valid: false, 
         error: `Invalid pseudo-selector '${pseudo}' (jQuery-specific, not standard CSS)`,
-        suggestion: suggestion || 'Use standard CSS selectors or XPath'
+        suggestion: suggestion || "Use standard CSS selectors, or an xpath: / text: locator to match by text"
       };
     }
   }
@@ -150,6 +169,20 @@ function validateSelector(selector) {
   return { valid: true };
 }
 
+/**
+ * Summarizes a matched node for debug samples. Runs in the page; XPath
+ * locators may match text nodes, which have no tagName or children.
+ */
+function describeSampleElement(el) {
+  return {
+    tag: (el.tagName || el.nodeName).toLowerCase(),
+    text: el.textContent?.trim().slice(0, 100),
+    href: el.href || el.querySelector?.('a')?.href,
+    src: el.src || el.querySelector?.('img')?.src,
+    classes: el.className
+  };
+}
+
 class EvidenceCollector {
   constructor(logger) {
     this.logger = logger;
@@ -1702,7 +1735,7 @@ class EvidenceCollector {
         try {
           if (step.locator) {
             // Check if selector has loop variables ($i, $j, etc.)
-            const hasLoopVar = /\$[a-z]/i.test(step.locator);
+            const hasLoopVar = [].concat(step.locator).some(locator => /\$[a-z]/i.test(locator));
             const loopConfig = step.config?.loop;
             
             if (hasLoopVar && loopConfig) {
@@ -1713,7 +1746,10 @@ class EvidenceCollector {
               const samples = [];
               
               for (let idx = loopConfig.from; idx <= Math.min(loopConfig.from + 2, loopConfig.to); idx++) {
-                const testSelector = step.locator.replace(new RegExp(`\\$${loopConfig.index}`, 'g'), idx);
+                const loopVariable = new RegExp(`\\$${loopConfig.index}`, 'g');
+                const testSelector = Array.isArray(step.locator)
+                  ? step.locator.map(locator => locator.replace(loopVariable, idx))
+                  : step.locator.replace(loopVariable, idx);
                 
                 // Validate the instantiated selector
                 const validation = validateSelector(testSelector);
@@ -1739,21 +1775,11 @@ class EvidenceCollector {
                 }
                 
                 try {
-                  const elements = await page.$$(testSelector);
+                  const { elements } = await queryAllLocator(page, testSelector);
                   totalFound += elements.length;
                   
                   if (elements.length > 0 && samples.length < 3) {
-                    const sample = await page.evaluate((sel) => {
-                      const el = document.querySelector(sel);
-                      if (!el) return null;
-                      return {
-                        tag: el.tagName.toLowerCase(),
-                        text: el.textContent?.trim().slice(0, 100),
-                        href: el.href || el.querySelector('a')?.href,
-                        src: el.src || el.querySelector('img')?.src,
-                        classes: el.className
-                      };
-                    }, testSelector);
+                    const sample = await elements[0].evaluate(describeSampleElement);
                     if (sample) samples.push({ iteration: idx, ...sample });
                   }
                 } catch (e) {
@@ -1820,7 +1846,7 @@ class EvidenceCollector {
                 }
               } else {
                 // Test if the selector finds anything
-                const elements = await page.$$(step.locator);
+                const { elements } = await queryAllLocator(page, step.locator);
                 stepResult.found = elements.length;
                 
                 if (elements.length > 0) {
@@ -1828,15 +1854,9 @@ class EvidenceCollector {
                   debugResults.workingSelectors.push({ index: i, locator: step.locator, found: elements.length });
                   
                   // Get sample content from found elements
-                  stepResult.samples = await page.evaluate((selector) => {
-                    return Array.from(document.querySelectorAll(selector)).slice(0, 3).map(el => ({
-                      tag: el.tagName.toLowerCase(),
-                      text: el.textContent?.trim().slice(0, 100),
-                      href: el.href || el.querySelector('a')?.href,
-                      src: el.src || el.querySelector('img')?.src,
-                      classes: el.className
-                    }));
-                  }, step.locator);
+                  stepResult.samples = await Promise.all(
+                    elements.slice(0, 3).map(element => element.evaluate(describeSampleElement))
+                  );
                 } else {
                   stepResult.status = 'failed';
                   debugResults.failedSelectors.push({ index: i, locator: step.locator, command: step.command });
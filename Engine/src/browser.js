@@ -1,10 +1,26 @@
 import { launch } from 'puppeteer';
 import { Log } from './logger.js';
+import { toPuppeteerSelector, queryAllLocator } from './locators.js';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function describeWait({ selector, network_idle, url, response }) {
+    if (selector !== undefined) return `selector ${[].concat(selector).join(' || ')}`;
+    if (network_idle !== undefined) return `network idle ${network_idle}ms`;
+    if (url !== undefined) return `URL /${url}/`;
+    return `response /${response}/`;
+}
 
 export class BrowserManager {
+    static DEFAULT_WAIT_TIMEOUT = 10000;
+    static DEFAULT_NETWORK_IDLE = 500;
+
     constructor() {
         this.browser = null;
         this.page = null;
+        this.parsedHtml = null;
     }
 
     async initialize() {
@@ -17,6 +33,9 @@ export class BrowserManager {
               ]
         });
         this.page = await this.browser.newPage();
+        this.page.on('framenavigated', frame => {
+            if (frame === this.page.mainFrame()) this.forgetParsedHtml();
+        });
         await this.setUserAgent(process.env.DEFAULT_USER_AGENT);
         await this.setExtraHTTPHeaders({
             'Accept-Language': process.env.SYSTEM_LANGUAGE
@@ -44,27 +63,247 @@ export class BrowserManager {
         }
     }
 
+    /**
+     * Navigates to `url`. With `options.waitFor` (see waitFor) the listed
+     * conditions replace the fixed post-load sleep; response waits are armed
+     * before navigating so responses fired during the load are not missed.
+     */
     async loadPage(url, options) {
+        this.forgetParsedHtml();
+        const waits = [].concat(options?.waitFor ?? []);
+        const responseWaits = waits.filter(wait => wait.response !== undefined).map(wait => this.waitFor(wait));
+
         try {
             await this.page.goto(url, {
                 waitUntil: 'domcontentloaded',
                 timeout: process.env.MIN_PAGE_LOAD_TIMEOUT
             });
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            if (options?.waitUntil === 'networkidle0') {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+
+            if (waits.length === 0) {
+                await sleep(1000);
+                if (options?.waitUntil === 'networkidle0') {
+                    await sleep(1000);
+                }
+            } else {
+                for (const wait of waits.filter(wait => wait.response === undefined)) {
+                    await this.waitFor(wait);
+                }
             }
         } catch (error) {
          Log.error(`Error loading page ${url}: ${error.message}`);
+        } finally {
+            await Promise.all(responseWaits);
+        }
+    }
+
+    /**
+     * Waits for one condition, each with its own `timeout` (ms):
+     * - `selector`: an element (CSS, `xpath:`, `text:` or a fallback array) is
+     *   attached, or visible with `visible: true`
+     * - `network_idle`: no requests for that many milliseconds
+     * - `url`: the page URL matches a regular expression
+     * - `response`: a response whose URL matches a regular expression arrives
+     *
+     * @returns {Promise<boolean>} false when the timeout expired first.
+     */
+    async waitFor(condition) {
+        const { selector, network_idle, url, response, visible = false } = condition;
+        const timeout = parseInt(condition.timeout, 10) || BrowserManager.DEFAULT_WAIT_TIMEOUT;
+        this.forgetParsedHtml();
+
+        try {
+            if (selector !== undefined) {
+                const selectors = [].concat(selector);
+                await Promise.any(selectors.map(alternative =>
+                    this.page.waitForSelector(toPuppeteerSelector(alternative), { timeout, visible })));
+            } else if (network_idle !== undefined) {
+                const idleTime = parseInt(network_idle, 10) || BrowserManager.DEFAULT_NETWORK_IDLE;
+                await this.page.waitForNetworkIdle({ idleTime, timeout });
+            } else if (url !== undefined) {
+                const pattern = new RegExp(url);
+                const deadline = Date.now() + timeout;
+                while (!pattern.test(this.page.url())) {
+                    if (Date.now() >= deadline) throw new Error(`URL is still ${this.page.url()}`);
+                    await sleep(100);
+                }
+            } else if (response !== undefined) {
+                const pattern = new RegExp(response);
+                await this.page.waitForResponse(res => pattern.test(res.url()), { timeout });
+            } else {
+                Log.warn(`waitFor: No condition in ${JSON.stringify(condition)} (use selector, network_idle, url or response)`);
+                return false;
+            }
+            Log.debug(`waitFor: ${describeWait(condition)} ✓`);
+            return true;
+        } catch (error) {
+            const reason = error instanceof AggregateError ? error.errors[0]?.message : error.message;
+            Log.debug(`waitFor: ${describeWait(condition)} not met within ${timeout}ms (${reason})`);
+            return false;
+        }
+    }
+
+    /**
+     * Drops the document parsed by getQueryRoot. Its handle lives in the page's
+     * context, so anything that may navigate (loads, clicks, typing, key
+     * presses, waits) calls this before the next query uses a dead handle.
+     */
+    forgetParsedHtml() {
+        this.parsedHtml = null;
+    }
+
+    /**
+     * Returns what locators are evaluated against: the page, or with `html` a
+     * detached document parsed from that markup (e.g. an api_request HTML
+     * response), which leaves the loaded page untouched. The last parsed
+     * document is reused so looped steps parse it once.
+     */
+    async getQueryRoot(html) {
+        if (html === undefined) return this.page;
+        if (this.parsedHtml?.html !== html) {
+            await this.parsedHtml?.handle.dispose().catch(() => {});
+            const handle = await this.page.evaluateHandle(source =>
+                new DOMParser().parseFromString(source, 'text/html'), String(html));
+            this.parsedHtml = { html, handle };
+        }
+        return this.parsedHtml.handle;
+    }
+
+    /**
+     * Returns the first element matching `selector` (CSS, `xpath:` or `text:`).
+     * An array of selectors is treated as an ordered fallback chain: each
+     * alternative is tried in turn and the first one that matches wins.
+     * With `html`, that markup is searched instead of the page (see getQueryRoot).
+     */
+    async querySelector(selector, html) {
+        const root = await this.getQueryRoot(html);
+        const selectors = Array.isArray(selector) ? selector : [selector];
+        for (let i = 0; i < selectors.length; i++) {
+            const element = await root.$(toPuppeteerSelector(selectors[i]));
+            if (element) {
+                if (selectors.length > 1) {
+                    Log.debug(`querySelector: alternative ${i + 1}/${selectors.length} matched: ${selectors[i]}`);
+                }
+                return element;
+            }
         }
+        if (selectors.length > 1) {
+            Log.debug(`querySelector: none of ${selectors.length} alternatives matched`);
+        }
+        return null;
+    }
+
+    /**
+     * Returns the raw text of every `<script type="application/ld+json">` block.
+     */
+    async getJsonLdBlocks(html) {
+        const root = await this.getQueryRoot(html);
+        return await root.$$eval('script[type="application/ld+json"]', scripts =>
+            scripts.map(script => script.textContent));
     }
 
-    async querySelector(selector) {
-        return await this.page.$(selector);
+    /**
+     * Clicks the first element matching `selector`.
+     * @returns {Promise<boolean>} false when nothing matched.
+     * @throws When the element is hidden, detached or covered (Puppeteer).
+     */
+    async click(selector) {
+        const element = await this.querySelector(selector);
+        if (!element) return false;
+        this.forgetParsedHtml();
+        await element.click();
+        return true;
+    }
+
+    /**
+     * Types `text` into the first element matching `selector`, replacing its
+     * current value unless `clear` is false. `delay` is the pause between keys.
+     * @returns {Promise<boolean>} false when nothing matched.
+     * @throws When the element cannot be focused or typed into (Puppeteer).
+     */
+    async type(selector, text, { clear = true, delay = 0 } = {}) {
+        const element = await this.querySelector(selector);
+        if (!element) return false;
+        this.forgetParsedHtml();
+        if (clear) {
+            await element.evaluate(el => {
+                if ('value' in el) el.value = '';
+                else el.textContent = '';
+            });
+        }
+        await element.focus();
+        await element.type(text, { delay });
+        return true;
+    }
+
+    /**
+     * Presses a key (Puppeteer key name, e.g. "Enter", "Escape", "ArrowDown"),
+     * on the element matching `selector` when given, else on the focused element.
+     * @returns {Promise<boolean>} false when `selector` matched nothing.
+     */
+    async pressKey(key, selector) {
+        this.forgetParsedHtml();
+        if (selector) {
+            const element = await this.querySelector(selector);
+            if (!element) return false;
+            await element.press(key);
+            return true;
+        }
+        await this.page.keyboard.press(key);
+        return true;
+    }
+
+    /**
+     * Selects the option of a `<select>` whose value, or else visible label,
+     * equals `value`, firing input/change events like a user would.
+     * @returns {Promise<string|null>} The selected option value, or null.
+     */
+    async selectOption(selector, value) {
+        const element = await this.querySelector(selector);
+        if (!element) return null;
+        return await element.evaluate((el, wanted) => {
+            const options = [...(el.options || [])];
+            const option = options.find(o => o.value === wanted) || options.find(o => o.textContent.trim() === wanted);
+            if (!option) return null;
+            el.value = option.value;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            return option.value;
+        }, value);
+    }
+
+    /**
+     * Scrolls the element matching `selector` into view, or the window to
+     * `to` ("bottom" / "top") or `by` pixels.
+     * @returns {Promise<boolean>} false when `selector` matched nothing.
+     */
+    async scroll({ selector, to = 'bottom', by } = {}) {
+        if (selector) {
+            const element = await this.querySelector(selector);
+            if (!element) return false;
+            await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+            return true;
+        }
+        await this.page.evaluate((to, by) => {
+            if (typeof by === 'number') window.scrollBy(0, by);
+            else window.scrollTo(0, to === 'top' ? 0 : document.body.scrollHeight);
+        }, to, by);
+        return true;
+    }
+
+    /**
+     * Returns every element matching `selector`, taken from the first
+     * alternative of a fallback chain that matches anything.
+     */
+    async querySelectorAll(selector, html) {
+        const root = await this.getQueryRoot(html);
+        const { elements, index } = await queryAllLocator(root, selector);
+        if (Array.isArray(selector) && selector.length > 1 && index !== -1) {
+            Log.debug(`querySelectorAll: alternative ${index + 1}/${selector.length} matched: ${selector[index]}`);
+        }
+        return elements;
     }
 
-    async countElements(selector) {
-        const elements = await this.page.$$(selector);
-        return elements.length;
+    async countElements(selector, html) {
+        return (await this.querySelectorAll(selector, html)).length;
     }
 }
@@ -0,0 +1,84 @@
+import { parseDateParts, formatDate } from './dates.js';
+
+/**
+ * Extracts the first number from free text, handling thousands separators:
+ * "8.8/10" → 8.8, "1,234 pages" → 1234, "4,5" → 4.5, "1.299,00 €" → 1299.
+ * A lone comma followed by exactly three digits is read as a thousands separator.
+ *
+ * @param {*} value
+ * @returns {number} NaN when no number is found.
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').match(/-?\d+(?:[.,'\u00A0\u202F]\d+)*/);
+  if (!match) return NaN;
+
+  let token = match[0].replace(/['\u00A0\u202F]/g, '');
+  const lastDot = token.lastIndexOf('.');
+  const lastComma = token.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    token = token.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    const groups = token.split(',');
+    const isThousands = groups.length > 2 || groups[1].length === 3;
+    token = isThousands ? groups.join('') : groups.join('.');
+  } else if (lastDot !== -1 && token.split('.').length > 2) {
+    token = token.split('.').join('');
+  }
+
+  return parseFloat(token);
+}
+
+const COERCERS = {
+  string: (value) => (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value,
+  float: (value) => {
+    const number = parseNumber(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  integer: (value) => {
+    const number = parseNumber(value);
+    return Number.isFinite(number) ? Math.trunc(number) : undefined;
+  },
+  date: (value, format, locale) => {
+    const parts = parseDateParts(value, { locale });
+    return parts ? formatDate(parts, format, locale) : undefined;
+  },
+  json: (value) => {
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return undefined; }
+  },
+};
+
+const TYPE_ALIASES = {
+  int: 'integer',
+  number: 'float',
+  double: 'float',
+};
+
+/**
+ * Converts a value to an output type (`string`, `float`, `integer`, `date`, `json`).
+ * Empty values pass through untouched; arrays are coerced item by item.
+ *
+ * @param {*} value - The stored variable value.
+ * @param {string} type - Declared `output.type` or schema type.
+ * @param {string} [format] - Optional `output.format` (dates only).
+ * @param {string} [locale] - Month names and numeric date order (dates only, see parseDateParts).
+ * @returns {{ ok: boolean, value: * }} `ok` is false when the value could not be converted.
+ */
+export function coerceValue(value, type, format, locale) {
+  const coercer = COERCERS[TYPE_ALIASES[type] || type];
+  if (!coercer || value === undefined || value === null || value === '') {
+    return { ok: true, value };
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => coerceValue(item, type, format, locale));
+    return { ok: items.every(item => item.ok), value: items.map(item => item.value) };
+  }
+
+  const coerced = coercer(value, format, locale);
+  return coerced === undefined ? { ok: false, value } : { ok: true, value: coerced };
+}
@@ -1,29 +1,33 @@
 import { Log } from './logger.js';
+import { evaluateCondition, isEmptyValue } from './conditions.js';
+import { parseDateParts, formatDate, combineLocale } from './dates.js';
+import { parseDuration, formatDuration } from './durations.js';
+import { parsePrice } from './prices.js';
+import { parseNumber } from './coercion.js';
+import { getCurrencyOutputName, getRegexGroupOutputs } from './outputs.js';
+import { fetchWithRetry, resolveRequestPolicy } from './http.js';
+import { parseXml } from './xml.js';
+import { evaluateExpression } from './expressions.js';
+import { queryJsonPath, isSingularJsonPath, fromLodashPath } from './jsonpath.js';
 import _ from 'lodash';
 
-function parseLoopBound(value) {
+/**
+ * Evaluates a loop bound: a number or an expression such as "$COUNT - 1" or
+ * "min($COUNT, 10)" (see expressions.js); a bare variable yields the first
+ * number in its text ("24 results" → 24). Text that is not an expression keeps
+ * the old behaviour of reading the leading integer after substitution.
+ */
+function parseLoopBound(recipeEngine, value) {
   if (typeof value === 'number' && Number.isFinite(value)) {
     return Math.trunc(value);
   }
 
-  const normalized = String(value ?? '').trim();
-  if (normalized === '') {
-    return NaN;
-  }
-
-  if (/^-?\d+$/.test(normalized)) {
-    return parseInt(normalized, 10);
-  }
-
-  if (!/^[0-9+\-*/().\s]+$/.test(normalized)) {
-    return parseInt(normalized, 10);
-  }
-
   try {
-    const evaluated = Function(`"use strict"; return (${normalized});`)();
-    return Number.isFinite(evaluated) ? Math.trunc(evaluated) : NaN;
+    const evaluated = evaluateExpression(String(value ?? ''), name => recipeEngine.get(name));
+    const number = typeof evaluated === 'string' ? parseNumber(evaluated) : evaluated;
+    return typeof number === 'number' && Number.isFinite(number) ? Math.trunc(number) : NaN;
   } catch {
-    return parseInt(normalized, 10);
+    return parseInt(recipeEngine.replaceVariablesinString(String(value ?? '')), 10);
   }
 }
 
@@ -44,6 +48,235 @@ function parseJsonInput(value) {
   }
 }
 
+/**
+ * Reads a lodash path. With `[*]` the path runs as a JSONPath wildcard query
+ * (see fromLodashPath) and gives the list of matches: "genres[*].name" →
+ * ["Action", "Drama"], leaving out elements that miss the rest of the path.
+ */
+function getJsonPathValue(input, locator) {
+  if (!locator.includes('[*]')) {
+    return _.get(input, locator);
+  }
+  return queryJsonPath(input, fromLodashPath(locator));
+}
+
+/**
+ * JSON.stringify with object keys sorted at every level, so the same data
+ * always gives the same text.
+ */
+function stableStringify(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item !== null && typeof item === 'object') {
+      return Object.fromEntries(Object.keys(item).sort().map(key => [key, sortKeys(item[key])]));
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(value));
+}
+
+/**
+ * Applies json_store_text's list options to an extracted value:
+ * `config.take` ("first", "last", or N items; negative N from the end), then
+ * `config.join` (a separator; objects are stringified, empty items dropped) or
+ * `config.stringify` (objects and arrays as JSON with sorted keys).
+ *
+ * @returns {{ ok: boolean, value?: * }} ok is false (after logging) for an invalid `take`.
+ */
+function shapeJsonValue(value, config, stepName) {
+  let shaped = value;
+
+  if (config.take !== undefined && Array.isArray(shaped)) {
+    const count = Number(config.take);
+    if (config.take === 'first') {
+      shaped = shaped[0];
+    } else if (config.take === 'last') {
+      shaped = shaped[shaped.length - 1];
+    } else if (Number.isInteger(count) && count !== 0) {
+      shaped = count > 0 ? shaped.slice(0, count) : shaped.slice(count);
+    } else {
+      Log.error(`${stepName}: Invalid config.take "${config.take}" (expected first, last or a number of items)`);
+      return { ok: false };
+    }
+  }
+
+  if (config.join !== undefined && Array.isArray(shaped)) {
+    shaped = shaped
+      .filter(item => !isEmptyValue(item))
+      .map(item => typeof item === 'object' ? stableStringify(item) : String(item))
+      .join(String(config.join));
+  } else if (config.stringify && shaped !== null && typeof shaped === 'object') {
+    shaped = stableStringify(shaped);
+  }
+
+  return { ok: true, value: shaped };
+}
+
+/**
+ * Reads `locator` from parsed JSON in the step's `config.query` language:
+ * `path` (default; lodash paths such as "results[$i].title", with `[*]` to
+ * map over arrays) or `jsonpath` (see jsonpath.js), where the value is the
+ * list of all matches.
+ *
+ * @returns {{ ok: boolean, value?: * }} ok is false (after logging) for an invalid query.
+ */
+function queryJson(input, locator, config, stepName) {
+  const query = config?.query ?? 'path';
+  if (query === 'path') {
+    return { ok: true, value: getJsonPathValue(input, locator) };
+  }
+  if (query !== 'jsonpath') {
+    Log.error(`${stepName}: Unknown config.query "${query}" (expected path or jsonpath)`);
+    return { ok: false };
+  }
+  try {
+    return { ok: true, value: queryJsonPath(input, locator) };
+  } catch (error) {
+    Log.error(`${stepName}: Invalid JSONPath: ${error.message}`);
+    return { ok: false };
+  }
+}
+
+/**
+ * Like queryJson, for steps that need an array (json_count, for_each). A
+ * singular JSONPath query (no wildcards or filters) that ends on an array
+ * yields that array, so "$.results" behaves like the path "results"; other
+ * queries keep their list of matches, even when one match is an array.
+ */
+function queryJsonArray(input, locator, config, stepName) {
+  const result = queryJson(input, locator, config, stepName);
+  if (result.ok && config?.query === 'jsonpath' && result.value.length === 1 && Array.isArray(result.value[0])
+    && isSingularJsonPath(locator)) {
+    return { ok: true, value: result.value[0] };
+  }
+  return result;
+}
+
+/**
+ * Substitutes variables in a DOM locator. Locators may be a single selector
+ * or an ordered array of fallback selectors.
+ */
+function resolveLocator(recipeEngine, locator) {
+  if (Array.isArray(locator)) {
+    return locator.map(alternative => recipeEngine.replaceVariablesinString(alternative));
+  }
+  return recipeEngine.replaceVariablesinString(locator);
+}
+
+function describeLocator(locator) {
+  return Array.isArray(locator) ? locator.join(' || ') : locator;
+}
+
+function parseJsonLdBlock(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Sites often emit raw newlines/tabs inside JSON-LD strings
+    try {
+      return JSON.parse(String(text).replace(/[\u0000-\u001F]+/g, ' '));
+    } catch (error) {
+      Log.debug(`store_jsonld: Skipping invalid JSON-LD block: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Flattens parsed JSON-LD blocks into a list of nodes: top-level arrays are
+ * expanded and `@graph` members are listed after their container.
+ */
+function collectJsonLdNodes(blocks) {
+  const nodes = [];
+  const visit = (data) => {
+    if (Array.isArray(data)) {
+      data.forEach(visit);
+      return;
+    }
+    if (!data || typeof data !== 'object') return;
+    const { '@graph': graph, ...rest } = data;
+    if (rest['@type']) nodes.push(Array.isArray(graph) ? rest : data);
+    if (Array.isArray(graph)) graph.forEach(visit);
+  };
+  blocks.map(parseJsonLdBlock).forEach(visit);
+  return nodes;
+}
+
+// Accepts "Movie", "schema:Movie" and "https://schema.org/Movie" alike
+function matchesJsonLdType(node, types) {
+  const normalize = (type) => String(type).replace(/^.*[/:#]/, '').toLowerCase();
+  const nodeTypes = [].concat(node['@type']).map(normalize);
+  return types.some(type => nodeTypes.includes(normalize(type)));
+}
+
+/**
+ * Pauses for `config.wait` milliseconds after a page interaction so the page
+ * can react (render a dropdown, expand a description, ...).
+ */
+async function waitAfterInteraction(step) {
+  const ms = parseInt(step.config?.wait, 10);
+  if (ms > 0) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+const WAIT_CONDITIONS = ['selector', 'network_idle', 'url', 'response'];
+
+/**
+ * Normalizes a wait spec (one condition object or an array of them) and
+ * substitutes variables in its selectors and URL/response patterns.
+ */
+function resolveWaitConditions(recipeEngine, waits) {
+  return [].concat(waits ?? []).map(condition => {
+    const resolved = { ...condition };
+    if (condition.selector !== undefined) resolved.selector = resolveLocator(recipeEngine, condition.selector);
+    if (condition.url !== undefined) resolved.url = recipeEngine.replaceVariablesinString(condition.url);
+    if (condition.response !== undefined) resolved.response = recipeEngine.replaceVariablesinString(condition.response);
+    return resolved;
+  });
+}
+
+const PAGE_VARIABLE = 'PAGE';
+const PAGE_URL_VARIABLE = 'PAGE_URL';
+const DEFAULT_MAX_PAGES = 5;
+// Used after in-page pagination clicks when neither config.wait nor config.wait_for is set
+const DEFAULT_CLICK_WAIT = { network_idle: 500 };
+
+// Default cap for until_empty loops without a `to` or `count` (and no `max`)
+const MAX_LOOP_ITERATIONS = 100;
+// Hard cap for `max` and for ends read from the page (`count`, expressions)
+const LOOP_ITERATION_CEILING = 1000;
+const DEFAULT_FOR_EACH_INDEX = 'i';
+const DEFAULT_FOR_EACH_ITEM = 'ITEM';
+
+/**
+ * Yields loop positions from `from` to `to` by `increment`, at most `limit`
+ * of them (warning when some were left over). Lazy, so a large `to` ended
+ * early by until_empty allocates nothing.
+ */
+function* loopPositions(from, to, increment, limit, stepName) {
+  let count = 0;
+  for (let position = from; position <= to; position += increment) {
+    if (count === limit) {
+      Log.warn(`${stepName}: Loop stopped after ${limit} iterations (to: ${to})`);
+      return;
+    }
+    count++;
+    yield position;
+  }
+}
+
+/**
+ * Output names that grow across pages: `store_array` outputs and
+ * `output.mode: append` outputs, including those of nested blocks.
+ */
+function collectingOutputNames(steps) {
+  return steps.flatMap(step => {
+    const collects = step.output?.name && (step.command === 'store_array' || step.output.mode === 'append');
+    const nested = Array.isArray(step.steps) ? collectingOutputNames(step.steps) : [];
+    return collects ? [step.output.name, ...nested] : nested;
+  });
+}
+
 function resolveRequiredVariableInput(recipeEngine, stepInput, stepName) {
   if (typeof stepInput !== 'string' || !stepInput.startsWith('$')) {
     Log.error(`${stepName}: step.input must be a variable reference starting with "$"`);
@@ -56,6 +289,56 @@ function resolveRequiredVariableInput(recipeEngine, stepInput, stepName) {
   };
 }
 
+const DEFAULT_REGEX_FLAGS = 'gs';
+const REGEX_MODES = ['first', 'all'];
+const REGEX_NO_MATCH = ['input', 'empty', 'default'];
+
+// A match's value: its first capture group that took part, or the whole match
+function regexMatchValue(match) {
+  const [fullMatch, ...captureGroups] = match;
+  return (captureGroups.find(group => group !== undefined) || fullMatch).trim();
+}
+
+// api_request response types returned as text or as a queryable tree
+const RESPONSE_TYPES = {
+  TEXT: ['text', 'html'],
+  TREE: ['json', 'xml'],
+};
+
+async function parseResponseBody(response, responseType) {
+  if (responseType === 'json') {
+    return await response.json();
+  }
+
+  const text = await response.text();
+  if (responseType !== 'xml') {
+    return text;
+  }
+
+  const tree = parseXml(text);
+  if (!tree) {
+    throw new Error('no root element');
+  }
+  return tree;
+}
+
+/**
+ * Resolves the optional `input` of DOM commands: a variable holding HTML (an
+ * api_request with `response_type: "html"`) to query instead of the page.
+ */
+function resolveHtmlInput(recipeEngine, step, stepName) {
+  if (step.input === undefined) {
+    return { ok: true, value: undefined };
+  }
+
+  const resolved = resolveRequiredVariableInput(recipeEngine, step.input, stepName);
+  if (resolved.ok && typeof resolved.value !== 'string') {
+    Log.error(`${stepName}: ${step.input} does not hold HTML text`);
+    return { ok: false, value: undefined };
+  }
+  return resolved;
+}
+
 export class StepExecutor {
     constructor(BrowserManager, RecipeEngine) {
       this.BrowserManager = BrowserManager;
@@ -74,13 +357,28 @@ export class StepExecutor {
         store_url: this.executeStoreUrlStep,
         replace: this.executeReplaceStep,
         store_count: this.executeStoreCountStep,
+        store_jsonld: this.executeStoreJsonLdStep,
+        parse_date: this.executeParseDateStep,
+        format_duration: this.executeFormatDurationStep,
+        parse_price: this.executeParsePriceStep,
+        resolve_url: this.executeResolveUrlStep,
+        compute: this.executeComputeStep,
+        click: this.executeClickStep,
+        type: this.executeTypeStep,
+        press_key: this.executePressKeyStep,
+        select_option: this.executeSelectOptionStep,
+        scroll: this.executeScrollStep,
+        wait_for: this.executeWaitForStep,
+        paginate: this.executePaginateStep,
+        for_each: this.executeForEachStep,
       };
+      // Index variables of the for_each blocks being executed, outermost first
+      this.forEachIndexes = [];
     }
   
     async execute(step, stepNumber = null, totalSteps = null) {
       const handler = this.stepHandlers[step.command];
       const isLoop = (step?.config?.loop);
-      const storeAsArray = (step?.command === 'store_array');
 
       let outputValue;
       let outputKey;
@@ -89,6 +387,10 @@ export class StepExecutor {
         Log.error(`execute: Unknown step command: ${step.command}`);
         return;
       }
+      if (isLoop && this.forEachIndexes.includes(step.config.loop.index)) {
+        Log.error(`execute: Loop index "${step.config.loop.index}" is already used by an enclosing for_each`);
+        return;
+      }
       
       // Log step configuration
       if (step.input) {
@@ -100,12 +402,18 @@ export class StepExecutor {
         Log.debug(`URL: ${step.url} → "${urlValue}"`);
       }
       if (step.locator) {
-        const locatorValue = this.RecipeEngine.replaceVariablesinString(step.locator);
-        Log.debug(`Locator: ${step.locator} → "${locatorValue}"`);
+        const locatorValue = resolveLocator(this.RecipeEngine, step.locator);
+        Log.debug(`Locator: ${describeLocator(step.locator)} → "${describeLocator(locatorValue)}"`);
       }
       if (step.expression) {
         Log.debug(`Expression: ${step.expression}`);
       }
+      if (step.if !== undefined) {
+        Log.debug(`If: ${JSON.stringify(step.if)}`);
+      }
+      if (step.skip_if !== undefined) {
+        Log.debug(`Skip if: ${JSON.stringify(step.skip_if)}`);
+      }
       if (step.config) {
         Log.debug(`Config: ${JSON.stringify(step.config, null, 2)}`);
       }
@@ -117,47 +425,40 @@ export class StepExecutor {
       }
 
       if (isLoop) {
-        const loopFrom = parseLoopBound(this.RecipeEngine.replaceVariablesinString(String(step.config.loop.from)));
-        const loopTo = parseLoopBound(this.RecipeEngine.replaceVariablesinString(String(step.config.loop.to)));
-        const loopStep = parseLoopBound(this.RecipeEngine.replaceVariablesinString(String(step.config.loop.step)));
-        Log.debug(`Loop: from ${loopFrom} to ${loopTo} (step: ${loopStep})`);
-        for (let i = loopFrom; i <= loopTo; i += loopStep) {
+        const loop = step.config.loop;
+        const positions = await this.resolveLoopPositions(loop, 'execute');
+        for (const i of positions) {
           // Store loop index
-          this.RecipeEngine.set(step.config.loop.index, i);
+          this.RecipeEngine.set(loop.index, i);
           outputKey = this.RecipeEngine.replaceVariablesinString(step?.output?.name);
           Log.debug(`  Loop iteration ${i}: output key = ${outputKey}`);
 
-          if (storeAsArray) {
-            outputValue = await handler.call(this, step);
-            if (outputValue !== '') {
-              this.RecipeEngine.push(outputKey, outputValue);
-              Log.debug(`  → Stored in array: ${outputKey} = "${outputValue}"`);
-            }
-          } else {
-            outputValue = await handler.call(this, step);
-            this.RecipeEngine.set(outputKey, outputValue);
-            Log.debug(`  → Stored: ${outputKey} = "${outputValue}"`);
+          if (!this.shouldExecute(step)) {
+            continue;
           }
-        }
-      } else {
-        outputKey = step?.output?.name;
 
-        if (storeAsArray) {
           outputValue = await handler.call(this, step);
-          if (outputValue !== '') {
-            this.RecipeEngine.push(outputKey, outputValue);
-            Log.debug(`→ Stored in array: ${outputKey} = "${outputValue}"`);
+          if (loop.until_empty === true && isEmptyValue(outputValue)) {
+            Log.debug(`  Loop stopped at iteration ${i}: output is empty`);
+            break;
           }
-        } else {
-          outputValue = await handler.call(this, step);
-          if (outputKey) {
-            this.RecipeEngine.set(outputKey, outputValue);
-            const displayValue = typeof outputValue === 'object' ? JSON.stringify(outputValue).substring(0, 200) : String(outputValue).substring(0, 200);
-            Log.debug(`→ Stored: ${outputKey} = "${displayValue}"${outputValue && String(outputValue).length > 200 ? '...' : ''}`);
-          } else {
-            Log.debug(`→ Step executed (no output variable)`);
+          this.storeOutput(step, outputKey, outputValue, '  ');
+          if (typeof loop.until_empty === 'string' && this.isLoopOutputEmpty(loop.until_empty)) {
+            Log.debug(`  Loop stopped at iteration ${i}: ${loop.until_empty} is empty`);
+            break;
           }
         }
+      } else {
+        // Indexed names inside for_each blocks (TITLE$i → TITLE1)
+        outputKey = this.RecipeEngine.replaceVariablesinString(step?.output?.name);
+
+        if (!this.shouldExecute(step)) {
+          Log.debug(`✓ Paso omitido`);
+          return;
+        }
+
+        outputValue = await handler.call(this, step);
+        this.storeOutput(step, outputKey, outputValue);
       }
 
       // Show current state of variables after step
@@ -170,6 +471,64 @@ export class StepExecutor {
       }
     }
   
+    /**
+     * Writes a handler result to its output variable. `store_array` always pushes;
+     * other commands honour `output.mode` (overwrite, coalesce or append).
+     */
+    storeOutput(step, outputKey, outputValue, indent = '') {
+      if (!outputKey) {
+        Log.debug(`${indent}→ Step executed (no output variable)`);
+        return;
+      }
+
+      if (step.command === 'store_array') {
+        if (outputValue !== '') {
+          this.RecipeEngine.push(outputKey, outputValue);
+          Log.debug(`${indent}→ Stored in array: ${outputKey} = "${outputValue}"`);
+        }
+        return;
+      }
+
+      const mode = step.output?.mode || 'overwrite';
+      // Text and HTML response bodies keep their line breaks
+      const raw = step.command === 'api_request' && RESPONSE_TYPES.TEXT.includes(step.config?.response_type);
+      const displayValue = typeof outputValue === 'object' ? JSON.stringify(outputValue).substring(0, 200) : String(outputValue).substring(0, 200);
+      const ellipsis = outputValue && String(outputValue).length > 200 ? '...' : '';
+
+      if (!this.RecipeEngine.set(outputKey, outputValue, mode, { raw })) {
+        Log.debug(`${indent}→ Kept existing ${outputKey} (${mode}: new value "${displayValue}" is empty)`);
+      } else if (mode === 'append') {
+        Log.debug(`${indent}→ Appended: ${outputKey} += "${displayValue}"${ellipsis}`);
+      } else {
+        Log.debug(`${indent}→ Stored: ${outputKey} = "${displayValue}"${ellipsis}`);
+      }
+    }
+
+    /**
+     * Evaluates the optional `if` and `skip_if` condition blocks of a step.
+     * Runs before every handler call (once per iteration for looped steps),
+     * so conditions may reference the loop index.
+     */
+    shouldExecute(step) {
+      if (step.if !== undefined) {
+        const result = evaluateCondition(step.if, this.RecipeEngine);
+        if (!result.passed) {
+          Log.debug(`⏭️  Skipped (if): ${result.reason}`);
+          return false;
+        }
+      }
+
+      if (step.skip_if !== undefined) {
+        const result = evaluateCondition(step.skip_if, this.RecipeEngine);
+        if (result.passed) {
+          Log.debug(`⏭️  Skipped (skip_if): ${result.reason}`);
+          return false;
+        }
+      }
+
+      return true;
+    }
+
     async executeLoadStep(step) {
       if (!step.url ) {
         Log.error('executeLoadStep: Missing required step properties');
@@ -183,6 +542,9 @@ export class StepExecutor {
         waitUntil: step.config?.js ? 'networkidle0' : 'domcontentloaded',
         timeout: stepTimeout || parseInt(process.env.DEFAULT_PAGE_LOAD_TIMEOUT),
       };
+      if (step.config?.wait_for) {
+        options.waitFor = resolveWaitConditions(this.RecipeEngine, step.config.wait_for);
+      }
 
       if (step.config?.headers) {
         let replacedHeaders = JSON.stringify(step.config.headers);
@@ -211,11 +573,16 @@ export class StepExecutor {
         return '';
       }
 
-      const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
-      const element = await this.BrowserManager.querySelector(locator);
-      
+      const html = resolveHtmlInput(this.RecipeEngine, step, 'executeStoreAttributeStep');
+      if (!html.ok) {
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const element = await this.BrowserManager.querySelector(locator, html.value);
+
       if (!element) {
-        Log.debug(`executeStoreAttributeStep: No elements found for locator: ${locator}`);
+        Log.debug(`executeStoreAttributeStep: No elements found for locator: ${describeLocator(locator)}`);
         return '';
       }
 
@@ -231,11 +598,16 @@ export class StepExecutor {
         return '';
       }
 
-      const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
-      const element = await this.BrowserManager.querySelector(locator);
+      const html = resolveHtmlInput(this.RecipeEngine, step, 'executeStoreTextStep');
+      if (!html.ok) {
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const element = await this.BrowserManager.querySelector(locator, html.value);
 
       if (!element) {
-        Log.debug(`executeStoreTextStep: No elements found for locator: ${step.locator}`);
+        Log.debug(`executeStoreTextStep: No elements found for locator: ${describeLocator(step.locator)}`);
         return '';
       }
 
@@ -250,11 +622,16 @@ export class StepExecutor {
         return '';
       }
 
-      const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
-      const element = await this.BrowserManager.querySelector(locator);
+      const html = resolveHtmlInput(this.RecipeEngine, step, 'executeStoreArrayStep');
+      if (!html.ok) {
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const element = await this.BrowserManager.querySelector(locator, html.value);
 
       if (!element) {
-        Log.debug(`executeStoreArrayStep: No element found for locator: ${step.locator}`);
+        Log.debug(`executeStoreArrayStep: No element found for locator: ${describeLocator(step.locator)}`);
         return '';
       }
 
@@ -262,33 +639,78 @@ export class StepExecutor {
       return textValue;
     }
   
+    /**
+     * Matches `expression` against `input` and returns the first capture group
+     * that took part (or the whole match), trimmed. Options under `config`:
+     * - `flags`: RegExp flags (default "gs"); `g` is always added
+     * - `mode`: "first" (default) or "all" for a list with every match's value
+     * - `groups`: named groups to write to their own outputs (see getRegexGroupOutputs);
+     *   with mode "all" each gets a list
+     * - `on_no_match`: "input" (default, the whole input), "empty", or
+     *   "default" for `config.default`; group outputs are left empty
+     */
     async executeRegexStep(step) {
       if (!step.input || !step.expression) {
         Log.error('executeRegexStep: Missing required step properties');
         return '';
       }
 
+      const config = step.config ?? {};
+      const mode = config.mode ?? 'first';
+      const onNoMatch = config.on_no_match ?? 'input';
+      if (!REGEX_MODES.includes(mode) || !REGEX_NO_MATCH.includes(onNoMatch)) {
+        Log.error(`executeRegexStep: Invalid config (mode: ${mode}, on_no_match: ${onNoMatch})`);
+        return '';
+      }
+
       let input = this.RecipeEngine.replaceVariablesinString(step.input);
       input = input.replace(/\\([\\/?!])/g, '$1');
       Log.debug(`Applying regex "${step.expression}" to input: "${input}"`);
 
+      const groupOutputs = getRegexGroupOutputs(step);
+      const noMatch = () => {
+        this.storeRegexGroups(step, groupOutputs, () => '');
+        if (onNoMatch === 'empty') return '';
+        if (onNoMatch === 'default') return this.RecipeEngine.replaceVariablesinString(String(config.default ?? ''));
+        return input;
+      };
+
       try {
-        const regex = new RegExp(step.expression, 'gs');
+        const flags = String(config.flags ?? DEFAULT_REGEX_FLAGS);
+        // matchAll needs the g flag
+        const regex = new RegExp(step.expression, flags.includes('g') ? flags : `${flags}g`);
         const matches = [...input.matchAll(regex)];
 
         if (matches.length === 0) {
           Log.debug(`⚠️  No regex match found for expression: ${step.expression} on input: "${input}"`);
-          return input;
+          return noMatch();
         }
 
-        const [fullMatch, ...captureGroups] = matches[0];
-        const output = captureGroups.find(group => group !== undefined) || fullMatch;
-        Log.debug(`Regex match found: "${output.trim()}"`);
-        
-        return output.trim();
+        const selected = mode === 'all' ? matches : matches.slice(0, 1);
+        this.storeRegexGroups(step, groupOutputs, group => {
+          const values = selected.map(match => match.groups?.[group]?.trim() ?? '');
+          return mode === 'all' ? values : values[0];
+        });
+
+        const output = mode === 'all' ? selected.map(regexMatchValue) : regexMatchValue(selected[0]);
+        Log.debug(`Regex match found: "${output}"`);
+        return output;
       } catch (error) {
         Log.error(`executeRegexStep: Error ${error.message}`);
-        return input;
+        return noMatch();
+      }
+    }
+
+    /**
+     * Writes regex named groups to their outputs (`config.groups`), honouring
+     * each output's mode or, for bare names, the step output's mode.
+     */
+    storeRegexGroups(step, groupOutputs, valueOf) {
+      for (const { group, output } of groupOutputs) {
+        const key = this.RecipeEngine.replaceVariablesinString(output.name);
+        const value = valueOf(group);
+        this.RecipeEngine.set(key, value, output.mode || step.output?.mode || 'overwrite');
+        Log.debug(`executeRegexStep: Group ${group} → ${key} = "${value}"`);
       }
     }
   
@@ -302,6 +724,16 @@ export class StepExecutor {
       return output;
     }
   
+    /**
+     * Fetches `url` and returns the body as `config.response_type`:
+     * - json (default): parsed JSON
+     * - xml: a JSON-like tree (see xml.js) for json_store_text / json_count
+     * - text, html: the raw text; DOM commands query HTML through their `input`
+     *
+     * `config.timeout` aborts slow requests and `config.retry` retries failed
+     * ones (see http.js); both default to the recipe's `request_policy`. A final
+     * failure is recorded as a step error and the output is empty (`{}` or `''`).
+     */
     async executeApiRequestStep(step) {
       if (!step.url || !step.config) {
         Log.error('executeApiRequestStep: Missing required step properties');
@@ -310,30 +742,39 @@ export class StepExecutor {
 
       let url = this.RecipeEngine.replaceVariablesinString(step.url);
       
-      // Clone config and replace variables in body if present
-      let config = { ...step.config };
+      // Clone config (minus engine options) and replace variables in body if present
+      const { retry, timeout, response_type: responseType = 'json', ...config } = step.config;
       if (config.body) {
         config.body = this.RecipeEngine.replaceVariablesinString(config.body);
       }
+      const policy = resolveRequestPolicy(this.RecipeEngine.requestPolicy, step.config);
+      const emptyOutput = RESPONSE_TYPES.TEXT.includes(responseType) ? '' : {};
+
+      if (![...RESPONSE_TYPES.TEXT, ...RESPONSE_TYPES.TREE].includes(responseType)) {
+        Log.error(`executeApiRequestStep: Unknown response_type "${responseType}" (use json, xml, text or html)`);
+        return '';
+      }
       
       Log.debug(`Making API request: ${config.method || 'GET'} ${url}`);
+      const result = await fetchWithRetry(url, config, policy);
+      if (!result.ok) {
+        const { status, message, body, attempts } = result.error;
+        Log.error(`❌ API Request failed: ${message} (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+        Log.error(`   URL attempted: ${url}`);
+        if (body) Log.error(`   Error response: ${body}`);
+        this.RecipeEngine.addStepError({ command: step.command, url, status, message, attempts });
+        return emptyOutput;
+      }
+
       try {
-        const response = await fetch(url, config);
-        Log.debug(`Response status: ${response.status} ${response.statusText}`);
-        if (!response.ok) {
-          const errorText = await response.text().catch(() => 'Could not read error response');
-          Log.error(`❌ API Request failed: ${response.status} ${response.statusText}`);
-          Log.error(`   URL: ${url}`);
-          Log.error(`   Error response: ${errorText.substring(0, 500)}`);
-          throw new Error(`executeApiRequestStep HTTP error! status: ${response.status} ${response.statusText}`);
-        }
-        const output = await response.json();
-        Log.debug(`✅ API response received (${JSON.stringify(output).length} chars)`);
+        const output = await parseResponseBody(result.response, responseType);
+        Log.debug(`✅ API response received as ${responseType} (${(typeof output === 'string' ? output : JSON.stringify(output)).length} chars)`);
         return output;
       } catch (error) {
-        Log.error(`❌ executeApiRequestStep: Error fetching data: ${error.message}`);
+        Log.error(`❌ executeApiRequestStep: Invalid ${responseType} response: ${error.message}`);
         Log.error(`   URL attempted: ${url}`);
-        return {};
+        this.RecipeEngine.addStepError({ command: step.command, url, status: result.response.status, message: `Invalid ${responseType}: ${error.message}`, attempts: result.attempts });
+        return emptyOutput;
       }
     }
   
@@ -352,13 +793,28 @@ export class StepExecutor {
       const input = parseJsonInput(rawInput);
       const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
       Log.debug(`Extracting from JSON: locator "${locator}" from variable "${step.input}"`);
-      const output = _.get(input, locator);
-      Log.debug(`Extracted value: "${output}"`);
+      const result = queryJson(input, locator, step.config, 'executeJsonStoreTextStep');
+      if (!result.ok) {
+        return '';
+      }
+      const config = step.config ?? {};
+      // A JSONPath query stores its first match unless config.match is "all" or a list option is set
+      const allMatches = config.match === 'all' || config.take !== undefined || config.join !== undefined;
+      const value = config.query === 'jsonpath' && !allMatches ? result.value[0] : result.value;
+      const shaped = shapeJsonValue(value, config, 'executeJsonStoreTextStep');
+      if (!shaped.ok) {
+        return '';
+      }
+      const output = shaped.value;
+      Log.debug(`Extracted value: "${typeof output === 'object' ? JSON.stringify(output) : output}"`);
       return output
     }
 
     /**
-     * Returns the number of elements in a JSON array at the given path.
+     * Returns the number of elements in a JSON array at the given path, or the
+     * number of matches of a JSONPath query (`config.query: "jsonpath"`); a
+     * query naming an array without wildcards or filters ("$.results")
+     * counts its elements.
      * Use this instead of json_store_text with a path ending in .length, so clients
      * (iOS, Android, etc.) can implement it without evaluating JavaScript.
      */
@@ -377,7 +833,11 @@ export class StepExecutor {
       const input = parseJsonInput(rawInput);
       const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
       Log.debug(`Counting array at JSON path "${locator}" from variable "${step.input}"`);
-      const arr = _.get(input, locator);
+      const result = queryJsonArray(input, locator, step.config, 'executeJsonCountStep');
+      if (!result.ok) {
+        return '0';
+      }
+      const arr = result.value;
       const count = Array.isArray(arr) ? arr.length : 0;
       Log.debug(`Array length: ${count}`);
       return String(count);
@@ -396,6 +856,59 @@ export class StepExecutor {
       return this.BrowserManager.page.url();
     }
 
+    /**
+     * Resolves a relative, root-relative or protocol-relative URL against
+     * `config.base`, or the current page URL when no base is given. Absolute
+     * inputs are returned normalized.
+     */
+    async executeResolveUrlStep(step) {
+      if (!step.input) {
+        Log.error('executeResolveUrlStep: Missing required step properties');
+        return '';
+      }
+
+      const input = this.RecipeEngine.replaceVariablesinString(step.input).trim();
+      if (!input) {
+        return '';
+      }
+
+      const base = step.config?.base
+        ? this.RecipeEngine.replaceVariablesinString(step.config.base)
+        : this.BrowserManager.page?.url();
+
+      try {
+        const output = new URL(input, base || undefined).href;
+        Log.debug(`executeResolveUrlStep: "${input}" against "${base || '(no base)'}" → "${output}"`);
+        return output;
+      } catch (error) {
+        Log.warn(`executeResolveUrlStep: Cannot resolve "${input}" against "${base || '(no base)'}", keeping input`);
+        return input;
+      }
+    }
+
+    /**
+     * Evaluates `expression` (see expressions.js) and stores the result: a
+     * number, text or true/false. Arithmetic without a numeric result stores "".
+     */
+    async executeComputeStep(step) {
+      if (!step.expression) {
+        Log.error('executeComputeStep: Missing required step properties');
+        return '';
+      }
+
+      try {
+        const output = evaluateExpression(step.expression, name => this.RecipeEngine.get(name));
+        if (typeof output === 'number' && !Number.isFinite(output)) {
+          Log.debug(`executeComputeStep: "${step.expression}" has no numeric result`);
+          return '';
+        }
+        return output;
+      } catch (error) {
+        Log.error(`executeComputeStep: Invalid expression "${step.expression}": ${error.message}`);
+        return '';
+      }
+    }
+
     async executeReplaceStep(step) {
       if (!step.input || !step.find || !step.replace) {
         Log.error('executeReplaceStep: Missing required step properties');
@@ -409,14 +922,571 @@ export class StepExecutor {
       return output;
     }
 
+    /**
+     * Clicks the element at `locator` ("Show more" links, cookie walls, tabs).
+     */
+    async executeClickStep(step) {
+      if (!step.locator) {
+        Log.error('executeClickStep: Missing required step properties (locator)');
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      try {
+        if (!await this.BrowserManager.click(locator)) {
+          Log.debug(`executeClickStep: No element found for locator: ${describeLocator(locator)}`);
+          return '';
+        }
+      } catch (error) {
+        // Hidden or covered elements (a dismissed cookie banner) are skipped
+        Log.debug(`executeClickStep: Cannot click ${describeLocator(locator)}: ${error.message}`);
+        return '';
+      }
+
+      Log.debug(`executeClickStep: Clicked ${describeLocator(locator)}`);
+      await waitAfterInteraction(step);
+      return '';
+    }
+
+    /**
+     * Types `input` into the field at `locator`, replacing its value unless
+     * `config.clear` is false. `config.key_delay` slows typing down (ms per key)
+     * for search-as-you-type boxes that debounce keystrokes.
+     */
+    async executeTypeStep(step) {
+      if (!step.locator || step.input === undefined) {
+        Log.error('executeTypeStep: Missing required step properties (locator, input)');
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const text = String(this.RecipeEngine.replaceVariablesinString(step.input) ?? '');
+      let typed;
+      try {
+        typed = await this.BrowserManager.type(locator, text, {
+          clear: step.config?.clear !== false,
+          delay: parseInt(step.config?.key_delay, 10) || 0
+        });
+      } catch (error) {
+        Log.debug(`executeTypeStep: Cannot type into ${describeLocator(locator)}: ${error.message}`);
+        return '';
+      }
+
+      if (!typed) {
+        Log.debug(`executeTypeStep: No element found for locator: ${describeLocator(locator)}`);
+        return '';
+      }
+
+      Log.debug(`executeTypeStep: Typed "${text}" into ${describeLocator(locator)}`);
+      await waitAfterInteraction(step);
+      return '';
+    }
+
+    /**
+     * Presses the key named in `input` ("Enter", "Escape", "ArrowDown"), on the
+     * element at `locator` when given, else on whatever has focus.
+     */
+    async executePressKeyStep(step) {
+      if (!step.input) {
+        Log.error('executePressKeyStep: Missing required step properties (input)');
+        return '';
+      }
+
+      const key = this.RecipeEngine.replaceVariablesinString(step.input);
+      const locator = step.locator ? resolveLocator(this.RecipeEngine, step.locator) : undefined;
+
+      try {
+        if (!await this.BrowserManager.pressKey(key, locator)) {
+          Log.debug(`executePressKeyStep: No element found for locator: ${describeLocator(locator)}`);
+          return '';
+        }
+      } catch (error) {
+        Log.error(`executePressKeyStep: Cannot press "${key}": ${error.message}`);
+        return '';
+      }
+
+      Log.debug(`executePressKeyStep: Pressed ${key}${locator ? ` on ${describeLocator(locator)}` : ''}`);
+      await waitAfterInteraction(step);
+      return '';
+    }
+
+    /**
+     * Selects the `<select>` option at `locator` whose value or label equals
+     * `input`. Returns the selected option value.
+     */
+    async executeSelectOptionStep(step) {
+      if (!step.locator || step.input === undefined) {
+        Log.error('executeSelectOptionStep: Missing required step properties (locator, input)');
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const wanted = String(this.RecipeEngine.replaceVariablesinString(step.input) ?? '');
+      const selected = await this.BrowserManager.selectOption(locator, wanted);
+
+      if (selected === null) {
+        Log.debug(`executeSelectOptionStep: No option "${wanted}" for locator: ${describeLocator(locator)}`);
+        return '';
+      }
+
+      Log.debug(`executeSelectOptionStep: Selected "${selected}" in ${describeLocator(locator)}`);
+      await waitAfterInteraction(step);
+      return selected;
+    }
+
+    /**
+     * Scrolls the element at `locator` into view, or the window to
+     * `config.to` ("bottom", default, or "top") or by `config.by` pixels.
+     * `config.times` repeats the scroll (with `config.wait` in between) to
+     * trigger infinite-scroll loading.
+     */
+    async executeScrollStep(step) {
+      const selector = step.locator ? resolveLocator(this.RecipeEngine, step.locator) : undefined;
+      const parsedBy = parseInt(this.RecipeEngine.replaceVariablesinString(String(step.config?.by ?? '')), 10);
+      const by = Number.isFinite(parsedBy) ? parsedBy : undefined;
+      const times = Math.max(1, parseInt(step.config?.times, 10) || 1);
+
+      for (let i = 0; i < times; i++) {
+        if (!await this.BrowserManager.scroll({ selector, to: step.config?.to, by })) {
+          Log.debug(`executeScrollStep: No element found for locator: ${describeLocator(selector)}`);
+          return '';
+        }
+        await waitAfterInteraction(step);
+      }
+
+      Log.debug(`executeScrollStep: Scrolled ${selector ? `to ${describeLocator(selector)}` : (by !== undefined ? `by ${by}px` : `to ${step.config?.to || 'bottom'}`)}${times > 1 ? ` ${times} times` : ''}`);
+      return '';
+    }
+
+    /**
+     * Waits until the element at `locator` appears, or for the condition in
+     * `config` (`network_idle`, `url` or `response`), up to `config.timeout` ms.
+     * A timeout is not an error: later steps simply find nothing.
+     */
+    async executeWaitForStep(step) {
+      const condition = { ...step.config };
+      if (step.locator) condition.selector = step.locator;
+
+      if (!WAIT_CONDITIONS.some(key => condition[key] !== undefined)) {
+        Log.error('executeWaitForStep: Missing required step properties (locator, or config.network_idle, config.url or config.response)');
+        return '';
+      }
+
+      const [resolved] = resolveWaitConditions(this.RecipeEngine, condition);
+      await this.BrowserManager.waitFor(resolved);
+      return '';
+    }
+
+    /**
+     * Runs the nested `steps` once per page, up to `config.max_pages` (default 5).
+     * `$PAGE` holds the page number, starting at `config.start` (default 1).
+     * The next page is reached by:
+     * - `config.next`: following the next link, or clicking the next button, on the loaded page
+     * - `config.next_url`: a variable the block sets to the next page's URL (API
+     *   cursors), exposed to the next iteration as `$PAGE_URL` (`config.url` seeds page 1)
+     * - otherwise the block itself loads a URL built with `$PAGE`; pagination stops
+     *   on the first page that adds nothing to the block's store_array/append outputs
+     *
+     * `config.load_more` instead clicks a "load more" button up to
+     * `max_pages - 1` times and runs the block once on the full list.
+     * `config.stop_if` is checked after every page.
+     */
+    async executePaginateStep(step) {
+      if (!Array.isArray(step.steps) || step.steps.length === 0) {
+        Log.error('executePaginateStep: Missing required step properties (steps)');
+        return '';
+      }
+
+      const config = step.config ?? {};
+      const maxPages = Math.max(1, parseInt(config.max_pages, 10) || DEFAULT_MAX_PAGES);
+      const start = parseInt(this.RecipeEngine.replaceVariablesinString(String(config.start ?? 1)), 10) || 1;
+
+      if (config.load_more) {
+        const clicks = await this.loadMorePages(config, maxPages - 1);
+        Log.debug(`executePaginateStep: Clicked "load more" ${clicks} times`);
+        this.RecipeEngine.set(PAGE_VARIABLE, start);
+        await this.RecipeEngine.executeSteps(step.steps);
+        return '';
+      }
+
+      if (config.url) {
+        this.RecipeEngine.set(PAGE_URL_VARIABLE, this.RecipeEngine.replaceVariablesinString(config.url));
+      }
+      const collecting = collectingOutputNames(step.steps);
+
+      for (let page = start; page < start + maxPages; page++) {
+        this.RecipeEngine.set(PAGE_VARIABLE, page);
+        const before = this.countCollected(collecting);
+        await this.RecipeEngine.executeSteps(step.steps);
+        const added = this.countCollected(collecting) - before;
+        Log.debug(`executePaginateStep: Page ${page} done${collecting.length > 0 ? ` (${added} new items)` : ''}`);
+
+        if (page === start + maxPages - 1) {
+          Log.debug(`executePaginateStep: Reached max_pages (${maxPages})`);
+          break;
+        }
+        if (config.stop_if !== undefined) {
+          const result = evaluateCondition(config.stop_if, this.RecipeEngine);
+          if (result.passed) {
+            Log.debug(`executePaginateStep: Stopped (stop_if): ${result.reason}`);
+            break;
+          }
+        }
+
+        if (config.next) {
+          if (!await this.followNextPage(config)) break;
+        } else if (config.next_url) {
+          const resolved = resolveRequiredVariableInput(this.RecipeEngine, config.next_url, 'executePaginateStep');
+          const nextUrl = resolved.ok && !isEmptyValue(resolved.value) ? String(resolved.value) : '';
+          if (!nextUrl || nextUrl === this.RecipeEngine.get(PAGE_URL_VARIABLE)) {
+            Log.debug(`executePaginateStep: No next page URL in ${config.next_url}`);
+            break;
+          }
+          this.RecipeEngine.set(PAGE_URL_VARIABLE, nextUrl);
+        } else if (collecting.length > 0 && added === 0) {
+          Log.debug(`executePaginateStep: Page ${page} added no items, stopping`);
+          break;
+        }
+      }
+      return '';
+    }
+
+    countCollected(outputNames) {
+      return outputNames
+        .flatMap(name => this.RecipeEngine.findOutputKeys(name))
+        .reduce((total, key) => {
+          const value = this.RecipeEngine.getAllVariables()[key];
+          return total + (Array.isArray(value) ? value.length : (isEmptyValue(value) ? 0 : 1));
+        }, 0);
+    }
+
+    /**
+     * Moves to the next page through the `config.next` element: links are
+     * loaded, anything else is clicked. Returns false when there is no next page.
+     */
+    async followNextPage(config) {
+      const locator = resolveLocator(this.RecipeEngine, config.next);
+      const element = await this.BrowserManager.querySelector(locator);
+      if (!element) {
+        Log.debug(`executePaginateStep: No next page element for locator: ${describeLocator(locator)}`);
+        return false;
+      }
+
+      const href = await element.evaluate(el => el.href || '');
+      if (/^https?:/i.test(href)) {
+        if (href === this.BrowserManager.page?.url()) {
+          Log.debug(`executePaginateStep: Next page link points to the current page: ${href}`);
+          return false;
+        }
+        const waitFor = config.wait_for ? resolveWaitConditions(this.RecipeEngine, config.wait_for) : undefined;
+        await this.BrowserManager.loadPage(href, { waitFor });
+        await waitAfterInteraction({ config });
+      } else {
+        // A next button that stays in the DOM hidden once the last page is reached
+        try {
+          await element.click();
+        } catch (error) {
+          Log.debug(`executePaginateStep: Next page element not clickable (${error.message})`);
+          return false;
+        }
+        await this.waitAfterPageClick(config);
+      }
+      return true;
+    }
+
+    /**
+     * Waits for `config.wait_for` and `config.wait`, or for the network to go
+     * idle when neither is set, after clicking a next/"load more" button.
+     */
+    async waitAfterPageClick(config) {
+      const waits = config.wait_for || config.wait ? config.wait_for : DEFAULT_CLICK_WAIT;
+      for (const condition of resolveWaitConditions(this.RecipeEngine, waits)) {
+        await this.BrowserManager.waitFor(condition);
+      }
+      await waitAfterInteraction({ config });
+    }
+
+    /**
+     * Clicks `config.load_more` until it is gone or `maxClicks` is reached.
+     * Returns the number of clicks.
+     */
+    async loadMorePages(config, maxClicks) {
+      const locator = resolveLocator(this.RecipeEngine, config.load_more);
+      let clicks = 0;
+      while (clicks < maxClicks) {
+        // "Load more" buttons usually stay in the DOM, hidden, once everything is loaded
+        try {
+          if (!await this.BrowserManager.click(locator)) break;
+        } catch (error) {
+          Log.debug(`executePaginateStep: Load more element not clickable (${error.message})`);
+          break;
+        }
+        clicks++;
+        await this.waitAfterPageClick(config);
+      }
+      return clicks;
+    }
+
+    /**
+     * Runs the nested `steps` once per iteration, setting `config.index`
+     * (default `i`) so they can write indexed outputs such as `TITLE$i`:
+     * - over a range: `config.from` (default 1) to `config.to` (inclusive) by
+     *   `config.step` (default 1), or `config.count` / `config.max` as for
+     *   step loops (see resolveLoopPositions)
+     * - over a JSON array: `input` (a variable) at the optional `locator` path
+     *   (or over the matches of a JSONPath `locator` with `config.query`,
+     *   where a query naming one array, like "$.results", iterates it);
+     *   the index is the element's position and the element is stored in
+     *   `config.item` (default `ITEM`) for json_store_text and friends
+     *
+     * `config.until_empty` names an output (e.g. "TITLE$i") that ends the
+     * block at the first iteration leaving it empty. Nested blocks need their
+     * own index variable.
+     */
+    async executeForEachStep(step) {
+      if (!Array.isArray(step.steps) || step.steps.length === 0) {
+        Log.error('executeForEachStep: Missing required step properties (steps)');
+        return '';
+      }
+
+      const config = step.config ?? {};
+      const index = config.index ?? DEFAULT_FOR_EACH_INDEX;
+      if (this.forEachIndexes.includes(index)) {
+        Log.error(`executeForEachStep: Index "${index}" is already used by an enclosing for_each`);
+        return '';
+      }
+
+      const iterations = await this.resolveForEachIterations(step);
+      if (!iterations) {
+        return '';
+      }
+      Log.debug(`executeForEachStep: Iterating over $${index}${Array.isArray(iterations) ? ` (${iterations.length} items)` : ''}`);
+
+      this.forEachIndexes.push(index);
+      try {
+        for (const { position, item } of iterations) {
+          this.RecipeEngine.set(index, position);
+          if (item !== undefined) {
+            this.RecipeEngine.set(config.item ?? DEFAULT_FOR_EACH_ITEM, item);
+          }
+          await this.RecipeEngine.executeSteps(step.steps);
+          if (config.until_empty && this.isLoopOutputEmpty(config.until_empty)) {
+            Log.debug(`executeForEachStep: Stopped at $${index} = ${position}: ${config.until_empty} is empty`);
+            break;
+          }
+        }
+      } finally {
+        this.forEachIndexes.pop();
+      }
+      return '';
+    }
+
+    /**
+     * Lists a for_each block's iterations as `{ position, item }`, or returns
+     * null (after logging) when the range or array cannot be resolved.
+     */
+    async resolveForEachIterations(step) {
+      const config = step.config ?? {};
+
+      if (step.input !== undefined) {
+        const resolved = resolveRequiredVariableInput(this.RecipeEngine, step.input, 'executeForEachStep');
+        if (!resolved.ok) {
+          return null;
+        }
+        const input = parseJsonInput(resolved.value);
+        let items = input;
+        if (step.locator) {
+          const result = queryJsonArray(input, this.RecipeEngine.replaceVariablesinString(step.locator), config, 'executeForEachStep');
+          if (!result.ok) {
+            return null;
+          }
+          items = result.value;
+        }
+        if (!Array.isArray(items)) {
+          Log.debug(`executeForEachStep: No array in ${step.input}${step.locator ? ` at "${step.locator}"` : ''}`);
+          return [];
+        }
+        return items.map((item, position) => ({ position, item }));
+      }
+
+      if (config.to === undefined && config.count === undefined && !config.until_empty) {
+        Log.error('executeForEachStep: Missing required step properties (input, config.to, config.count or config.until_empty)');
+        return null;
+      }
+      const positions = await this.resolveLoopPositions(config, 'executeForEachStep');
+      return (function* () {
+        for (const position of positions) yield { position };
+      })();
+    }
+
+    /**
+     * Yields the index values of a range loop (`config.loop` or a for_each
+     * range): `from` (default 1) to `to` by `step` (default 1). Instead of `to`:
+     * - `count`: a locator; the loop runs once per matching element
+     * - `until_empty` alone: the loop runs until the checked output is empty
+     *
+     * A literal `to` runs in full unless `max` is given. `until_empty` alone
+     * stops after MAX_LOOP_ITERATIONS; `max` and ends read from the page
+     * (`count`, expressions such as "$COUNT - 1") never exceed
+     * LOOP_ITERATION_CEILING.
+     */
+    async resolveLoopPositions(loop, stepName) {
+      const from = parseLoopBound(this.RecipeEngine, loop.from ?? 1);
+      const increment = parseLoopBound(this.RecipeEngine, loop.step ?? 1);
+      if (!(increment > 0)) {
+        Log.error(`${stepName}: Loop step must be a positive number, got "${loop.step}"`);
+        return [];
+      }
+
+      let to;
+      let limit = LOOP_ITERATION_CEILING;
+      if (loop.count !== undefined) {
+        const locator = resolveLocator(this.RecipeEngine, loop.count);
+        const count = await this.BrowserManager.countElements(locator);
+        Log.debug(`Loop: ${count} elements match ${describeLocator(locator)}`);
+        to = from + (count - 1) * increment;
+      } else if (loop.to === undefined && loop.until_empty) {
+        to = Infinity;
+        limit = MAX_LOOP_ITERATIONS;
+      } else {
+        to = parseLoopBound(this.RecipeEngine, loop.to);
+        if (/^\s*-?\d+\s*$/.test(String(loop.to))) limit = Infinity;
+      }
+      const max = parseInt(loop.max, 10);
+      if (max > 0) limit = Math.min(max, LOOP_ITERATION_CEILING);
+      Log.debug(`Loop: from ${from} to ${to} (step: ${increment}, max: ${limit})`);
+
+      return loopPositions(from, to, increment, limit, stepName);
+    }
+
+    /**
+     * True when an `until_empty` output (e.g. "TITLE$i", resolved with the
+     * current index) holds an empty value.
+     */
+    isLoopOutputEmpty(outputName) {
+      return isEmptyValue(this.RecipeEngine.get(this.RecipeEngine.replaceVariablesinString(outputName)));
+    }
+
     async executeStoreCountStep(step) {
       if (!step.locator) {
         Log.error('executeStoreCountStep: Missing required step properties (locator)');
         return '';
       }
-      const locator = this.RecipeEngine.replaceVariablesinString(step.locator);
-      const count = await this.BrowserManager.countElements(locator);
+      const html = resolveHtmlInput(this.RecipeEngine, step, 'executeStoreCountStep');
+      if (!html.ok) {
+        return '';
+      }
+
+      const locator = resolveLocator(this.RecipeEngine, step.locator);
+      const count = await this.BrowserManager.countElements(locator, html.value);
       return String(count);
     }
 
+    /**
+     * Collects the page's schema.org JSON-LD (arrays and `@graph` flattened) and
+     * returns the first node whose `@type` matches `config.type`, or every
+     * matching node as an array with `config.all`. Without a type, all nodes match.
+     */
+    async executeStoreJsonLdStep(step) {
+      const html = resolveHtmlInput(this.RecipeEngine, step, 'executeStoreJsonLdStep');
+      if (!html.ok) {
+        return {};
+      }
+
+      const blocks = await this.BrowserManager.getJsonLdBlocks(html.value);
+      const nodes = collectJsonLdNodes(blocks);
+      const types = step.config?.type ? [].concat(step.config.type) : [];
+      const matches = types.length > 0 ? nodes.filter(node => matchesJsonLdType(node, types)) : nodes;
+
+      Log.debug(`executeStoreJsonLdStep: ${blocks.length} block(s), ${nodes.length} node(s), ${matches.length} match(es)${types.length > 0 ? ` for @type ${types.join(', ')}` : ''}`);
+
+      if (step.config?.all) {
+        return matches;
+      }
+      return matches[0] ?? {};
+    }
+
+    /**
+     * Normalizes a date. `config.formats` lists the source formats to try in
+     * order ("auto", the default, detects common shapes); month names are read
+     * in `config.locale` or $SYSTEM_LANGUAGE plus $SYSTEM_REGION (which makes
+     * "03/04" day-first for en-GB, month-first for en-US). The result uses
+     * `config.format`, or ISO at the precision found (YYYY-MM-DD, YYYY-MM or YYYY).
+     * Input without a valid date is kept as is.
+     */
+    async executeParseDateStep(step) {
+      if (!step.input) {
+        Log.error('executeParseDateStep: Missing required step properties');
+        return '';
+      }
+
+      const input = this.RecipeEngine.replaceVariablesinString(step.input);
+      const locale = step.config?.locale
+        ? this.RecipeEngine.replaceVariablesinString(step.config.locale)
+        : combineLocale(this.RecipeEngine.get('SYSTEM_LANGUAGE'), this.RecipeEngine.get('SYSTEM_REGION'));
+      const parts = parseDateParts(input, { formats: step.config?.formats, locale });
+
+      if (!parts) {
+        Log.warn(`executeParseDateStep: No valid date in "${input}", keeping raw value`);
+        return input;
+      }
+
+      const output = formatDate(parts, step.config?.format, locale);
+      Log.debug(`executeParseDateStep: "${input}" → "${output}"`);
+      return output;
+    }
+
+    /**
+     * Normalizes a runtime ("PT2H16M", "136 min", "2h 16m", "1:23:45") to
+     * `config.format` (see formatDuration; "human" by default). Bare numbers
+     * are read in `config.unit` (minutes by default).
+     */
+    async executeFormatDurationStep(step) {
+      if (!step.input) {
+        Log.error('executeFormatDurationStep: Missing required step properties');
+        return '';
+      }
+
+      const input = this.RecipeEngine.replaceVariablesinString(step.input);
+      const seconds = parseDuration(input, step.config?.unit);
+
+      if (seconds === null) {
+        Log.debug(`executeFormatDurationStep: No duration found in "${input}"`);
+        return '';
+      }
+
+      const output = formatDuration(seconds, step.config?.format);
+      Log.debug(`executeFormatDurationStep: "${input}" → ${seconds}s → "${output}"`);
+      return output;
+    }
+
+    /**
+     * Splits a price ("$19.99", "19,99 €", "US$ 1.299,00") into a numeric
+     * amount, returned as the step output, and an ISO 4217 code stored in
+     * CURRENCY (see getCurrencyOutputName). Separators and shared symbols
+     * follow `config.region` or $SYSTEM_REGION; `config.currency` is the
+     * fallback code when the text carries none.
+     */
+    async executeParsePriceStep(step) {
+      if (!step.input) {
+        Log.error('executeParsePriceStep: Missing required step properties');
+        return '';
+      }
+
+      const input = this.RecipeEngine.replaceVariablesinString(step.input);
+      const region = this.RecipeEngine.replaceVariablesinString(step.config?.region || '$SYSTEM_REGION');
+      const price = parsePrice(input, region);
+
+      if (!price) {
+        Log.debug(`executeParsePriceStep: No amount found in "${input}"`);
+        return '';
+      }
+
+      const currency = price.currency || this.RecipeEngine.replaceVariablesinString(step.config?.currency || '');
+      const currencyKey = this.RecipeEngine.replaceVariablesinString(getCurrencyOutputName(step));
+      this.RecipeEngine.set(currencyKey, currency, step.output?.mode || 'overwrite');
+      Log.debug(`executeParsePriceStep: "${input}" → ${price.amount} ${currency || '(no currency)'} (${currencyKey})`);
+      return price.amount;
+    }
+
 }
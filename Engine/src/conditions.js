@@ -0,0 +1,120 @@
+import _ from 'lodash';
+
+const VARIABLE_REFERENCE = /^\$[A-Za-z0-9_]+$/;
+
+/**
+ * Treats missing values, blank strings, `[]` and `{}` as empty.
+ */
+export function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value ?? '').trim());
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+function describeValue(value) {
+  const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+  return text.length > 80 ? `${text.substring(0, 80)}...` : text;
+}
+
+/**
+ * Resolves the subject of a condition. A bare variable reference (e.g. `$JSON`)
+ * keeps its raw value so objects and arrays can be inspected with `path`;
+ * anything else goes through normal string substitution.
+ */
+function resolveConditionInput(recipeEngine, condition) {
+  const { input, path } = condition;
+  let value = (typeof input === 'string' && VARIABLE_REFERENCE.test(input))
+    ? recipeEngine.get(input)
+    : recipeEngine.replaceVariablesinString(input);
+
+  if (path !== undefined) {
+    if (typeof value === 'string') {
+      try { value = JSON.parse(value); } catch { /* not JSON, path lookup yields undefined */ }
+    }
+    value = _.get(value, recipeEngine.replaceVariablesinString(String(path)));
+  }
+
+  return value;
+}
+
+const OPERATORS = {
+  empty: (value, expected) => isEmptyValue(value) === Boolean(expected),
+  not_empty: (value, expected) => isEmptyValue(value) !== Boolean(expected),
+  equals: (value, expected) => String(value ?? '') === String(expected),
+  not_equals: (value, expected) => String(value ?? '') !== String(expected),
+  matches: (value, expected, condition) => new RegExp(expected, condition.flags || '').test(String(value ?? '')),
+  gt: (value, expected) => toNumber(value) > toNumber(expected),
+  gte: (value, expected) => toNumber(value) >= toNumber(expected),
+  lt: (value, expected) => toNumber(value) < toNumber(expected),
+  lte: (value, expected) => toNumber(value) <= toNumber(expected),
+};
+
+export const CONDITION_OPERATORS = Object.keys(OPERATORS);
+
+/**
+ * Evaluates a declarative step condition against the current variables.
+ *
+ * A condition is either an object with an `input` and one or more operators
+ * (all of which must hold), an array of conditions (all must hold), or
+ * `{ any: [...] }` / `{ all: [...] }` for explicit grouping.
+ *
+ * @param {object|object[]} condition - The condition block from the recipe step.
+ * @param {object} recipeEngine - RecipeEngine used to resolve variables.
+ * @returns {{ passed: boolean, reason: string }}
+ */
+export function evaluateCondition(condition, recipeEngine) {
+  if (Array.isArray(condition) || Array.isArray(condition?.all)) {
+    const conditions = Array.isArray(condition) ? condition : condition.all;
+    for (const entry of conditions) {
+      const result = evaluateCondition(entry, recipeEngine);
+      if (!result.passed) return result;
+    }
+    return { passed: true, reason: `all ${conditions.length} conditions hold` };
+  }
+
+  if (Array.isArray(condition?.any)) {
+    const reasons = [];
+    for (const entry of condition.any) {
+      const result = evaluateCondition(entry, recipeEngine);
+      if (result.passed) return result;
+      reasons.push(result.reason);
+    }
+    return { passed: false, reason: `none of [${reasons.join('; ')}]` };
+  }
+
+  if (!condition || typeof condition !== 'object' || condition.input === undefined) {
+    return { passed: false, reason: 'invalid condition (missing input)' };
+  }
+
+  const operators = Object.keys(condition).filter(key => OPERATORS[key]);
+  if (operators.length === 0) {
+    return { passed: false, reason: `invalid condition on ${condition.input} (no operator)` };
+  }
+
+  const value = resolveConditionInput(recipeEngine, condition);
+  const subject = condition.path !== undefined ? `${condition.input}.${condition.path}` : condition.input;
+
+  for (const operator of operators) {
+    const rawExpected = condition[operator];
+    const expected = typeof rawExpected === 'string' ? recipeEngine.replaceVariablesinString(rawExpected) : rawExpected;
+    let passed;
+    try {
+      passed = OPERATORS[operator](value, expected, condition);
+    } catch (error) {
+      return { passed: false, reason: `${subject} ${operator}: ${error.message}` };
+    }
+    if (!passed) {
+      return { passed: false, reason: `${subject} ("${describeValue(value)}") fails ${operator} ${describeValue(expected)}` };
+    }
+  }
+
+  return { passed: true, reason: `${subject} ("${describeValue(value)}") satisfies ${operators.join(', ')}` };
+}
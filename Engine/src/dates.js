@@ -0,0 +1,250 @@
+/**
+ * Date parsing and formatting shared by the `parse_date` command and
+ * `output.type: "date"` coercion.
+ *
+ * Formats are built from the tokens YYYY, YY, MMMM, MMM, MM, M, DD and D; any
+ * other character is matched literally and whitespace matches any run of
+ * whitespace. Month names are read in the locale's language first, then English.
+ */
+
+const MONTH_NAMES = {
+  en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+  de: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+  it: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+  pt: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+  nl: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// English-speaking regions that write numeric dates day first (31/03/1999).
+const DAY_FIRST_ENGLISH_REGIONS = ['GB', 'IE', 'AU', 'NZ', 'IN', 'ZA'];
+
+export const AUTO_FORMAT = 'auto';
+
+const FORMAT_TOKENS = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+const TOKEN_PATTERNS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMMM: '(\\p{L}+)\\.?',
+  MMM: '(\\p{L}+)\\.?',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+};
+
+/**
+ * Splits "es", "es_ES" or "en-GB" into a lowercase language and uppercase region.
+ * Anything unrecognizable (e.g. an unset `$SYSTEM_LANGUAGE`) falls back to English.
+ */
+export function parseLocale(locale) {
+  const match = String(locale ?? '').trim().match(/^([A-Za-z]{2,3})(?:[_-]([A-Za-z]{2}))?(?:[.@].*)?$/);
+  if (!match) return { language: DEFAULT_LANGUAGE, region: '' };
+  return { language: match[1].toLowerCase(), region: (match[2] || '').toUpperCase() };
+}
+
+/**
+ * Builds a locale from a language and a region ("en" + "GB" → "en-GB"). A
+ * language that already names its region ("en_GB") is kept as is.
+ */
+export function combineLocale(language, region) {
+  const parsed = parseLocale(language);
+  if (parsed.region || !/^[A-Za-z]{2}$/.test(String(region ?? '').trim())) return language;
+  return `${parsed.language}-${String(region).trim().toUpperCase()}`;
+}
+
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function monthNamesFor(language) {
+  return MONTH_NAMES[language] || MONTH_NAMES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Resolves a full or abbreviated month name ("March", "mar.", "févr", "Mär")
+ * to 1-12. Abbreviations need at least three letters and must be unambiguous.
+ *
+ * @returns {number|undefined}
+ */
+export function monthFromName(name, locale) {
+  const word = fold(String(name ?? '').replace(/\.$/, ''));
+  if (word.length < 3) return undefined;
+
+  const { language } = parseLocale(locale);
+  for (const names of [monthNamesFor(language), MONTH_NAMES[DEFAULT_LANGUAGE]]) {
+    const matches = names
+      .map((monthName, index) => fold(monthName).startsWith(word) ? index + 1 : 0)
+      .filter(Boolean);
+    if (matches.length === 1) return matches[0];
+  }
+  return undefined;
+}
+
+function expandYear(shortYear) {
+  return shortYear < 50 ? 2000 + shortYear : 1900 + shortYear;
+}
+
+function isValidDate({ year, month, day }) {
+  if (!Number.isInteger(year)) return false;
+  if (month === undefined) return day === undefined;
+  if (!Number.isInteger(month) || month < 1 || month > 12) return false;
+  if (day === undefined) return true;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return Number.isInteger(day) && day >= 1 && day <= daysInMonth;
+}
+
+function escapeLiteral(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+}
+
+function compileFormat(format) {
+  const tokens = [];
+  let source = '';
+  let lastIndex = 0;
+  for (const match of format.matchAll(FORMAT_TOKENS)) {
+    source += escapeLiteral(format.slice(lastIndex, match.index)) + TOKEN_PATTERNS[match[0]];
+    tokens.push(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  source += escapeLiteral(format.slice(lastIndex));
+  return { regex: new RegExp(`(?<!\\d)${source}(?!\\d)`, 'iu'), tokens };
+}
+
+function parseWithFormat(text, format, locale) {
+  const { regex, tokens } = compileFormat(format);
+  const match = text.match(regex);
+  if (!match) return null;
+
+  const parts = {};
+  tokens.forEach((token, index) => {
+    const value = match[index + 1];
+    switch (token) {
+      case 'YYYY': parts.year = +value; break;
+      case 'YY': parts.year = expandYear(+value); break;
+      case 'MMMM':
+      case 'MMM': parts.month = monthFromName(value, locale) ?? NaN; break;
+      case 'MM':
+      case 'M': parts.month = +value; break;
+      default: parts.day = +value;
+    }
+  });
+  return isValidDate(parts) ? parts : null;
+}
+
+function isMonthFirst(locale) {
+  const { language, region } = parseLocale(locale);
+  return language === 'en' && !DAY_FIRST_ENGLISH_REGIONS.includes(region);
+}
+
+// 1999-03-31, 1999-03-31T00:00:00Z, 1999/03/31, 2010-07. False for a full
+// date that does not exist (2020-13-45), so it is not read as a bare year.
+function detectIsoDate(text) {
+  const match = text.match(/(?<!\d)(\d{4})([-/.])(\d{1,2})(?:\2(\d{1,2}))?(?!\d)/);
+  if (!match) return null;
+  const parts = { year: +match[1], month: +match[3], day: match[4] ? +match[4] : undefined };
+  if (isValidDate(parts)) return parts;
+  return match[4] ? false : null;
+}
+
+// 31/03/1999, 03/31/1999, 31.03.99 — ambiguous orders follow the locale; false
+// when neither order is a real date
+function detectNumericDate(text, locale) {
+  const match = text.match(/(?<!\d)(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?!\d)/);
+  if (!match) return null;
+  const first = +match[1];
+  const second = +match[3];
+  const year = match[4].length === 2 ? expandYear(+match[4]) : +match[4];
+  const monthFirst = first <= 12 && (second > 12 || isMonthFirst(locale));
+  const parts = monthFirst ? { year, month: first, day: second } : { year, month: second, day: first };
+  return isValidDate(parts) ? parts : false;
+}
+
+// March 31, 1999 / 31 March 1999 / 31 de marzo de 1999 / 31. März 1999 / Mar 1999
+function detectTextualDate(text, locale) {
+  for (const word of text.matchAll(/\p{L}+\.?/gu)) {
+    const month = monthFromName(word[0], locale);
+    if (!month) continue;
+
+    const before = text.slice(0, word.index);
+    const after = text.slice(word.index + word[0].length);
+    const dayAfter = after.match(/^\s*(\d{1,2})(?:st|nd|rd|th)?(?!\d)/i);
+    const dayBefore = before.match(/(?<!\d)(\d{1,2})(?:st|nd|rd|th|er|º)?\.?\s*(?:de\s+)?$/i);
+    const year = (after.match(/(?<!\d)(\d{4})(?!\d)/) || before.match(/(?<!\d)(\d{4})(?!\d)/))?.[1];
+    if (!year) continue;
+
+    const day = dayAfter?.[1] ?? dayBefore?.[1];
+    const parts = { year: +year, month, day: day !== undefined ? +day : undefined };
+    if (isValidDate(parts)) return parts;
+  }
+  return null;
+}
+
+// (1999), "TV-Series, 26 (1998)", 2010
+function detectYear(text) {
+  const match = text.match(/(?<!\d)(\d{4})(?!\d)/);
+  return match ? { year: +match[1] } : null;
+}
+
+/**
+ * Parses a date into `{ year, month, day }`; month and day are undefined when
+ * the text only carries a year (or year and month).
+ *
+ * @param {*} value - Text to parse; the date may be embedded in other text.
+ * @param {object} [options]
+ * @param {string|string[]} [options.formats] - Source formats tried in order;
+ *   `"auto"` (the default) detects ISO, numeric, month-name and year-only dates.
+ * @param {string} [options.locale] - Language for month names and for ordering
+ *   ambiguous numeric dates (en → month first, everything else day first).
+ * @returns {{ year: number, month?: number, day?: number }|null} null also for
+ *   full dates that do not exist (2020-13-45), rather than their year alone.
+ */
+export function parseDateParts(value, { formats, locale } = {}) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  for (const format of formats ? [].concat(formats) : [AUTO_FORMAT]) {
+    const parts = format === AUTO_FORMAT
+      ? detectIsoDate(text) ?? detectNumericDate(text, locale) ?? detectTextualDate(text, locale) ?? detectYear(text)
+      : parseWithFormat(text, String(format), locale);
+    if (parts) return parts;
+  }
+  return null;
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+/**
+ * Renders date parts with a token format: YYYY, YY, MMMM, MMM, MM, M, DD, D.
+ * Missing month/day parts render as empty strings; month names follow `locale`.
+ */
+export function formatDateParts({ year, month, day }, format, locale) {
+  const monthName = month ? monthNamesFor(parseLocale(locale).language)[month - 1] : '';
+  const tokens = {
+    YYYY: () => String(year),
+    YY: () => pad(year % 100),
+    MMMM: () => monthName,
+    MMM: () => monthName.slice(0, 3),
+    MM: () => month ? pad(month) : '',
+    M: () => month ? String(month) : '',
+    DD: () => day ? pad(day) : '',
+    D: () => day ? String(day) : '',
+  };
+  return format.replace(FORMAT_TOKENS, token => tokens[token]());
+}
+
+/**
+ * Formats parsed parts with `format`, or as ISO at the precision available:
+ * YYYY-MM-DD, YYYY-MM or YYYY.
+ */
+export function formatDate(parts, format, locale) {
+  if (format) return formatDateParts(parts, format, locale);
+  if (!parts.month) return String(parts.year);
+  return formatDateParts(parts, parts.day ? 'YYYY-MM-DD' : 'YYYY-MM');
+}
@@ -0,0 +1,142 @@
+/**
+ * Duration parsing and formatting for the `format_duration` command.
+ *
+ * Understands ISO 8601 durations (`PT2H16M`), clock notation (`2:16:00`,
+ * `45:30`), unit text (`136 min`, `2h 16m`, `1 hour 30 minutes`, `2 Std. 16 Min.`)
+ * and bare numbers in a configurable unit.
+ */
+
+const SECONDS_PER = {
+  ms: 0.001,
+  s: 1,
+  min: 60,
+  h: 3600,
+  d: 86400,
+};
+
+// Unit words after a number, matched case-insensitively with an optional trailing dot.
+const UNIT_ALIASES = {
+  d: ['d', 'day', 'days', 'día', 'días', 'dia', 'dias', 'jour', 'jours', 'tag', 'tage'],
+  h: ['h', 'hr', 'hrs', 'hour', 'hours', 'hora', 'horas', 'heure', 'heures', 'std', 'stunde', 'stunden', 'ora', 'ore', 'u', 'uur'],
+  min: ['m', 'mn', 'min', 'mins', 'minute', 'minutes', 'minuto', 'minutos', 'minuti', 'minuten'],
+  s: ['s', 'sec', 'secs', 'second', 'seconds', 'seg', 'segundo', 'segundos', 'seconde', 'secondes', 'sekunde', 'sekunden', 'secondi'],
+  ms: ['ms'],
+};
+
+const UNIT_BY_ALIAS = Object.fromEntries(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+export const DURATION_FORMATS = {
+  HUMAN: 'human',
+  ISO: 'iso',
+  CLOCK: 'clock',
+  SECONDS: 'seconds',
+  MINUTES: 'minutes',
+};
+
+const ISO_DURATION = /^P(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i;
+
+function toNumber(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+function parseIsoDuration(text) {
+  const match = text.match(ISO_DURATION);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => part ? toNumber(part) : 0);
+  return weeks * 7 * SECONDS_PER.d + days * SECONDS_PER.d + hours * SECONDS_PER.h + minutes * SECONDS_PER.min + seconds;
+}
+
+// 2:16:00 → h:mm:ss, 45:30 → mm:ss
+function parseClockDuration(text) {
+  const match = text.match(/(?<![\d:])(\d+):(\d{2})(?::(\d{2}))?(?![\d:])/);
+  if (!match) return null;
+  const [first, second, third] = match.slice(1).map(part => part === undefined ? undefined : +part);
+  return third === undefined
+    ? first * SECONDS_PER.min + second
+    : first * SECONDS_PER.h + second * SECONDS_PER.min + third;
+}
+
+function parseUnitDuration(text) {
+  let total = 0;
+  let found = false;
+  for (const match of text.matchAll(/(\d+(?:[.,]\d+)?)\s*(\p{L}+)\.?/gu)) {
+    const unit = UNIT_BY_ALIAS[match[2].toLowerCase()];
+    if (!unit) continue;
+    total += toNumber(match[1]) * SECONDS_PER[unit];
+    found = true;
+  }
+  return found ? total : null;
+}
+
+/**
+ * Parses a duration into whole seconds.
+ *
+ * @param {*} value - Duration text or number.
+ * @param {string} [unit='min'] - Unit for bare numbers (`ms`, `s`, `min`, `h`, `d`);
+ *   TMDB runtimes are minutes, iTunes `trackTimeMillis` is `ms`.
+ * @returns {number|null} null when no duration is found.
+ */
+export function parseDuration(value, unit = 'min') {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let seconds = parseIsoDuration(text) ?? parseClockDuration(text) ?? parseUnitDuration(text);
+  if (seconds === null && /^\d+(?:[.,]\d+)?$/.test(text)) {
+    const factor = SECONDS_PER[UNIT_BY_ALIAS[String(unit).toLowerCase()] || unit];
+    seconds = factor !== undefined ? toNumber(text) * factor : null;
+  }
+  return seconds === null ? null : Math.round(seconds);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * Renders seconds as one of the DURATION_FORMATS presets or a template using
+ * `{hours}`, `{minutes}`, `{seconds}` (parts of h/m/s) and `{total_minutes}`,
+ * `{total_seconds}`:
+ *
+ * - human (default): "2h 16m", "45m", "1h 2m 5s"
+ * - iso: "PT2H16M"
+ * - clock: "2:16:00"
+ * - seconds: "8160"
+ * - minutes: "136 min"
+ */
+export function formatDuration(totalSeconds, format = DURATION_FORMATS.HUMAN) {
+  const hours = Math.floor(totalSeconds / SECONDS_PER.h);
+  const minutes = Math.floor((totalSeconds % SECONDS_PER.h) / SECONDS_PER.min);
+  const seconds = totalSeconds % SECONDS_PER.min;
+
+  switch (format) {
+    case DURATION_FORMATS.HUMAN: {
+      const parts = [];
+      if (hours) parts.push(`${hours}h`);
+      if (minutes) parts.push(`${minutes}m`);
+      if (seconds) parts.push(`${seconds}s`);
+      return parts.length > 0 ? parts.join(' ') : '0m';
+    }
+    case DURATION_FORMATS.ISO: {
+      const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+      return `PT${time || '0S'}`;
+    }
+    case DURATION_FORMATS.CLOCK:
+      return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    case DURATION_FORMATS.SECONDS:
+      return String(totalSeconds);
+    case DURATION_FORMATS.MINUTES:
+      return `${Math.round(totalSeconds / SECONDS_PER.min)} min`;
+    default: {
+      const values = {
+        hours,
+        minutes,
+        seconds,
+        total_minutes: Math.round(totalSeconds / SECONDS_PER.min),
+        total_seconds: totalSeconds,
+      };
+      return String(format).replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+    }
+  }
+}
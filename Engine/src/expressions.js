@@ -0,0 +1,219 @@
+import { parseNumber } from './coercion.js';
+
+/**
+ * Small expression language for loop bounds and the `compute` command:
+ * `min($RESULT_COUNT, 10)`, `round($RATING / 2, 1)`, `len($TITLE) > 0`.
+ *
+ * Expressions are parsed, never evaluated as code, and variable values are
+ * only ever operands, so page content cannot inject anything. The grammar is
+ * kept small so the iOS and Android engines can implement it identically:
+ *
+ *   expression     := or
+ *   or             := and ( "||" and )*
+ *   and            := comparison ( "&&" comparison )*
+ *   comparison     := additive ( ( "==" | "!=" | "<" | "<=" | ">" | ">=" ) additive )?
+ *   additive       := multiplicative ( ( "+" | "-" ) multiplicative )*
+ *   multiplicative := unary ( ( "*" | "/" | "%" ) unary )*
+ *   unary          := ( "-" | "!" ) unary | primary
+ *   primary        := number | string | "true" | "false" | variable
+ *                   | function "(" ( expression ( "," expression )* )? ")"
+ *                   | "(" expression ")"
+ *   number         := digits ( "." digits )?
+ *   string         := '"' any but '"' '"' | "'" any but "'" "'"   (no escapes)
+ *   variable       := "$" name ( "$" name )*       name := [A-Za-z_][A-Za-z0-9_]*
+ *
+ * Semantics:
+ * - A chained variable (`$TITLE$i`) reads TITLE followed by the value of i.
+ *   Unset variables are "".
+ * - Arithmetic and ordering convert operands to numbers: text yields its first
+ *   number ("8.8/10" → 8.8, see coercion.parseNumber), true/false are 1/0, and
+ *   anything else is NaN. `+` always adds, it never concatenates. Division or
+ *   remainder by zero is NaN, and NaN propagates.
+ * - `==` and `!=` compare text when both sides are text, numbers otherwise.
+ * - `&&`, `||` and `!` return true/false. "", 0, NaN, false and [] are false.
+ */
+
+export class ExpressionError extends Error {}
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|"([^"]*)"|'([^']*)'|(\$[A-Za-z_][A-Za-z0-9_]*(?:\$[A-Za-z_][A-Za-z0-9_]*)*)|([A-Za-z_][A-Za-z0-9_]*)|(\|\||&&|[=!<>]=|[-+*/%<>!(),]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      if (source.slice(start).trim() === '') break;
+      throw new ExpressionError(`Unexpected "${source.slice(start).trim()[0]}" at position ${start}`);
+    }
+    const [, number, doubleQuoted, singleQuoted, variable, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number) });
+    else if (doubleQuoted !== undefined || singleQuoted !== undefined) tokens.push({ type: 'string', value: doubleQuoted ?? singleQuoted });
+    else if (variable !== undefined) tokens.push({ type: 'variable', value: variable.slice(1).split('$') });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else tokens.push({ type: 'operator', value: operator });
+  }
+  return tokens;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string') return parseNumber(value);
+  return NaN;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+// Half away from zero (JS rounds -2.5 up), so every engine rounds alike
+function round(value, digits = 0) {
+  const factor = 10 ** Math.trunc(toNumber(digits));
+  const number = toNumber(value);
+  return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+}
+
+export const FUNCTIONS = {
+  min: (...values) => values.length ? Math.min(...values.map(toNumber)) : NaN,
+  max: (...values) => values.length ? Math.max(...values.map(toNumber)) : NaN,
+  abs: value => Math.abs(toNumber(value)),
+  round,
+  floor: value => Math.floor(toNumber(value)),
+  ceil: value => Math.ceil(toNumber(value)),
+  number: value => toNumber(value),
+  len: value => Array.isArray(value) ? value.length : String(value ?? '').length,
+};
+
+const COMPARISONS = {
+  '==': (a, b) => typeof a === 'string' && typeof b === 'string' ? a === b : toNumber(a) === toNumber(b),
+  '!=': (a, b) => !COMPARISONS['=='](a, b),
+  '<': (a, b) => toNumber(a) < toNumber(b),
+  '<=': (a, b) => toNumber(a) <= toNumber(b),
+  '>': (a, b) => toNumber(a) > toNumber(b),
+  '>=': (a, b) => toNumber(a) >= toNumber(b),
+};
+
+const ARITHMETIC = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => b === 0 ? NaN : a / b,
+  '%': (a, b) => b === 0 ? NaN : a % b,
+};
+
+/**
+ * Parses an expression into a tree of `{ type, ... }` nodes.
+ *
+ * @throws {ExpressionError} On a syntax error or an unknown function.
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(String(source ?? ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...operators) => peek()?.type === 'operator' && operators.includes(peek().value);
+  const expect = (operator) => {
+    if (!isOperator(operator)) throw new ExpressionError(`Expected "${operator}"${peek() ? ` before "${peek().value}"` : ' at end'}`);
+    position++;
+  };
+
+  const binary = (next, operators, repeat = true) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      left = { type: 'binary', operator: tokens[position++].value, left, right: next() };
+      if (!repeat) break;
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) throw new ExpressionError('Unexpected end of expression');
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'variable':
+        return { type: 'variable', parts: token.value };
+      case 'name': {
+        if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+        if (!Object.hasOwn(FUNCTIONS, token.value)) throw new ExpressionError(`Unknown function "${token.value}"`);
+        expect('(');
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(expression());
+          while (isOperator(',')) {
+            position++;
+            args.push(expression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      default:
+        if (token.value === '(') {
+          const inner = expression();
+          expect(')');
+          return inner;
+        }
+        throw new ExpressionError(`Unexpected "${token.value}"`);
+    }
+  };
+
+  const unary = () => isOperator('-', '!')
+    ? { type: 'unary', operator: tokens[position++].value, operand: unary() }
+    : primary();
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, Object.keys(COMPARISONS), false);
+  const and = binary(comparison, ['&&']);
+  const expression = binary(and, ['||']);
+
+  if (tokens.length === 0) throw new ExpressionError('Empty expression');
+  const tree = expression();
+  if (position < tokens.length) throw new ExpressionError(`Unexpected "${peek().value}"`);
+  return tree;
+}
+
+function evaluateNode(node, lookup) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable': {
+      const [base, ...indexes] = node.parts;
+      return lookup(base + indexes.map(index => String(lookup(index) ?? '')).join('')) ?? '';
+    }
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, lookup)));
+    case 'unary': {
+      const operand = evaluateNode(node.operand, lookup);
+      return node.operator === '!' ? !toBoolean(operand) : -toNumber(operand);
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, lookup);
+      const right = evaluateNode(node.right, lookup);
+      if (node.operator === '&&') return toBoolean(left) && toBoolean(right);
+      if (node.operator === '||') return toBoolean(left) || toBoolean(right);
+      if (COMPARISONS[node.operator]) return COMPARISONS[node.operator](left, right);
+      return ARITHMETIC[node.operator](toNumber(left), toNumber(right));
+    }
+  }
+}
+
+/**
+ * Evaluates an expression.
+ *
+ * @param {string} source - Expression text, e.g. "min($COUNT, 10) - 1".
+ * @param {(name: string) => *} lookup - Variable values by name (without `$`).
+ * @returns {number|string|boolean} NaN when the arithmetic has no numeric result.
+ * @throws {ExpressionError} On a syntax error or an unknown function.
+ */
+export function evaluateExpression(source, lookup) {
+  return evaluateNode(parseExpression(source), lookup);
+}
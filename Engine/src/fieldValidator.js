@@ -1,4 +1,5 @@
 import { Log } from './logger.js';
+import { getStepOutputs } from './outputs.js';
 import { readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -51,6 +52,19 @@ export function validateField(step, stepType) {
   return { valid: true };
 }
 
+/**
+ * Returns the schema type declared for a field, e.g. "float" for RATING.
+ *
+ * @param {string} fieldName - Field name without the $i index suffix.
+ * @param {string} stepType - Either 'autocomplete_steps' or 'url_steps'.
+ * @returns {string|undefined}
+ */
+export function getFieldType(fieldName, stepType) {
+  const s = loadSchema();
+  const fields = stepType === 'autocomplete_steps' ? s.autocomplete_fields : s.url_fields;
+  return fields[fieldName]?.type;
+}
+
 /**
  * Validates all steps in a recipe for a given step type.
  * Logs warnings for unknown fields when show: true.
@@ -65,13 +79,11 @@ export function validateRecipeFields(recipe, stepType) {
 
   if (!steps || !Array.isArray(steps)) return ignoredFields;
 
-  for (const step of steps) {
-    if (!step.output || !step.output.name) continue;
-
-    const result = validateField(step, stepType);
+  for (const output of steps.flatMap(getStepOutputs)) {
+    const result = validateField({ output }, stepType);
     if (!result.valid) {
       Log.warn(result.reason);
-      const fieldName = step.output.name.replace(/\$[a-zA-Z]+/g, '');
+      const fieldName = output.name.replace(/\$[a-zA-Z]+/g, '');
       ignoredFields.add(fieldName);
     }
   }
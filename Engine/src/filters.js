@@ -0,0 +1,88 @@
+import { isEmptyValue } from './conditions.js';
+
+/**
+ * Variable filters: `$NAME|filter` in any string that goes through
+ * `RecipeEngine.replaceVariablesinString`, applied left to right when chained
+ * (`$DESC|trim|truncate:300`).
+ *
+ * Arguments follow the name after colons (`slice:0:10`). Unquoted arguments
+ * end at whitespace, `|`, `:`, `$`, `&`, quotes and brackets; quote them to
+ * include those characters (`join:", "`). Arguments are literal text.
+ *
+ * Escaping filters make a value safe for the place it is inserted into:
+ * - json: a JSON value for request bodies; strings become quoted, escaped
+ *   literals (`"term":$INPUT|json`), other values their JSON text
+ * - url: a URL component (`&`, `=`, `?`, spaces, non-ASCII)
+ * - html: HTML text or a quoted attribute
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function toInt(text, fallback) {
+  const parsed = parseInt(text, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export const FILTERS = {
+  // Text
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  trim: value => String(value).trim(),
+  capitalize: value => String(value).charAt(0).toUpperCase() + String(value).slice(1),
+  replace: (value, search = '', replacement = '') => search === '' ? String(value) : String(value).split(search).join(replacement),
+  truncate: (value, length, suffix = '…') => {
+    const text = String(value);
+    const max = toInt(length, text.length);
+    return text.length > max ? text.slice(0, max).trimEnd() + suffix : text;
+  },
+
+  // Empty values (unset, blank, [] or {})
+  default: (value, fallback = '') => isEmptyValue(value) ? fallback : value,
+
+  // Lists (strings are sliced and measured as text)
+  split: (value, separator = ',') => Array.isArray(value) ? value : String(value).split(separator).map(part => part.trim()),
+  join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value,
+  first: value => Array.isArray(value) ? value[0] ?? '' : value,
+  last: value => Array.isArray(value) ? value[value.length - 1] ?? '' : value,
+  slice: (value, start, end) => (Array.isArray(value) ? value : String(value)).slice(toInt(start, 0), toInt(end, undefined)),
+  length: value => Array.isArray(value) ? value.length : String(value ?? '').length,
+
+  // Escaping
+  json: value => JSON.stringify(value) ?? '',
+  url: value => encodeURIComponent(String(value)),
+  html: value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]),
+};
+
+const ARGUMENT = `(?:"[^"]*"|'[^']*'|[^\\s|:$"'&(){}\\[\\]<>]*)`;
+
+/**
+ * Regex source for a filter chain after a variable reference. Only
+ * registered names match, so a literal "|" after a variable is left alone.
+ */
+export const FILTER_CHAIN = `(?:\\|(?:${Object.keys(FILTERS).join('|')})(?![A-Za-z0-9_])(?::${ARGUMENT})*)*`;
+
+/**
+ * Splits a chain such as `|trim|truncate:300:"..."` into filter calls.
+ *
+ * @returns {{ name: string, args: string[] }[]}
+ */
+export function parseFilterChain(chain) {
+  const calls = [];
+  for (const [, name, argumentText] of chain.matchAll(new RegExp(`\\|([A-Za-z_]+)((?::${ARGUMENT})*)`, 'g'))) {
+    const args = [...argumentText.matchAll(new RegExp(`:(${ARGUMENT})`, 'g'))]
+      .map(([, arg]) => /^(["']).*\1$/.test(arg) ? arg.slice(1, -1) : arg);
+    calls.push({ name, args });
+  }
+  return calls;
+}
+
+/**
+ * Applies a filter chain to a raw variable value.
+ *
+ * @param {*} value - Variable value.
+ * @param {string} chain - Filter suffix as written, e.g. "|lower|default:unknown".
+ * @returns {*} The filtered value; the caller converts it to text.
+ */
+export function applyFilters(value, chain) {
+  return parseFilterChain(chain).reduce((result, { name, args }) => FILTERS[name](result, ...args), value);
+}
@@ -0,0 +1,110 @@
+/**
+ * HTTP requests for `api_request`, with an abort timeout and retries.
+ *
+ * The policy comes from the recipe's `request_policy` and the step's `config`
+ * (`config.retry` fields override the recipe's one by one).
+ */
+
+import { Log } from './logger.js';
+
+export const DEFAULT_RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+export const DEFAULT_REQUEST_TIMEOUT = 15000;
+const DEFAULT_BACKOFF = 500;
+const DEFAULT_MAX_BACKOFF = 10000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Merges the recipe-level and step-level request settings.
+ *
+ * @param {object} [recipePolicy] - Recipe `request_policy`: `{ timeout, retry }`.
+ * @param {object} [stepConfig] - Step `config`, whose `timeout` and `retry` win.
+ * @returns {{ attempts: number, backoff: number, maxBackoff: number, retryOn: number[], timeout: number }}
+ */
+export function resolveRequestPolicy(recipePolicy = {}, stepConfig = {}) {
+  const retry = { ...recipePolicy?.retry, ...stepConfig?.retry };
+  return {
+    attempts: Math.max(1, parseInt(retry.attempts, 10) || 1),
+    backoff: toNonNegativeInt(retry.backoff, DEFAULT_BACKOFF),
+    maxBackoff: toNonNegativeInt(retry.max_backoff, DEFAULT_MAX_BACKOFF),
+    retryOn: Array.isArray(retry.retry_on) ? retry.retry_on.map(Number) : DEFAULT_RETRY_STATUSES,
+    timeout: parseInt(stepConfig?.timeout ?? recipePolicy?.timeout, 10) || DEFAULT_REQUEST_TIMEOUT,
+  };
+}
+
+/**
+ * Reads a Retry-After header (delay in seconds or an HTTP date).
+ *
+ * @returns {number|null} Milliseconds to wait, or null when absent or invalid.
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (header === null || header === undefined || String(header).trim() === '') return null;
+
+  const text = String(header).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * `backoff * 2^(attempt - 1)`, capped at `maxBackoff`.
+ */
+export function getBackoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxBackoff, policy.backoff * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Fetches `url`, retrying network errors, timeouts and `policy.retryOn`
+ * statuses. A Retry-After header replaces the backoff delay (still capped at
+ * `policy.maxBackoff`).
+ *
+ * @returns {Promise<{ ok: true, response: Response, attempts: number }|{ ok: false, error: { status: number|null, message: string, body?: string, attempts: number } }>}
+ */
+export async function fetchWithRetry(url, init, policy) {
+  const method = init?.method || 'GET';
+  let failure;
+  let attempt = 0;
+
+  while (attempt < policy.attempts) {
+    attempt++;
+    let retryAfter = null;
+    let retryable = true;
+
+    try {
+      const response = await fetch(url, { ...init, signal: AbortSignal.timeout(policy.timeout) });
+      if (response.ok) {
+        Log.debug(`Attempt ${attempt}/${policy.attempts} ${method} ${url}: ${response.status} ${response.statusText}`);
+        return { ok: true, response, attempts: attempt };
+      }
+
+      const body = await response.text().catch(() => '');
+      failure = { status: response.status, message: `HTTP ${response.status} ${response.statusText}`.trim(), body: body.substring(0, 500) };
+      retryable = policy.retryOn.includes(response.status);
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      failure = { status: null, message: timedOut ? `Timed out after ${policy.timeout}ms` : error.message };
+    }
+
+    if (!retryable || attempt >= policy.attempts) {
+      Log.debug(`Attempt ${attempt}/${policy.attempts} ${method} ${url}: ${failure.message}, giving up`);
+      break;
+    }
+
+    const delay = Math.min(retryAfter ?? getBackoffDelay(attempt, policy), policy.maxBackoff);
+    Log.debug(`Attempt ${attempt}/${policy.attempts} ${method} ${url}: ${failure.message}, retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+
+  return { ok: false, error: { ...failure, attempts: attempt } };
+}
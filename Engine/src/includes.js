@@ -0,0 +1,165 @@
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+/**
+ * Step macros: named step groups shared between recipes, expanded when the
+ * recipe is loaded so the step executor never sees them.
+ *
+ * A macro lives under `macros` in a shared file (or in the recipe itself) and
+ * declares its parameters, with defaults where they are optional:
+ *
+ *   { "macros": { "search": { "params": { "ENTITY": null, "LIMIT": 10 }, "steps": [...] } } }
+ *
+ * An `include` step is replaced by the macro's steps, with `{{NAME}}` in any
+ * string replaced by the parameter. A string that is only `{{NAME}}` takes the
+ * parameter's value as is, so numbers and lists keep their type:
+ *
+ *   { "command": "include", "file": "../shared/apple.json", "macro": "search", "params": { "ENTITY": "album" } }
+ *
+ * `file` is relative to the including file. Without it the recipe's own
+ * macros are used, then those of the recipes it extends. Macros may include
+ * other macros.
+ *
+ * When the include step has an `id`, the ids of the steps it expands to are
+ * prefixed with it ("cast" → "movie_cast.cast"), so a macro can be included
+ * twice and each copy still patched by id.
+ */
+
+export const INCLUDE_COMMAND = 'include';
+
+const PARAMETER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_PARAMETER = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+// Normalizes `params` (a list of required names or an object of defaults, null meaning required)
+function getParameterDefaults(macro) {
+  if (Array.isArray(macro.params)) {
+    return Object.fromEntries(macro.params.map(name => [name, null]));
+  }
+  return macro.params ?? {};
+}
+
+function resolveParameters(macro, step, macroId) {
+  const defaults = getParameterDefaults(macro);
+  const given = step.params ?? {};
+
+  const unknown = Object.keys(given).filter(name => !Object.hasOwn(defaults, name));
+  if (unknown.length > 0) {
+    throw new Error(`include: Unknown parameter ${unknown.join(', ')} for ${macroId}`);
+  }
+
+  const params = { ...defaults, ...given };
+  const missing = Object.keys(params).filter(name => params[name] === null || params[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`include: Missing parameter ${missing.join(', ')} for ${macroId}`);
+  }
+  return params;
+}
+
+function prefixStepIds(steps, prefix) {
+  return steps.map(step => {
+    const prefixed = step?.id !== undefined ? { ...step, id: `${prefix}.${step.id}` } : step;
+    return Array.isArray(step?.steps) ? { ...prefixed, steps: prefixStepIds(step.steps, prefix) } : prefixed;
+  });
+}
+
+function substituteParameters(value, params, macroId) {
+  if (typeof value === 'string') {
+    const lookup = (name) => {
+      if (!Object.hasOwn(params, name)) throw new Error(`include: {{${name}}} is not a parameter of ${macroId}`);
+      return params[name];
+    };
+    const whole = value.match(WHOLE_PARAMETER);
+    if (whole) return lookup(whole[1]);
+    return value.replace(PARAMETER, (match, name) => String(lookup(name)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteParameters(item, params, macroId));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteParameters(item, params, macroId)]));
+  }
+  return value;
+}
+
+/**
+ * Where `include` steps without `file` look for macros: the recipe's own
+ * `macros`, then its base's scope (see recipeLoader.js).
+ *
+ * @param {object} recipe - Parsed recipe JSON.
+ * @param {string} recipePath
+ * @param {object} [base] - The scope of the recipe it extends.
+ */
+export function createMacroScope(recipe, recipePath, base) {
+  return { path: resolve(recipePath), macros: recipe.macros, base };
+}
+
+function findMacroScope(scope, name) {
+  for (let current = scope; current; current = current.base) {
+    if (current.macros?.[name]) return current;
+  }
+  return scope;
+}
+
+/**
+ * Returns a copy of the recipe with every `include` step in its `*_steps`
+ * lists (including nested block steps) expanded, and without `macros`.
+ *
+ * @param {object} recipe - Parsed recipe JSON.
+ * @param {string} recipePath - Path of the recipe file, for resolving `file`.
+ * @param {object} [base] - Macro scope of the recipe it extends (see createMacroScope).
+ * @returns {Promise<object>}
+ * @throws {Error} For unknown macros or parameters, unreadable files and include cycles.
+ */
+export async function resolveIncludes(recipe, recipePath, base) {
+  const files = new Map();
+  const loadFile = async (path) => {
+    if (!files.has(path)) {
+      files.set(path, readFile(path, 'utf-8').then(JSON.parse).catch(error => {
+        throw new Error(`include: Cannot load ${path}: ${error.message}`);
+      }));
+    }
+    return { path, macros: (await files.get(path)).macros };
+  };
+
+  const expandInclude = async (step, source, chain) => {
+    if (!step.macro) {
+      throw new Error(`include: Missing required step properties (macro) in ${source.path}`);
+    }
+    const target = step.file ? await loadFile(resolve(dirname(source.path), step.file)) : findMacroScope(source, step.macro);
+    const macroId = `${target.path}#${step.macro}`;
+    const macro = target.macros?.[step.macro];
+    if (!Array.isArray(macro?.steps)) {
+      throw new Error(`include: No macro "${step.macro}" in ${target.path}`);
+    }
+    if (chain.includes(macroId)) {
+      throw new Error(`include: Circular include ${[...chain, macroId].join(' → ')}`);
+    }
+
+    const params = resolveParameters(macro, step, macroId);
+    const steps = await expandSteps(substituteParameters(macro.steps, params, macroId), target, [...chain, macroId]);
+    return step.id !== undefined ? prefixStepIds(steps, step.id) : steps;
+  };
+
+  const expandSteps = async (steps, source, chain) => {
+    const expanded = [];
+    for (const step of steps) {
+      if (step?.command === INCLUDE_COMMAND) {
+        expanded.push(...await expandInclude(step, source, chain));
+      } else if (Array.isArray(step?.steps)) {
+        expanded.push({ ...step, steps: await expandSteps(step.steps, source, chain) });
+      } else {
+        expanded.push(step);
+      }
+    }
+    return expanded;
+  };
+
+  const { macros, ...resolved } = recipe;
+  const source = createMacroScope(recipe, recipePath, base);
+  for (const key of Object.keys(resolved).filter(key => key.endsWith('_steps'))) {
+    if (Array.isArray(resolved[key])) {
+      resolved[key] = await expandSteps(resolved[key], source, []);
+    }
+  }
+  return resolved;
+}
@@ -0,0 +1,404 @@
+import _ from 'lodash';
+
+/**
+ * JSONPath queries for the JSON commands (`config.query: "jsonpath"`), a
+ * subset of RFC 9535 small enough to port to the mobile engines:
+ *
+ *   $.results[0].title          child names and indexes (negative from the end)
+ *   $['release-date']           quoted names
+ *   $.genres[*].name            wildcards (array elements or object values)
+ *   $..director                 descendants at any depth
+ *   $.results[0:5], $.a[0,2]    slices [start:end:step] and unions
+ *   $.crew[?(@.job == 'Director')].name
+ *   $.images[?(@.width > 500 && @.type != "poster")]
+ *   $.results[?(@.title =~ /^the/i)]
+ *   $.items[?(@.isbn)]          filters; a bare path tests that the key exists
+ *
+ * Filter operands are `@` (the element) or `$` (the document) followed by
+ * names and indexes, or literals: numbers, 'single' or "double" quoted
+ * strings (with JSON escapes), true, false and null. `==` and `!=` compare type and value;
+ * `<`, `<=`, `>` and `>=` compare two numbers or two strings (anything else
+ * is false); `=~` tests a string against a /regex/flags. `!`, `&&`, `||`
+ * and parentheses combine tests.
+ *
+ * A query returns the list of matched values, in document order.
+ */
+
+export class JsonPathError extends Error {}
+
+const NAME_START = /[A-Za-z_\u0080-\uFFFF]/;
+const NAME_CHAR = /[A-Za-z0-9_\-\u0080-\uFFFF]/;
+
+function children(value) {
+  if (Array.isArray(value)) return value;
+  if (value !== null && typeof value === 'object') return Object.values(value);
+  return [];
+}
+
+function descendants(value) {
+  return [value, ...children(value).flatMap(descendants)];
+}
+
+function normalizeIndex(index, length) {
+  return index < 0 ? length + index : index;
+}
+
+// Python-style slice bounds, as in RFC 9535
+function sliceArray(array, start, end, step = 1) {
+  if (step === 0) return [];
+  const length = array.length;
+  const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+  const result = [];
+  if (step > 0) {
+    const from = clamp(normalizeIndex(start ?? 0, length), 0, length);
+    const to = clamp(normalizeIndex(end ?? length, length), 0, length);
+    for (let i = from; i < to; i += step) result.push(array[i]);
+  } else {
+    const from = clamp(normalizeIndex(start ?? length - 1, length), -1, length - 1);
+    const to = clamp(normalizeIndex(end ?? -length - 1, length), -1, length - 1);
+    for (let i = from; i > to; i += step) result.push(array[i]);
+  }
+  return result;
+}
+
+const COMPARISONS = {
+  '==': (a, b) => _.isEqual(a, b),
+  '!=': (a, b) => !_.isEqual(a, b),
+  '<': (a, b) => isOrderable(a, b) && a < b,
+  '<=': (a, b) => isOrderable(a, b) && a <= b,
+  '>': (a, b) => isOrderable(a, b) && a > b,
+  '>=': (a, b) => isOrderable(a, b) && a >= b,
+  '=~': (a, b) => typeof a === 'string' && b instanceof RegExp && b.test(a),
+};
+
+function isOrderable(a, b) {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+/**
+ * Parses a JSONPath query into a list of segments.
+ *
+ * @throws {JsonPathError}
+ */
+export function parseJsonPath(source) {
+  const text = String(source ?? '');
+  let position = 0;
+
+  const fail = (message) => {
+    throw new JsonPathError(`${message} at position ${position} in "${text}"`);
+  };
+  const skipSpaces = () => {
+    while (/\s/.test(text[position] ?? '')) position++;
+  };
+  const eat = (token) => {
+    skipSpaces();
+    if (text.startsWith(token, position)) {
+      position += token.length;
+      return true;
+    }
+    return false;
+  };
+  const expect = (token) => {
+    if (!eat(token)) fail(`Expected "${token}"`);
+  };
+
+  const parseName = () => {
+    if (!NAME_START.test(text[position] ?? '')) fail('Expected a name');
+    const start = position;
+    while (NAME_CHAR.test(text[position] ?? '')) position++;
+    return text.slice(start, position);
+  };
+
+  // JSON escapes (plus \') work in either quote style. Only $INPUT|json, which
+  // inserts a double-quoted JSON string, is a safe operand for user text: a
+  // quote in the value ends '$INPUT' or "$INPUT" early, and bare $INPUT is not a string
+  const parseString = () => {
+    const quote = text[position++];
+    let value = '';
+    while (text[position] !== quote) {
+      if (position >= text.length) fail('Unterminated string');
+      if (text[position] !== '\\') {
+        value += text[position++];
+        continue;
+      }
+      const escape = text[position + 1] === 'u' ? text.slice(position, position + 6) : text.slice(position, position + 2);
+      if (escape === "\\'") {
+        value += "'";
+      } else {
+        try {
+          value += JSON.parse(`"${escape}"`);
+        } catch {
+          fail('Invalid escape in string');
+        }
+      }
+      position += escape.length;
+    }
+    position++;
+    return value;
+  };
+
+  const parseInteger = () => {
+    const match = text.slice(position).match(/^-?\d+/);
+    if (!match) return undefined;
+    position += match[0].length;
+    return parseInt(match[0], 10);
+  };
+
+  const parseNumber = () => {
+    const match = text.slice(position).match(/^-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?/);
+    position += match[0].length;
+    return parseFloat(match[0]);
+  };
+
+  const parseRegex = () => {
+    const match = text.slice(position).match(/^\/((?:\\.|[^/\\])*)\/([a-z]*)/);
+    if (!match) fail('Invalid regular expression');
+    position += match[0].length;
+    try {
+      return new RegExp(match[1], match[2]);
+    } catch (error) {
+      return fail(`Invalid regular expression (${error.message})`);
+    }
+  };
+
+  // Names and indexes after @ or $ inside filters
+  const parseSingularPath = () => {
+    const segments = [];
+    for (;;) {
+      if (text[position] === '.' && text[position + 1] !== '.') {
+        position++;
+        segments.push({ type: 'name', name: parseName() });
+      } else if (text[position] === '[') {
+        position++;
+        skipSpaces();
+        if (text[position] === "'" || text[position] === '"') {
+          segments.push({ type: 'name', name: parseString() });
+        } else {
+          const index = parseInteger();
+          if (index === undefined) fail('Expected an index or a quoted name');
+          segments.push({ type: 'index', index });
+        }
+        expect(']');
+      } else {
+        return segments;
+      }
+    }
+  };
+
+  const parseOperand = () => {
+    skipSpaces();
+    const char = text[position];
+    if (char === '@' || char === '$') {
+      position++;
+      return { type: 'path', root: char, segments: parseSingularPath() };
+    }
+    if (char === "'" || char === '"') return { type: 'literal', value: parseString() };
+    if (char === '/') return { type: 'literal', value: parseRegex() };
+    if (/[-\d]/.test(char ?? '')) return { type: 'literal', value: parseNumber() };
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, position)) {
+        position += word.length;
+        return { type: 'literal', value };
+      }
+    }
+    return fail('Expected a filter operand');
+  };
+
+  const parseComparison = () => {
+    skipSpaces();
+    if (text[position] === '(') {
+      position++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    const left = parseOperand();
+    skipSpaces();
+    const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find(op => text.startsWith(op, position));
+    if (!operator) {
+      if (left.type !== 'path') fail('Expected a comparison');
+      return { type: 'exists', path: left };
+    }
+    position += operator.length;
+    return { type: 'compare', operator, left, right: parseOperand() };
+  };
+
+  const parseNot = () => eat('!') ? { type: 'not', operand: parseNot() } : parseComparison();
+  const parseAnd = () => {
+    let left = parseNot();
+    while (eat('&&')) left = { type: 'and', left, right: parseNot() };
+    return left;
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (eat('||')) left = { type: 'or', left, right: parseAnd() };
+    return left;
+  };
+
+  const parseSelector = () => {
+    skipSpaces();
+    const char = text[position];
+    if (char === '*') {
+      position++;
+      return { type: 'wildcard' };
+    }
+    if (char === "'" || char === '"') return { type: 'name', name: parseString() };
+    if (char === '?') {
+      position++;
+      // Both `?(expr)` and RFC 9535 `?expr`
+      return { type: 'filter', expression: parseOr() };
+    }
+
+    const start = parseInteger();
+    skipSpaces();
+    if (text[position] !== ':') {
+      if (start === undefined) fail('Expected a selector');
+      return { type: 'index', index: start };
+    }
+    position++;
+    skipSpaces();
+    const end = parseInteger();
+    let step;
+    skipSpaces();
+    if (text[position] === ':') {
+      position++;
+      skipSpaces();
+      step = parseInteger();
+    }
+    return { type: 'slice', start, end, step };
+  };
+
+  const parseBracket = () => {
+    const selectors = [parseSelector()];
+    while (eat(',')) selectors.push(parseSelector());
+    expect(']');
+    return selectors;
+  };
+
+  skipSpaces();
+  if (text[position] !== '$') fail('A JSONPath query starts with "$"');
+  position++;
+
+  const segments = [];
+  for (skipSpaces(); position < text.length; skipSpaces()) {
+    if (text.startsWith('..', position)) {
+      position += 2;
+      let selectors;
+      if (text[position] === '*') {
+        position++;
+        selectors = [{ type: 'wildcard' }];
+      } else if (text[position] === '[') {
+        position++;
+        selectors = parseBracket();
+      } else {
+        selectors = [{ type: 'name', name: parseName() }];
+      }
+      segments.push({ descendants: true, selectors });
+    } else if (text[position] === '.') {
+      position++;
+      if (text[position] === '*') {
+        position++;
+        segments.push({ selectors: [{ type: 'wildcard' }] });
+      } else {
+        segments.push({ selectors: [{ type: 'name', name: parseName() }] });
+      }
+    } else if (text[position] === '[') {
+      position++;
+      segments.push({ selectors: parseBracket() });
+    } else {
+      fail(`Unexpected "${text[position]}"`);
+    }
+  }
+  return segments;
+}
+
+function resolveSingularPath(path, current, root) {
+  let value = path.root === '@' ? current : root;
+  for (const segment of path.segments) {
+    if (segment.type === 'name') {
+      value = value !== null && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, segment.name) ? value[segment.name] : undefined;
+    } else {
+      value = Array.isArray(value) ? value[normalizeIndex(segment.index, value.length)] : undefined;
+    }
+    if (value === undefined) return undefined;
+  }
+  return value;
+}
+
+function testFilter(expression, current, root) {
+  switch (expression.type) {
+    case 'exists':
+      return resolveSingularPath(expression.path, current, root) !== undefined;
+    case 'not':
+      return !testFilter(expression.operand, current, root);
+    case 'and':
+      return testFilter(expression.left, current, root) && testFilter(expression.right, current, root);
+    case 'or':
+      return testFilter(expression.left, current, root) || testFilter(expression.right, current, root);
+    case 'compare': {
+      const operand = (node) => node.type === 'path' ? resolveSingularPath(node, current, root) : node.value;
+      return COMPARISONS[expression.operator](operand(expression.left), operand(expression.right));
+    }
+  }
+  return false;
+}
+
+function select(selector, value, root) {
+  switch (selector.type) {
+    case 'name':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, selector.name) ? [value[selector.name]] : [];
+    case 'wildcard':
+      return children(value);
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const index = normalizeIndex(selector.index, value.length);
+      return index >= 0 && index < value.length ? [value[index]] : [];
+    }
+    case 'slice':
+      return Array.isArray(value) ? sliceArray(value, selector.start, selector.end, selector.step) : [];
+    case 'filter':
+      return children(value).filter(child => testFilter(selector.expression, child, root));
+  }
+  return [];
+}
+
+/**
+ * Converts a lodash path as used by the default `path` mode ("genres[*].name",
+ * "results.[0].title") to a JSONPath query ('$["genres"][*]["name"]'), so `[*]`
+ * in lodash paths has the same meaning as here. Digits become indexes.
+ */
+export function fromLodashPath(path) {
+  return '$' + _.toPath(path).map(key => {
+    if (key === '*') return '[*]';
+    if (/^\d+$/.test(key)) return `[${key}]`;
+    return `[${JSON.stringify(key)}]`;
+  }).join('');
+}
+
+/**
+ * True for a query that can match at most one value: names and single indexes
+ * only, no wildcards, filters, slices, unions or descendants ("$.results").
+ *
+ * @throws {JsonPathError} For an invalid query.
+ */
+export function isSingularJsonPath(query) {
+  return parseJsonPath(query).every(segment => !segment.descendants && segment.selectors.length === 1
+    && (segment.selectors[0].type === 'name' || segment.selectors[0].type === 'index'));
+}
+
+/**
+ * Runs a JSONPath query.
+ *
+ * @param {*} document - Parsed JSON.
+ * @param {string} query - e.g. "$.crew[?(@.job == 'Director')].name".
+ * @returns {Array} Matched values; empty when nothing matches.
+ * @throws {JsonPathError} For an invalid query.
+ */
+export function queryJsonPath(document, query) {
+  let nodes = [document];
+  for (const segment of parseJsonPath(query)) {
+    const targets = segment.descendants ? nodes.flatMap(descendants) : nodes;
+    nodes = targets.flatMap(node => segment.selectors.flatMap(selector => select(selector, node, document)));
+  }
+  return nodes;
+}
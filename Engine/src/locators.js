@@ -0,0 +1,65 @@
+/**
+ * Locator syntax shared by the engine and the CLI tools.
+ *
+ * - `xpath:<expression>` — XPath 1.0 expression, e.g.
+ *   `xpath://dt[normalize-space()='Runtime']/following-sibling::dd[1]`
+ * - `text:<text>` — deepest elements whose text content contains `<text>`
+ * - anything else is a CSS selector
+ *
+ * The prefixes are engine syntax, not Puppeteer's, so that the mobile engines
+ * can map them onto their own XPath / text-search APIs.
+ */
+export const LOCATOR_PREFIXES = {
+  XPATH: 'xpath:',
+  TEXT: 'text:'
+};
+
+/**
+ * Splits a locator string into its type and value.
+ *
+ * @param {string} locator
+ * @returns {{ type: 'css'|'xpath'|'text', value: string }}
+ */
+export function parseLocator(locator) {
+  const value = String(locator ?? '');
+  if (value.startsWith(LOCATOR_PREFIXES.XPATH)) {
+    return { type: 'xpath', value: value.slice(LOCATOR_PREFIXES.XPATH.length).trim() };
+  }
+  if (value.startsWith(LOCATOR_PREFIXES.TEXT)) {
+    return { type: 'text', value: value.slice(LOCATOR_PREFIXES.TEXT.length).trim() };
+  }
+  return { type: 'css', value };
+}
+
+/**
+ * Converts an engine locator into a selector accepted by Puppeteer's
+ * `page.$` / `page.$$` (which ship `xpath/` and `text/` query handlers).
+ */
+export function toPuppeteerSelector(locator) {
+  const { type, value } = parseLocator(locator);
+  switch (type) {
+    case 'xpath':
+      return `xpath/${value}`;
+    case 'text':
+      return `text/${value}`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Returns the elements matching a locator under `root` (a Puppeteer page or
+ * handle). An array of locators is an ordered fallback chain: the matches of
+ * the first alternative that matches anything win.
+ *
+ * @returns {Promise<{ elements: Array, index: number }>} `index` is the
+ *   alternative that matched, -1 when none did.
+ */
+export async function queryAllLocator(root, locator) {
+  const alternatives = [].concat(locator);
+  for (let index = 0; index < alternatives.length; index++) {
+    const elements = await root.$$(toPuppeteerSelector(alternatives[index]));
+    if (elements.length > 0) return { elements, index };
+  }
+  return { elements: [], index: -1 };
+}
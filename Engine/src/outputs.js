@@ -0,0 +1,57 @@
+/**
+ * Output declarations of recipe steps.
+ *
+ * Most commands write a single `step.output`. `parse_price` also writes the
+ * ISO currency code to a second variable, and `regex` writes named groups to
+ * their own variables; they are declared here so output filtering, type
+ * coercion and field validation treat them like any other output.
+ */
+
+export const DEFAULT_CURRENCY_OUTPUT = 'CURRENCY';
+
+/**
+ * Variable name for parse_price's currency: `config.currency_output`, or
+ * CURRENCY with the price output's index suffix (PRICE$i → CURRENCY$i).
+ */
+export function getCurrencyOutputName(step) {
+  if (step.config?.currency_output) return step.config.currency_output;
+  const suffix = step.output?.name?.match(/\$.*$/)?.[0] ?? '';
+  return `${DEFAULT_CURRENCY_OUTPUT}${suffix}`;
+}
+
+/**
+ * regex's named-group outputs from `config.groups`, which maps a group to an
+ * output name (sharing the primary output's `show` flag) or a full output
+ * object: `{ "year": "DATE$i" }`, `{ "year": { "name": "DATE$i", "type": "date" } }`.
+ *
+ * @returns {{ group: string, output: object }[]}
+ */
+export function getRegexGroupOutputs(step) {
+  if (step?.command !== 'regex' || !step.config?.groups) return [];
+  return Object.entries(step.config.groups)
+    .map(([group, output]) => ({
+      group,
+      output: typeof output === 'string' ? { name: output, show: step.output?.show } : output
+    }))
+    .filter(({ output }) => output?.name);
+}
+
+/**
+ * Lists every output a step declares, including those of the nested `steps`
+ * of block commands such as `paginate`. Secondary outputs share the primary
+ * output's `show` flag.
+ *
+ * @param {object} step - Recipe step.
+ * @returns {object[]} Output objects with at least a `name`.
+ */
+export function getStepOutputs(step) {
+  const nested = Array.isArray(step?.steps) ? step.steps.flatMap(getStepOutputs) : [];
+  const groups = getRegexGroupOutputs(step).map(({ output }) => output);
+  if (!step?.output?.name) return groups.concat(nested);
+
+  const outputs = [step.output];
+  if (step.command === 'parse_price') {
+    outputs.push({ name: getCurrencyOutputName(step), type: 'string', show: step.output.show });
+  }
+  return outputs.concat(groups, nested);
+}
@@ -0,0 +1,147 @@
+/**
+ * Price parsing for the `parse_price` command: amount plus ISO 4217 currency.
+ *
+ * The decimal separator of ambiguous amounts ("1.299", "1,299") and the
+ * currency behind a bare "$" or "kr" are taken from the region (`$SYSTEM_REGION`).
+ */
+
+const ISO_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'ISK',
+  'PLN', 'CZK', 'HUF', 'RON', 'RUB', 'TRY', 'BRL', 'MXN', 'ARS', 'CLP', 'COP', 'PEN', 'UYU',
+  'INR', 'KRW', 'HKD', 'SGD', 'TWD', 'ZAR', 'ILS', 'THB', 'PHP', 'IDR', 'MYR', 'VND', 'AED',
+];
+
+// Checked before the single-character symbols so "US$" is not read as "$".
+const PREFIXED_SYMBOLS = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'AU$': 'AUD',
+  'A$': 'AUD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  'MX$': 'MXN',
+  'R$': 'BRL',
+  'S$': 'SGD',
+  'NT$': 'TWD',
+};
+
+const SYMBOLS = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  '₪': 'ILS',
+  '฿': 'THB',
+  '₱': 'PHP',
+  '₫': 'VND',
+  'zł': 'PLN',
+  'Kč': 'CZK',
+};
+
+// Symbols shared by several currencies resolve through the region.
+const REGIONAL_SYMBOLS = {
+  '$': { default: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD', MX: 'MXN', AR: 'ARS', CL: 'CLP', CO: 'COP', UY: 'UYU', HK: 'HKD', SG: 'SGD', TW: 'TWD' },
+  '¥': { default: 'JPY', CN: 'CNY' },
+  'kr': { default: 'SEK', NO: 'NOK', DK: 'DKK', IS: 'ISK' },
+};
+
+// Regions that write "1.299,00"; everywhere else writes "1,299.00".
+const COMMA_DECIMAL_REGIONS = [
+  'AR', 'AT', 'BE', 'BR', 'CL', 'CO', 'CZ', 'DE', 'DK', 'ES', 'FI', 'FR', 'GR', 'HU', 'ID', 'IS', 'IT',
+  'NL', 'NO', 'PL', 'PT', 'RO', 'RU', 'SE', 'TR', 'UY', 'VN', 'ZA',
+];
+
+const AMOUNT = /\d+(?:[.,]\d+|[ '\u00A0\u202F]\d{3}(?!\d))*/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the decimal separator used in a region ("," or ".").
+ */
+export function getDecimalSeparator(region) {
+  return COMMA_DECIMAL_REGIONS.includes(String(region ?? '').toUpperCase()) ? ',' : '.';
+}
+
+/**
+ * Finds the ISO 4217 code for the first currency code or symbol in `text`.
+ *
+ * @returns {string} Empty string when no currency is recognized.
+ */
+export function detectCurrency(text, region) {
+  const code = text.match(new RegExp(`(?<![A-Za-z])(${ISO_CURRENCIES.join('|')})(?![A-Za-z])`));
+  if (code) return code[1];
+
+  for (const [symbol, currency] of Object.entries(PREFIXED_SYMBOLS)) {
+    if (new RegExp(`(?<![A-Za-z])${escapeRegExp(symbol)}`).test(text)) return currency;
+  }
+  for (const [symbol, currency] of Object.entries(SYMBOLS)) {
+    if (text.includes(symbol)) return currency;
+  }
+
+  const upperRegion = String(region ?? '').toUpperCase();
+  for (const [symbol, currencies] of Object.entries(REGIONAL_SYMBOLS)) {
+    const pattern = /^[a-z]+$/i.test(symbol) ? new RegExp(`(?<![A-Za-z])${symbol}(?![A-Za-z])`, 'i') : null;
+    if (pattern ? pattern.test(text) : text.includes(symbol)) {
+      return currencies[upperRegion] || currencies.default;
+    }
+  }
+  return '';
+}
+
+/**
+ * Converts an amount token to a number. Mixed separators settle themselves
+ * (the last one is decimal); a single separator followed by exactly three
+ * digits is ambiguous and follows the region.
+ */
+export function parseAmount(token, region) {
+  let text = token.replace(/[ '\u00A0\u202F]/g, '');
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  let decimal;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const groups = text.split(separator);
+    if (groups.length > 2) {
+      decimal = separator === '.' ? ',' : '.';
+    } else {
+      decimal = groups[1].length === 3 ? getDecimalSeparator(region) : separator;
+    }
+  }
+
+  if (decimal) {
+    const thousands = decimal === '.' ? ',' : '.';
+    text = text.split(thousands).join('').replace(decimal, '.');
+  }
+  return parseFloat(text);
+}
+
+/**
+ * Extracts the amount and currency from a price such as "$19.99",
+ * "19,99 €", "US$ 1.299,00" or "EUR 12".
+ *
+ * @param {*} value - Price text (or a bare number).
+ * @param {string} [region] - ISO 3166 region, e.g. "ES" or "US".
+ * @returns {{ amount: number, currency: string }|null} null when there is no amount.
+ */
+export function parsePrice(value, region) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { amount: value, currency: '' } : null;
+  }
+
+  const text = String(value ?? '').trim();
+  const match = text.match(AMOUNT);
+  if (!match) return null;
+
+  const amount = parseAmount(match[0], region);
+  if (!Number.isFinite(amount)) return null;
+
+  return { amount, currency: detectCurrency(text, region) };
+}
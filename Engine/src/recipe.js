@@ -1,6 +1,24 @@
 import { BrowserManager } from './browser.js';
 import { StepExecutor } from './commands.js';
 import { Log } from './logger.js';
+import { isEmptyValue } from './conditions.js';
+import { coerceValue } from './coercion.js';
+import { getFieldType } from './fieldValidator.js';
+import { combineLocale } from './dates.js';
+import { getStepOutputs } from './outputs.js';
+import { FILTER_CHAIN, applyFilters } from './filters.js';
+
+// Fields the apps open or load directly, so they must hold absolute URLs.
+const ABSOLUTE_URL_FIELDS = ['URL', 'COVER'];
+
+function isAbsoluteUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
 function cleanVariableValue(variableValue) {
   if (typeof variableValue == "string") {
@@ -19,9 +37,17 @@ export class RecipeEngine {
     VARIABLE_START_CHAR: '$'
   };
 
+  static OUTPUT_MODES = {
+    OVERWRITE: 'overwrite',
+    COALESCE: 'coalesce',
+    APPEND: 'append'
+  };
+
   constructor() {
 
     this.variables = {};
+    this.stepErrors = [];
+    this.requestPolicy = {};
     this.set(RecipeEngine.VARIABLE_NAMES.SYSTEM_LANGUAGE, process.env.SYSTEM_LANGUAGE);
     this.set(RecipeEngine.VARIABLE_NAMES.SYSTEM_REGION, process.env.SYSTEM_REGION);
     this.set(RecipeEngine.VARIABLE_NAMES.INPUT, '');
@@ -38,8 +64,38 @@ export class RecipeEngine {
     this.variables[key].push(cleanVariableValue(value));
   }
 
-  set(key, value) {
-    this.variables[key] = cleanVariableValue(value);
+  /**
+   * Stores a variable. Returns false when the value was discarded.
+   *
+   * - overwrite (default): always replace the current value
+   * - coalesce: only replace when the new value is non-empty
+   * - append: add non-empty values to a list, promoting an existing scalar
+   *
+   * Text is normally collapsed to a single trimmed line; `raw` keeps it as is
+   * (e.g. response bodies that later steps match line by line).
+   */
+  set(key, value, mode = RecipeEngine.OUTPUT_MODES.OVERWRITE, { raw = false } = {}) {
+    const cleanedValue = raw ? value : cleanVariableValue(value);
+
+    switch (mode) {
+      case RecipeEngine.OUTPUT_MODES.OVERWRITE:
+        break;
+      case RecipeEngine.OUTPUT_MODES.COALESCE:
+        if (isEmptyValue(cleanedValue)) return false;
+        break;
+      case RecipeEngine.OUTPUT_MODES.APPEND: {
+        if (isEmptyValue(cleanedValue)) return false;
+        const current = this.variables[key];
+        const list = Array.isArray(current) ? current : (isEmptyValue(current) ? [] : [current]);
+        this.variables[key] = list.concat(cleanedValue);
+        return true;
+      }
+      default:
+        Log.warn(`set: Unknown output mode "${mode}" for ${key}, overwriting`);
+    }
+
+    this.variables[key] = cleanedValue;
+    return true;
   }
 
   get(key, defaultValue = '') {
@@ -52,11 +108,34 @@ export class RecipeEngine {
     return this.variables;
   }
 
+  /**
+   * Records a step that failed for good (e.g. an api_request out of retries),
+   * so callers can tell a failed search from an empty one.
+   *
+   * @param {{ command: string, message: string }} error - Plus any command-specific details (url, status, attempts).
+   */
+  addStepError(error) {
+    this.stepErrors.push(error);
+  }
+
+  getStepErrors() {
+    return this.stepErrors;
+  }
+
   setInput(input) {
     let sanitizedInput = input.replace(/\\/g, '');
     this.set(RecipeEngine.VARIABLE_NAMES.INPUT, sanitizedInput);
   }
 
+  /**
+   * Substitutes `$NAME` references, each optionally followed by filters
+   * (`$INPUT|json`, `$YEAR|default:unknown`, see filters.js). A filtered
+   * reference to a variable that was never set filters an empty value.
+   *
+   * Substituted values are never rescanned, so a `$` in user input stays
+   * literal. The exception is a value completing a chained name
+   * (`$YEAR$i` → `$YEAR0`), which is inserted as text for the second pass.
+   */
   replaceVariablesinString(str) {     
     if (!str || typeof str !== 'string') {
       return str;
@@ -67,19 +146,30 @@ export class RecipeEngine {
     const sortedKeys = Object.keys(this.variables)
       .sort((a, b) => b.length - a.length);
 
+    const values = [];
     const doReplace = (input) =>
       sortedKeys.reduce((result, variable) => {
-        const regex = new RegExp(`\\$${variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'g');
-        const value = this.get(variable);
-        return result.replace(regex, value);
+        const regex = new RegExp(`\\$${variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(${FILTER_CHAIN})`, 'g');
+        return result.replace(regex, (match, chain, offset, whole) => {
+          const value = this.get(variable);
+          const prefix = whole.slice(0, offset).match(/\$([A-Za-z0-9_]+)$/)?.[1];
+          if (prefix && !sortedKeys.some(key => prefix.startsWith(key))) {
+            return String(value) + chain;
+          }
+          values.push(String(applyFilters(value, chain)));
+          return `\uE000${values.length - 1}\uE001`;
+        });
       }, input);
 
     // Two passes: resolves chained vars like $YEAR$i → $YEAR0 → "1991"
     let result = doReplace(str);
     if (result.includes('$')) {
       result = doReplace(result);
+      // Filtered references to variables that were never set
+      result = result.replace(new RegExp(`\\$[A-Za-z_][A-Za-z0-9_]*(${FILTER_CHAIN})`, 'g'), (match, chain) =>
+        chain ? String(applyFilters('', chain)) : match);
     }
-    return result;
+    return result.replace(/\uE000(\d+)\uE001/g, (placeholder, index) => values[index]);
   } 
 
   async initialize() {
@@ -143,14 +233,77 @@ export class RecipeEngine {
     // Override headers .env for recipe ones
     if (recipe.headers) await this.updateHeadersFromRecipe(recipe);
 
+    // Recipe-wide api_request timeout and retry defaults
+    this.requestPolicy = recipe.request_policy || {};
+
     // Set the input from the user
     this.setInput(input);
 
     await this.executeSteps(steps);
 
+    this.coerceOutputs(steps, stepType);
+    this.checkAbsoluteUrls(steps);
+
     return this.getAllVariables();
   }
 
+  /**
+   * Converts output variables to their declared `output.type` (or, for
+   * `show: true` fields, the type in schema/fields.json). Runs once after all
+   * steps so intermediate steps keep working on raw strings; when several
+   * steps write the same output, the last declaration wins. Dates are read
+   * in $SYSTEM_LANGUAGE and $SYSTEM_REGION, as parse_date does.
+   */
+  coerceOutputs(steps, stepType) {
+    const declarations = new Map();
+    for (const output of steps.flatMap(getStepOutputs)) {
+      const fieldName = output.name.replace(/\$[a-zA-Z]+/g, '');
+      const type = output.type || (output.show === true ? getFieldType(fieldName, stepType) : undefined);
+      if (type) declarations.set(output.name, { type, format: output.format });
+    }
+
+    const locale = combineLocale(this.get(RecipeEngine.VARIABLE_NAMES.SYSTEM_LANGUAGE), this.get(RecipeEngine.VARIABLE_NAMES.SYSTEM_REGION));
+    for (const [outputName, { type, format }] of declarations) {
+      for (const key of this.findOutputKeys(outputName)) {
+        const { ok, value } = coerceValue(this.variables[key], type, format, locale);
+        if (ok) {
+          this.variables[key] = value;
+        } else {
+          Log.warn(`Field "${key}": cannot convert "${String(value).substring(0, 80)}" to ${type}${format ? ` (${format})` : ''}, keeping raw value`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Warns about URL/COVER outputs that are not absolute URLs, which the apps
+   * cannot open. Values are left untouched; use resolve_url to fix them.
+   */
+  checkAbsoluteUrls(steps) {
+    const outputNames = new Set(steps.flatMap(getStepOutputs)
+      .map(output => output.name)
+      .filter(name => ABSOLUTE_URL_FIELDS.includes(name.replace(/\$[a-zA-Z]+/g, ''))));
+
+    for (const outputName of outputNames) {
+      for (const key of this.findOutputKeys(outputName)) {
+        const relative = [].concat(this.variables[key])
+          .filter(value => typeof value === 'string' && value !== '' && !isAbsoluteUrl(value));
+        if (relative.length > 0) {
+          Log.warn(`Field "${key}": "${relative[0].substring(0, 80)}" is not an absolute URL (use resolve_url)`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Variable keys written by an output name; `$i`-style indexes match any number
+   * (TITLE$i → TITLE1, TITLE2, ...).
+   */
+  findOutputKeys(outputName) {
+    const pattern = new RegExp('^' + outputName.replace(/[.*+?^{}()|[\]\\]/g, '\\$&').replace(/\$[a-zA-Z]+/g, '\\d+') + '$');
+    return Object.keys(this.variables).filter(key => pattern.test(key));
+  }
+
   async executeSteps(steps) {
     const totalSteps = steps.length;
     for (let i = 0; i < steps.length; i++) {
@@ -0,0 +1,171 @@
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { resolveIncludes, createMacroScope } from './includes.js';
+
+/**
+ * Reads recipe files, resolving `extends` and `include` steps.
+ *
+ * A recipe with `extends` (a path relative to it) starts from the resolved
+ * base recipe. Its other top-level properties are applied as a JSON merge
+ * patch (RFC 7386): objects such as `headers` merge key by key, `null` removes
+ * a key, anything else replaces. Each of its `*_steps` lists is a list of step
+ * patches applied in order:
+ *
+ * - `{ "id": "search", ... }` for a base step with that `id` (nested steps
+ *   included) merge-patches the step; `"remove": true` deletes it instead
+ * - any other step is added, at the end or next to `"before"` / `"after"` (an id)
+ *
+ * `before` / `after` on a patch with a known id move that step as well.
+ *
+ * Includes are expanded after the merge, so the child's `include` steps can
+ * use macros defined in its bases.
+ */
+
+const PLACEMENT_KEYS = ['remove', 'before', 'after'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStepList(key) {
+  return key.endsWith('_steps');
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7386) to a copy of `target`.
+ */
+export function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Finds the step with `id` in a step list or the nested `steps` of its blocks.
+ *
+ * @returns {{ list: object[], index: number, step: object }|null} The list holding the step, so it can be replaced or spliced.
+ */
+export function findStepById(steps, id) {
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    if (step?.id === id) return { list: steps, index, step };
+    if (Array.isArray(step?.steps)) {
+      const nested = findStepById(step.steps, id);
+      if (nested) return nested;
+    }
+  }
+  return null;
+}
+
+function collectStepIds(steps) {
+  return steps.flatMap(step => [
+    ...(step?.id !== undefined ? [step.id] : []),
+    ...(Array.isArray(step?.steps) ? collectStepIds(step.steps) : [])
+  ]);
+}
+
+function applyStepPatches(baseSteps, patches, stepType) {
+  const steps = structuredClone(baseSteps ?? []);
+
+  for (const patch of patches) {
+    const { remove, before, after } = patch;
+    const fields = Object.fromEntries(Object.entries(patch).filter(([key]) => !PLACEMENT_KEYS.includes(key)));
+    const found = patch.id !== undefined ? findStepById(steps, patch.id) : null;
+
+    if (remove) {
+      if (!found) throw new Error(`extends: No step "${patch.id}" to remove in ${stepType}`);
+      found.list.splice(found.index, 1);
+      continue;
+    }
+
+    let step = fields;
+    if (found) {
+      step = mergePatch(found.step, fields);
+      if (before === undefined && after === undefined) {
+        found.list[found.index] = step;
+        continue;
+      }
+      found.list.splice(found.index, 1);
+    }
+
+    const anchorId = before ?? after;
+    if (anchorId === undefined) {
+      steps.push(step);
+      continue;
+    }
+    const anchor = findStepById(steps, anchorId);
+    if (!anchor) throw new Error(`extends: No step "${anchorId}" to insert ${before !== undefined ? 'before' : 'after'} in ${stepType}`);
+    anchor.list.splice(anchor.index + (before !== undefined ? 0 : 1), 0, step);
+  }
+
+  return steps;
+}
+
+/**
+ * Applies a child recipe (without its `extends`) on top of a resolved base.
+ */
+export function extendRecipe(base, child) {
+  const overrides = { ...child };
+  delete overrides.extends;
+  const metadata = Object.fromEntries(Object.entries(overrides).filter(([key]) => !isStepList(key)));
+  const extended = mergePatch(Object.fromEntries(Object.entries(base).filter(([key]) => !isStepList(key))), metadata);
+
+  for (const key of new Set([...Object.keys(base), ...Object.keys(overrides)].filter(isStepList))) {
+    if (overrides[key] === null) continue;
+    extended[key] = Array.isArray(overrides[key])
+      ? applyStepPatches(base[key], overrides[key], key)
+      : structuredClone(base[key]);
+  }
+  return extended;
+}
+
+function checkUniqueStepIds(recipe, recipePath) {
+  for (const key of Object.keys(recipe).filter(isStepList)) {
+    if (!Array.isArray(recipe[key])) continue;
+    const ids = collectStepIds(recipe[key]);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(`Duplicate step id "${duplicate}" in ${key} of ${recipePath} (give each include of the same macro its own id)`);
+    }
+  }
+}
+
+/**
+ * Reads a recipe and returns it flattened: base recipes merged in and
+ * `include` steps expanded (see includes.js).
+ *
+ * @param {string} recipePath
+ * @returns {Promise<object>}
+ * @throws {SyntaxError} For invalid JSON.
+ * @throws {Error} For unreadable or circular bases, unknown step ids and include errors.
+ */
+export async function loadRecipeFile(recipePath) {
+  return (await loadRecipeWithScope(recipePath, [])).recipe;
+}
+
+// Also returns the recipe's macro scope, which recipes extending it include from
+async function loadRecipeWithScope(recipePath, chain) {
+  const path = resolve(recipePath);
+  if (chain.includes(path)) {
+    throw new Error(`extends: Circular extends ${[...chain, path].join(' → ')}`);
+  }
+
+  const recipe = JSON.parse(await readFile(path, 'utf-8'));
+  let resolved = recipe;
+  let base;
+  if (recipe.extends) {
+    base = await loadRecipeWithScope(resolve(dirname(path), recipe.extends), [...chain, path]);
+    resolved = extendRecipe(base.recipe, recipe);
+  }
+
+  resolved = await resolveIncludes(resolved, path, base?.scope);
+  checkUniqueStepIds(resolved, path);
+  return { recipe: resolved, scope: createMacroScope(recipe, path, base?.scope) };
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal XML parser for `api_request` with `response_type: "xml"` (RSS,
+ * Atom, sitemaps). Produces a JSON-like tree that `json_store_text` and
+ * `json_count` can query with the usual lodash paths:
+ *
+ * - an element with only text becomes a string: `rss.channel.title`
+ * - attributes are `@`-prefixed keys: `rss.channel.item[0].enclosure.@url`
+ * - text next to attributes or child elements is under `#text`
+ * - repeated elements become arrays; LIST_TAGS are arrays even when single
+ * - namespace prefixes are kept: `rss.channel.itunes:author`
+ *
+ * DTDs, processing instructions and comments are skipped; CDATA is text.
+ */
+
+// Feed and sitemap entries, so `item[0]` and json_count work with one entry.
+// Sitemap tags only count under their sitemap parent: RSS `<image><url>` is text.
+const LIST_TAGS = new Map([
+  ['item', null],
+  ['entry', null],
+  ['url', 'urlset'],
+  ['sitemap', 'sitemapindex'],
+]);
+
+function isListTag(name, parentName) {
+  const parent = LIST_TAGS.get(name);
+  return parent === null || parent === parentName;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/gi;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decodes the predefined XML entities and numeric character references.
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code] ?? entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attributes[`@${match[1]}`] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function toValue(node) {
+  const value = { ...node.attributes };
+  const names = new Set();
+
+  for (const child of node.children) {
+    const childValue = toValue(child);
+    if (names.has(child.name)) {
+      value[child.name] = [].concat(value[child.name], [childValue]);
+    } else {
+      value[child.name] = isListTag(child.name, node.name) ? [childValue] : childValue;
+      names.add(child.name);
+    }
+  }
+
+  const text = node.text.join('').trim();
+  if (Object.keys(value).length === 0) return text;
+  if (text) value['#text'] = text;
+  return value;
+}
+
+/**
+ * Parses an XML document into a tree keyed by the root element name.
+ *
+ * @param {string} xml
+ * @returns {object|null} null when the text contains no element.
+ */
+export function parseXml(xml) {
+  const root = { name: '', attributes: {}, children: [], text: [] };
+  const stack = [root];
+
+  for (const match of String(xml ?? '').matchAll(TOKEN)) {
+    const [, cdata, closeName, openName, attributeSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      parent.text.push(cdata);
+    } else if (text !== undefined) {
+      parent.text.push(decodeEntities(text));
+    } else if (openName !== undefined) {
+      const node = { name: openName, attributes: parseAttributes(attributeSource), children: [], text: [] };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closeName !== undefined) {
+      // Tolerate unclosed elements: close up to the matching open tag, if any
+      const index = stack.findLastIndex(node => node.name === closeName);
+      if (index > 0) stack.length = index;
+    }
+  }
+
+  const [documentElement] = root.children;
+  return documentElement ? { [documentElement.name]: toValue(documentElement) } : null;
+}
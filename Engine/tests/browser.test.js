@@ -0,0 +1,326 @@
+import { expect, test, describe, spyOn } from "bun:test";
+import { Log } from '../src/logger.js';
+
+Log.setDebug(false);
+
+// Other suites mock '../src/browser.js' for the whole test run, so load the
+// real module under a distinct specifier.
+const { BrowserManager } = await import('../src/browser.js?real');
+
+// Puppeteer is never launched: each test plugs in a fake page whose $/$$
+// resolve from a map of selector → matched elements.
+function createManager(dom) {
+  const manager = new BrowserManager();
+  const queried = [];
+  manager.page = {
+    $: async (selector) => { queried.push(selector); return dom[selector]?.[0] ?? null; },
+    $$: async (selector) => { queried.push(selector); return dom[selector] ?? []; }
+  };
+  return { manager, queried };
+}
+
+// ============================================================
+// querySelector — single selectors and fallback chains
+// ============================================================
+describe("BrowserManager — querySelector", () => {
+
+  test("single selector behaves as page.$", async () => {
+    const { manager } = createManager({ "h1": ["<h1>"] });
+    expect(await manager.querySelector("h1")).toBe("<h1>");
+    expect(await manager.querySelector("h2")).toBe(null);
+  });
+
+  test("returns the first alternative that matches", async () => {
+    const { manager, queried } = createManager({
+      "h1.title-b": ["<h1 class=title-b>"],
+      "h1": ["<h1>"]
+    });
+    const element = await manager.querySelector(["h1.title-a", "h1.title-b", "h1"]);
+    expect(element).toBe("<h1 class=title-b>");
+    // Stops as soon as an alternative matches
+    expect(queried).toEqual(["h1.title-a", "h1.title-b"]);
+  });
+
+  test("returns null when no alternative matches", async () => {
+    const { manager } = createManager({});
+    expect(await manager.querySelector(["a", "b"])).toBe(null);
+  });
+});
+
+describe("BrowserManager — xpath: and text: locators", () => {
+
+  test("translates xpath: locators for page.$", async () => {
+    const { manager, queried } = createManager({ "xpath///dt[.='Runtime']/following-sibling::dd[1]": ["<dd>"] });
+    expect(await manager.querySelector("xpath://dt[.='Runtime']/following-sibling::dd[1]")).toBe("<dd>");
+    expect(queried).toEqual(["xpath///dt[.='Runtime']/following-sibling::dd[1]"]);
+  });
+
+  test("mixes CSS, xpath: and text: in a fallback chain", async () => {
+    const { manager, queried } = createManager({ "text/Pages:": ["<span>"] });
+    const element = await manager.querySelector(["span.pages", "xpath://span[@itemprop='numberOfPages']", "text:Pages:"]);
+    expect(element).toBe("<span>");
+    expect(queried).toEqual(["span.pages", "xpath///span[@itemprop='numberOfPages']", "text/Pages:"]);
+  });
+
+  test("countElements translates locators too", async () => {
+    const { manager } = createManager({ "xpath///li": [1, 2, 3, 4] });
+    expect(await manager.countElements("xpath://li")).toBe(4);
+  });
+});
+
+// ============================================================
+// countElements — fallback chains
+// ============================================================
+describe("BrowserManager — countElements", () => {
+
+  test("counts a single selector", async () => {
+    const { manager } = createManager({ "div.season": [1, 2, 3] });
+    expect(await manager.countElements("div.season")).toBe(3);
+  });
+
+  test("counts the first alternative with matches", async () => {
+    const { manager } = createManager({ "li.season": [1, 2] });
+    expect(await manager.countElements(["div.season", "li.season"])).toBe(2);
+  });
+
+  test("returns 0 when no alternative matches", async () => {
+    const { manager } = createManager({});
+    expect(await manager.countElements(["div.season", "li.season"])).toBe(0);
+  });
+});
+
+// ============================================================
+// Page interaction
+// ============================================================
+describe("BrowserManager — interaction", () => {
+
+  // Fake element handle recording what was done to it
+  function createElement(props = {}) {
+    const actions = [];
+    const node = { value: "old", textContent: "", ...props };
+    return {
+      actions,
+      node,
+      click: async () => actions.push("click"),
+      focus: async () => actions.push("focus"),
+      type: async (text, options) => actions.push(["type", text, options]),
+      press: async (key) => actions.push(["press", key]),
+      evaluate: async (fn, ...args) => fn(node, ...args)
+    };
+  }
+
+  test("click returns false when nothing matches", async () => {
+    const { manager } = createManager({});
+    expect(await manager.click("button.more")).toBe(false);
+  });
+
+  test("click uses the first matching alternative", async () => {
+    const element = createElement();
+    const { manager } = createManager({ "text/Show more": [element] });
+    expect(await manager.click(["button.more", "text:Show more"])).toBe(true);
+    expect(element.actions).toEqual(["click"]);
+  });
+
+  test("type clears the field first", async () => {
+    const element = createElement();
+    const { manager } = createManager({ "#q": [element] });
+    expect(await manager.type("#q", "matrix", { delay: 20 })).toBe(true);
+    expect(element.node.value).toBe("");
+    expect(element.actions).toEqual(["focus", ["type", "matrix", { delay: 20 }]]);
+  });
+
+  test("type keeps the value with clear: false", async () => {
+    const element = createElement();
+    const { manager } = createManager({ "#q": [element] });
+    await manager.type("#q", "x", { clear: false });
+    expect(element.node.value).toBe("old");
+  });
+
+  test("pressKey uses the keyboard without a selector", async () => {
+    const { manager } = createManager({});
+    const pressed = [];
+    manager.page.keyboard = { press: async (key) => pressed.push(key) };
+    expect(await manager.pressKey("Enter")).toBe(true);
+    expect(pressed).toEqual(["Enter"]);
+  });
+
+  test("pressKey on an element", async () => {
+    const element = createElement();
+    const { manager } = createManager({ "#q": [element] });
+    expect(await manager.pressKey("Enter", "#q")).toBe(true);
+    expect(element.actions).toEqual([["press", "Enter"]]);
+    expect(await manager.pressKey("Enter", "#missing")).toBe(false);
+  });
+
+  test("selectOption matches value, then label", async () => {
+    const events = [];
+    const options = [{ value: "us", textContent: " United States " }, { value: "es", textContent: "Spain" }];
+    const element = createElement({ options, dispatchEvent: (event) => events.push(event.type) });
+    const { manager } = createManager({ "select": [element] });
+
+    expect(await manager.selectOption("select", "es")).toBe("es");
+    expect(await manager.selectOption("select", "United States")).toBe("us");
+    expect(element.node.value).toBe("us");
+    expect(events).toEqual(["input", "change", "input", "change"]);
+    expect(await manager.selectOption("select", "France")).toBe(null);
+  });
+
+  test("scroll brings an element into view", async () => {
+    const scrolled = [];
+    const element = createElement({ scrollIntoView: (options) => scrolled.push(options) });
+    const { manager } = createManager({ "div.reviews": [element] });
+    expect(await manager.scroll({ selector: "div.reviews" })).toBe(true);
+    expect(scrolled).toEqual([{ block: "center" }]);
+    expect(await manager.scroll({ selector: "div.missing" })).toBe(false);
+  });
+
+  test("scroll the window", async () => {
+    const { manager } = createManager({});
+    const evaluated = [];
+    manager.page.evaluate = async (fn, ...args) => evaluated.push(args);
+    await manager.scroll();
+    await manager.scroll({ by: 500 });
+    expect(evaluated).toEqual([["bottom", undefined], ["bottom", 500]]);
+  });
+});
+
+// ============================================================
+// Waits — waitFor and loadPage
+// ============================================================
+describe("BrowserManager — waits", () => {
+
+  // Fake page whose waits resolve from `dom` / `responses` and reject otherwise
+  function createWaitingManager({ dom = {}, responses = [], url = "https://example.com/" } = {}) {
+    const { manager } = createManager(dom);
+    const calls = [];
+    Object.assign(manager.page, {
+      url: () => url,
+      goto: async (target) => { calls.push(["goto", target]); },
+      waitForSelector: async (selector, options) => {
+        calls.push(["selector", selector, options]);
+        if (!dom[selector]) throw new Error(`Waiting for selector \`${selector}\` failed`);
+        return dom[selector][0];
+      },
+      waitForNetworkIdle: async (options) => { calls.push(["network_idle", options]); },
+      waitForResponse: async (predicate, options) => {
+        calls.push(["response", options]);
+        const match = responses.find(responseUrl => predicate({ url: () => responseUrl }));
+        if (!match) throw new Error("Timed out");
+        return match;
+      }
+    });
+    return { manager, calls, setUrl: (next) => { url = next; } };
+  }
+
+  test("selector wait resolves with any fallback alternative", async () => {
+    const { manager, calls } = createWaitingManager({ dom: { "text/Results": [{}] } });
+    expect(await manager.waitFor({ selector: ["div.results", "text:Results"], timeout: 500 })).toBe(true);
+    expect(calls).toEqual([
+      ["selector", "div.results", { timeout: 500, visible: false }],
+      ["selector", "text/Results", { timeout: 500, visible: false }]
+    ]);
+  });
+
+  test("selector wait returns false on timeout", async () => {
+    const { manager } = createWaitingManager();
+    expect(await manager.waitFor({ selector: "div.results", visible: true })).toBe(false);
+  });
+
+  test("network idle uses the given window and the default timeout", async () => {
+    const { manager, calls } = createWaitingManager();
+    expect(await manager.waitFor({ network_idle: 750 })).toBe(true);
+    expect(calls).toEqual([["network_idle", { idleTime: 750, timeout: BrowserManager.DEFAULT_WAIT_TIMEOUT }]]);
+  });
+
+  test("URL wait polls until the pattern matches", async () => {
+    const { manager, setUrl } = createWaitingManager();
+    setTimeout(() => setUrl("https://example.com/search?q=matrix"), 150);
+    expect(await manager.waitFor({ url: "/search\\?q=", timeout: 2000 })).toBe(true);
+    expect(await manager.waitFor({ url: "/title/", timeout: 150 })).toBe(false);
+  });
+
+  test("response wait matches the response URL", async () => {
+    const { manager } = createWaitingManager({ responses: ["https://example.com/api/search?q=x"] });
+    expect(await manager.waitFor({ response: "/api/search" })).toBe(true);
+    expect(await manager.waitFor({ response: "/api/details" })).toBe(false);
+  });
+
+  test("a condition-less wait is rejected", async () => {
+    const { manager } = createWaitingManager();
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    expect(await manager.waitFor({ timeout: 100 })).toBe(false);
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test("loadPage arms response waits before navigating", async () => {
+    const { manager, calls } = createWaitingManager({ dom: { "ul.results": [{}] }, responses: ["https://example.com/api"] });
+    await manager.loadPage("https://example.com/", {
+      waitFor: [{ selector: "ul.results", timeout: 3000 }, { response: "/api", timeout: 5000 }]
+    });
+    expect(calls.map(call => call[0])).toEqual(["response", "goto", "selector"]);
+    expect(calls[2][2].timeout).toBe(3000);
+  });
+});
+
+// ============================================================
+// Detached documents — querying HTML without navigating
+// ============================================================
+describe("BrowserManager — HTML query root", () => {
+
+  function createParsingManager() {
+    const { manager } = createManager({});
+    const parsed = [];
+    manager.page.evaluateHandle = async (fn, html) => {
+      parsed.push(html);
+      return {
+        dispose: async () => {},
+        $: async (selector) => selector === "li" ? { html } : null,
+        $$: async (selector) => selector === "li" ? [{}, {}] : [],
+        $$eval: async () => ['{"@type":"Movie"}']
+      };
+    };
+    manager.page.goto = async () => {};
+    manager.page.waitForNetworkIdle = async () => {};
+    return { manager, parsed };
+  }
+
+  test("queries the parsed HTML instead of the page", async () => {
+    const { manager, parsed } = createParsingManager();
+    expect(await manager.querySelector("li", "<ul><li>A</li></ul>")).toEqual({ html: "<ul><li>A</li></ul>" });
+    expect(await manager.countElements("li", "<ul><li>A</li></ul>")).toBe(2);
+    expect(await manager.getJsonLdBlocks("<ul><li>A</li></ul>")).toEqual(['{"@type":"Movie"}']);
+    expect(parsed).toEqual(["<ul><li>A</li></ul>"]);
+  });
+
+  test("parses again for new HTML or after a page load", async () => {
+    const { manager, parsed } = createParsingManager();
+    await manager.querySelector("li", "<p>1</p>");
+    await manager.querySelector("li", "<p>2</p>");
+    await manager.loadPage("https://example.com/", { waitFor: [{ network_idle: 100 }] });
+    await manager.querySelector("li", "<p>2</p>");
+    expect(parsed).toEqual(["<p>1</p>", "<p>2</p>", "<p>2</p>"]);
+  });
+
+  test("parses again after a click, typing, a key press or a wait", async () => {
+    const { manager, parsed } = createParsingManager();
+    manager.page.$ = async () => ({ click: async () => {}, focus: async () => {}, type: async () => {}, evaluate: async () => {} });
+    manager.page.keyboard = { press: async () => {} };
+    await manager.querySelector("li", "<p>1</p>");
+    await manager.click("button.next");
+    await manager.querySelector("li", "<p>1</p>");
+    await manager.type("#q", "x");
+    await manager.querySelector("li", "<p>1</p>");
+    await manager.pressKey("Enter");
+    await manager.querySelector("li", "<p>1</p>");
+    await manager.waitFor({ network_idle: 100 });
+    await manager.querySelector("li", "<p>1</p>");
+    expect(parsed.length).toBe(5);
+  });
+
+  test("without HTML the page is queried", async () => {
+    const { manager, parsed } = createParsingManager();
+    expect(await manager.querySelector("li")).toBe(null);
+    expect(parsed).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { expect, test, describe } from "bun:test";
+import { parseNumber, coerceValue } from '../src/coercion.js';
+
+// ============================================================
+// parseNumber — shapes seen in RATING / PAGES / PRICE fields
+// ============================================================
+describe("parseNumber", () => {
+
+  test("reads the first number in free text", () => {
+    expect(parseNumber("8.8/10")).toBe(8.8);
+    expect(parseNumber("Rating: 4.25 stars")).toBe(4.25);
+    expect(parseNumber("86%")).toBe(86);
+  });
+
+  test("strips thousands separators", () => {
+    expect(parseNumber("1,234 pages")).toBe(1234);
+    expect(parseNumber("12,345,678 ratings")).toBe(12345678);
+    expect(parseNumber("1.234.567")).toBe(1234567);
+    expect(parseNumber("1 234")).toBe(1234);
+  });
+
+  test("handles decimal commas", () => {
+    expect(parseNumber("4,5")).toBe(4.5);
+    expect(parseNumber("19,99 €")).toBe(19.99);
+    expect(parseNumber("US$ 1.299,00")).toBe(1299);
+    expect(parseNumber("$1,299.50")).toBe(1299.5);
+  });
+
+  test("keeps negative numbers and passes numbers through", () => {
+    expect(parseNumber("-33.8688")).toBe(-33.8688);
+    expect(parseNumber(7)).toBe(7);
+  });
+
+  test("returns NaN without digits", () => {
+    expect(parseNumber("N/A")).toBeNaN();
+    expect(parseNumber(undefined)).toBeNaN();
+  });
+});
+
+// ============================================================
+// coerceValue
+// ============================================================
+describe("coerceValue", () => {
+
+  test("float and integer", () => {
+    expect(coerceValue("8.8/10", "float")).toEqual({ ok: true, value: 8.8 });
+    expect(coerceValue("1,234 pages", "integer")).toEqual({ ok: true, value: 1234 });
+    expect(coerceValue("24 episodes", "int")).toEqual({ ok: true, value: 24 });
+  });
+
+  test("date defaults to ISO, or uses the given format", () => {
+    expect(coerceValue("March 31, 1999", "date")).toEqual({ ok: true, value: "1999-03-31" });
+    expect(coerceValue("1999-03-31T00:00:00Z", "date", "YYYY")).toEqual({ ok: true, value: "1999" });
+    expect(coerceValue("(1999)", "date")).toEqual({ ok: true, value: "1999" });
+  });
+
+  test("date reads ambiguous numeric dates in the locale", () => {
+    expect(coerceValue("03/04/2020", "date")).toEqual({ ok: true, value: "2020-03-04" });
+    expect(coerceValue("03/04/2020", "date", undefined, "es")).toEqual({ ok: true, value: "2020-04-03" });
+    expect(coerceValue("03/04/2020", "date", undefined, "en-GB")).toEqual({ ok: true, value: "2020-04-03" });
+  });
+
+  test("string stringifies numbers but leaves lists alone", () => {
+    expect(coerceValue(2010, "string")).toEqual({ ok: true, value: "2010" });
+    expect(coerceValue(["Drama", "Crime"], "string")).toEqual({ ok: true, value: ["Drama", "Crime"] });
+  });
+
+  test("json parses strings", () => {
+    expect(coerceValue('{"a":1}', "json")).toEqual({ ok: true, value: { a: 1 } });
+  });
+
+  test("arrays are coerced item by item", () => {
+    expect(coerceValue(["4.5", "3,9"], "float")).toEqual({ ok: true, value: [4.5, 3.9] });
+  });
+
+  test("failure keeps the raw value", () => {
+    expect(coerceValue("N/A", "float")).toEqual({ ok: false, value: "N/A" });
+    expect(coerceValue("Coming soon", "date")).toEqual({ ok: false, value: "Coming soon" });
+    expect(coerceValue("2020-13-45", "date", "YYYY")).toEqual({ ok: false, value: "2020-13-45" });
+    expect(coerceValue("{broken", "json")).toEqual({ ok: false, value: "{broken" });
+  });
+
+  test("empty values and unknown types pass through", () => {
+    expect(coerceValue("", "float")).toEqual({ ok: true, value: "" });
+    expect(coerceValue(undefined, "date")).toEqual({ ok: true, value: undefined });
+    expect(coerceValue("x", "color")).toEqual({ ok: true, value: "x" });
+  });
+});
@@ -11,6 +11,13 @@ function silenceErrors(fn) {
   };
 }
 
+function silenceWarnings(fn) {
+  return async () => {
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    try { await fn(); } finally { spy.mockRestore(); }
+  };
+}
+
 import { mock } from "bun:test";
 
 mock.module('../src/browser.js', () => ({
@@ -24,6 +31,13 @@ mock.module('../src/browser.js', () => ({
     async querySelector() { return null; }
     async countElements() { return 0; }
     async setCookies() {}
+    async getJsonLdBlocks() { return []; }
+    async click() { return false; }
+    async type() { return false; }
+    async pressKey() { return true; }
+    async selectOption() { return null; }
+    async scroll() { return true; }
+    async waitFor() { return true; }
   }
 }));
 
@@ -193,6 +207,81 @@ describe("StepExecutor — executeRegexStep", () => {
   }));
 });
 
+// ============================================================
+// executeRegexStep — flags, mode, named groups, on_no_match
+// ============================================================
+describe("StepExecutor — executeRegexStep options", () => {
+
+  const regex = async (input, expression, config, output = { name: "X" }) => {
+    const { engine, executor } = createExecutor();
+    engine.set("RAW", input);
+    const result = await executor.executeRegexStep({ command: "regex", input: "$RAW", expression, config, output });
+    return { engine, result };
+  };
+
+  test("flags replace the default gs", async () => {
+    expect((await regex("Director: Nolan", "director:\\s*(\\w+)", { flags: "i" })).result).toBe("Nolan");
+    expect((await regex("Director: Nolan", "director:\\s*(\\w+)")).result).toBe("Director: Nolan");
+  });
+
+  test("mode all returns every match", async () => {
+    const { result } = await regex("Drama, Crime , Thriller", "([^,]+)", { mode: "all" });
+    expect(result).toEqual(["Drama", "Crime", "Thriller"]);
+  });
+
+  test("named groups are written to their own outputs", async () => {
+    const { engine, result } = await regex("The Matrix (1999)", "(?<title>.+?)\\s*\\((?<year>\\d{4})\\)", {
+      groups: { year: "DATE", title: { name: "TITLE", type: "string", show: true } }
+    }, { name: "TITLE_RAW" });
+
+    expect(result).toBe("The Matrix");
+    expect(engine.get("DATE")).toBe("1999");
+    expect(engine.get("TITLE")).toBe("The Matrix");
+  });
+
+  test("named groups with mode all get a list per group", async () => {
+    const { engine } = await regex("S1: 10 episodes, S2: 8 episodes", "S(?<season>\\d+): (?<episodes>\\d+)", {
+      mode: "all", groups: { season: "SEASONS", episodes: "EPISODES" }
+    });
+    expect(engine.get("SEASONS")).toEqual(["1", "2"]);
+    expect(engine.get("EPISODES")).toEqual(["10", "8"]);
+  });
+
+  test("on_no_match chooses what a failed match returns", async () => {
+    expect((await regex("no numbers", "(\\d+)", { on_no_match: "input" })).result).toBe("no numbers");
+    expect((await regex("no numbers", "(\\d+)", { on_no_match: "empty" })).result).toBe("");
+    expect((await regex("no numbers", "(\\d+)", { on_no_match: "default", default: "0" })).result).toBe("0");
+
+    const { engine } = await regex("no year", "\\((?<year>\\d{4})\\)", { on_no_match: "empty", groups: { year: "DATE" } });
+    expect(engine.get("DATE")).toBe("");
+  });
+
+  test("invalid expressions and flags fall back like a failed match", silenceErrors(async () => {
+    expect((await regex("text", "(", { on_no_match: "empty" })).result).toBe("");
+    expect((await regex("text", "t", { flags: "q" })).result).toBe("text");
+  }));
+
+  test("unknown mode or on_no_match returns empty string", silenceErrors(async () => {
+    expect((await regex("text", "t", { mode: "last" })).result).toBe("");
+    expect((await regex("text", "t", { on_no_match: "null" })).result).toBe("");
+  }));
+
+  test("group outputs follow the loop index", async () => {
+    const { engine } = createExecutor();
+    engine.set("RAW1", "Alien (1979)");
+    engine.set("RAW2", "Aliens (1986)");
+
+    await engine.stepExecutor.execute({
+      command: "regex", input: "$RAW$i", expression: "(?<title>.+?) \\((?<year>\\d{4})\\)",
+      config: { groups: { year: "DATE$i" }, loop: { index: "i", from: 1, to: 2, step: 1 } },
+      output: { name: "TITLE$i" }
+    });
+    expect(engine.get("TITLE2")).toBe("Aliens");
+    expect(engine.get("DATE1")).toBe("1979");
+    expect(engine.get("DATE2")).toBe("1986");
+  });
+});
+
 // ============================================================
 // executeStoreStep — from multiple recipes
 // ============================================================
@@ -480,6 +569,222 @@ describe("StepExecutor — executeJsonCountStep", () => {
   }));
 });
 
+// ============================================================
+// JSONPath queries (config.query) — TMDB credits, iTunes lookup
+// ============================================================
+describe("StepExecutor — JSONPath queries", () => {
+
+  const credits = {
+    cast: [{ name: "Christian Bale", character: "Bruce Wayne" }],
+    crew: [
+      { name: "Hans Zimmer", job: "Original Music Composer" },
+      { name: "Christopher Nolan", job: "Director" },
+      { name: "Christopher Nolan", job: "Screenplay" },
+      { name: "Jonathan Nolan", job: "Screenplay" }
+    ]
+  };
+
+  test("stores the first match of a filter", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", JSON.stringify(credits));
+
+    const result = await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON",
+      locator: "$.crew[?(@.job == 'Director')].name",
+      config: { query: "jsonpath" }, output: { name: "AUTHOR" }
+    });
+    expect(result).toBe("Christopher Nolan");
+  });
+
+  test("match: all stores every match", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", credits);
+
+    const result = await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON",
+      locator: "$.crew[?(@.job == 'Screenplay')].name",
+      config: { query: "jsonpath", match: "all" }, output: { name: "WRITERS" }
+    });
+    expect(result).toEqual(["Christopher Nolan", "Jonathan Nolan"]);
+  });
+
+  test("variables are substituted into the query", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", {
+      results: [
+        { wrapperType: "collection", collectionName: "Abbey Road", artworkUrl100: "small.jpg" },
+        { wrapperType: "track", trackName: "Come Together", trackNumber: 1 },
+        { wrapperType: "track", trackName: "Something", trackNumber: 2 }
+      ]
+    });
+    engine.set("TRACK", 2);
+
+    const result = await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON",
+      locator: "$.results[?(@.wrapperType == 'track' && @.trackNumber == $TRACK)].trackName",
+      config: { query: "jsonpath" }, output: { name: "SONG" }
+    });
+    expect(result).toBe("Something");
+  });
+
+  test("no match stores undefined, like a missing path", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", credits);
+
+    const result = await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON",
+      locator: "$.crew[?(@.job == 'Producer')].name",
+      config: { query: "jsonpath" }, output: { name: "PRODUCER" }
+    });
+    expect(result).toBeUndefined();
+  });
+
+  test("invalid queries and unknown query languages return empty string", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", credits);
+
+    expect(await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON", locator: "crew[0].name",
+      config: { query: "jsonpath" }, output: { name: "X" }
+    })).toBe("");
+    expect(await executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON", locator: "crew[0].name",
+      config: { query: "jmespath" }, output: { name: "X" }
+    })).toBe("");
+  }));
+
+  test("json_count counts matches", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", credits);
+
+    const result = await executor.executeJsonCountStep({
+      command: "json_count", input: "$JSON",
+      locator: "$.crew[?(@.name =~ /nolan/i)]",
+      config: { query: "jsonpath" }, output: { name: "COUNT" }
+    });
+    expect(result).toBe("3");
+  });
+
+  test("for_each iterates over matches", async () => {
+    const { engine } = createExecutor();
+    engine.set("JSON", credits);
+
+    await engine.stepExecutor.execute({
+      command: "for_each", input: "$JSON", locator: "$.crew[?(@.job == 'Screenplay')]",
+      config: { query: "jsonpath", item: "MEMBER" },
+      steps: [{ command: "json_store_text", input: "$MEMBER", locator: "name", output: { name: "WRITER$i" } }]
+    });
+    expect(engine.get("WRITER0")).toBe("Christopher Nolan");
+    expect(engine.get("WRITER1")).toBe("Jonathan Nolan");
+  });
+
+  test("a plain path to an array counts and iterates its elements", async () => {
+    const { engine } = createExecutor();
+    engine.set("JSON", credits);
+
+    for (const locator of ["$.crew", "$.crew[*]"]) {
+      await engine.stepExecutor.execute({
+        command: "json_count", input: "$JSON", locator, config: { query: "jsonpath" }, output: { name: "COUNT" }
+      });
+      expect(engine.get("COUNT")).toBe(String(credits.crew.length));
+    }
+
+    await engine.stepExecutor.execute({
+      command: "for_each", input: "$JSON", locator: "$.crew", config: { query: "jsonpath", item: "MEMBER" },
+      steps: [{ command: "json_store_text", input: "$MEMBER", locator: "name", output: { name: "CREW$i" } }]
+    });
+    expect(engine.findOutputKeys("CREW$i").length).toBe(credits.crew.length);
+  });
+
+  test("a filter matching one array counts as one match", async () => {
+    const { engine } = createExecutor();
+    engine.set("JSON", { lists: [{ id: 1, items: ["a", "b", "c"] }, { id: 2, items: [] }] });
+
+    await engine.stepExecutor.execute({
+      command: "json_count", input: "$JSON", locator: "$.lists[?(@.id == 1)].items", config: { query: "jsonpath" }, output: { name: "COUNT" }
+    });
+    expect(engine.get("COUNT")).toBe("1");
+  });
+
+  test("$INPUT|json is a safe filter operand", async () => {
+    const { engine } = createExecutor();
+    engine.setInput(`Ocean's "Eleven"`);
+    engine.set("JSON", { results: [{ title: `Ocean's "Eleven"`, id: 11 }, { title: "Heat", id: 12 }] });
+
+    await engine.stepExecutor.execute({
+      command: "json_store_text", input: "$JSON", locator: "$.results[?(@.title == $INPUT|json)].id", config: { query: "jsonpath" }, output: { name: "ID" }
+    });
+    expect(engine.get("ID")).toBe(11);
+  });
+});
+
+// ============================================================
+// executeJsonStoreTextStep — arrays and objects (GENRE, TAGS)
+// ============================================================
+describe("StepExecutor — json_store_text list options", () => {
+
+  const book = {
+    title: "Dune",
+    genres: [{ id: 878, name: "Science Fiction" }, { id: 12, name: "Adventure" }, { id: 0, name: "" }],
+    subjects: ["Arrakis", "Ecology", "Fremen", "Spice"],
+    dimensions: { width: 15, height: 23, unit: "cm" }
+  };
+
+  const extract = async (locator, config, data = book) => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", data);
+    return executor.executeJsonStoreTextStep({
+      command: "json_store_text", input: "$JSON", locator, config, output: { name: "X" }
+    });
+  };
+
+  test("[*] maps the rest of the path over an array", async () => {
+    expect(await extract("genres[*].name")).toEqual(["Science Fiction", "Adventure", ""]);
+    expect(await extract("genres.[*].id")).toEqual([878, 12, 0]);
+    expect(await extract("[*].tags[*]", undefined, [{ tags: ["a", "b"] }, {}, { tags: ["c"] }])).toEqual(["a", "b", "c"]);
+    expect(await extract("title[*].name")).toEqual([]);
+  });
+
+  test("join makes a list of names (GENRE)", async () => {
+    expect(await extract("genres[*].name", { join: ", " })).toBe("Science Fiction, Adventure");
+    expect(await extract("subjects", { join: " · " })).toBe("Arrakis · Ecology · Fremen · Spice");
+  });
+
+  test("take keeps the first, last or N items", async () => {
+    expect(await extract("subjects", { take: "first" })).toBe("Arrakis");
+    expect(await extract("subjects", { take: "last" })).toBe("Spice");
+    expect(await extract("subjects", { take: 2, join: ", " })).toBe("Arrakis, Ecology");
+    expect(await extract("subjects", { take: -2 })).toEqual(["Fremen", "Spice"]);
+    expect(await extract("title", { take: "first" })).toBe("Dune");
+  });
+
+  test("stringify writes objects as JSON with sorted keys", async () => {
+    expect(await extract("dimensions", { stringify: true })).toBe('{"height":23,"unit":"cm","width":15}');
+    expect(await extract("genres", { take: 1, stringify: true })).toBe('[{"id":878,"name":"Science Fiction"}]');
+    expect(await extract("title", { stringify: true })).toBe("Dune");
+    expect(await extract("genres", { take: 1, join: "|" })).toBe('{"id":878,"name":"Science Fiction"}');
+  });
+
+  test("list options take every JSONPath match", async () => {
+    expect(await extract("$.genres[?(@.id > 0)].name", { query: "jsonpath", join: ", " })).toBe("Science Fiction, Adventure");
+    expect(await extract("$..name", { query: "jsonpath", take: "last" })).toBe("");
+  });
+
+  test("an invalid take returns empty string", silenceErrors(async () => {
+    expect(await extract("subjects", { take: "middle" })).toBe("");
+    expect(await extract("subjects", { take: 0 })).toBe("");
+  }));
+
+  test("json_count accepts [*] paths", async () => {
+    const { engine } = createExecutor();
+    engine.set("JSON", book);
+
+    expect(await engine.stepExecutor.executeJsonCountStep({
+      command: "json_count", input: "$JSON", locator: "genres[*].name", output: { name: "COUNT" }
+    })).toBe("3");
+  });
+});
+
 // ============================================================
 // executeUrlEncodeStep — from artists/apple, restaurants/tripadvisor
 // ============================================================
@@ -644,6 +949,137 @@ describe("StepExecutor — execute() loop", () => {
     expect(engine.get("TITLE2")).toBe("C");
   });
 
+  test("caps loop bounds with expression functions", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("COUNT", "42 results");
+
+    await executor.execute({
+      command: "store",
+      input: "x",
+      output: { name: "ITEM$i" },
+      config: { loop: { index: "i", from: 1, to: "min($COUNT, 3)", step: 1 } }
+    });
+
+    expect(engine.get("ITEM3")).toBe("x");
+    expect(engine.get("ITEM4", null)).toBe(null);
+  });
+
+  test("page content in loop bounds is never evaluated as code", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("COUNT", "(() => { globalThis.__injected = true; return 2; })()");
+
+    await executor.execute({
+      command: "store",
+      input: "x",
+      output: { name: "ITEM$i" },
+      config: { loop: { index: "i", from: 1, to: "$COUNT", step: 1 } }
+    });
+
+    expect(globalThis.__injected).toBeUndefined();
+    expect(engine.get("ITEM2")).toBe("x");
+    expect(engine.get("ITEM3", null)).toBe(null);
+  });
+
+  test("until_empty stops at the first empty output without storing it", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: ["A", "B"] });
+
+    await executor.execute({
+      command: "json_store_text",
+      input: "$JSON",
+      locator: "results[$i]",
+      output: { name: "TITLE$i" },
+      config: { loop: { index: "i", from: 0, until_empty: true } }
+    });
+
+    expect(engine.get("TITLE1")).toBe("B");
+    expect(engine.get("TITLE2", null)).toBe(null);
+  });
+
+  test("until_empty can watch another output", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: [{ title: "A" }, { year: 1999 }] });
+
+    await executor.execute({
+      command: "json_store_text",
+      input: "$JSON",
+      locator: "results[$i].title",
+      output: { name: "TITLE$i", mode: "coalesce" },
+      config: { loop: { index: "i", from: 0, to: 9, step: 1, until_empty: "TITLE$i" } }
+    });
+
+    expect(engine.get("TITLE0")).toBe("A");
+    expect(engine.get("i")).toBe(1);
+  });
+
+  test("count runs once per matching element", async () => {
+    const { engine, executor } = createExecutor();
+    const counted = [];
+    executor.BrowserManager.countElements = async (locator) => { counted.push(locator); return 3; };
+
+    await executor.execute({
+      command: "store",
+      input: "x$i",
+      output: { name: "TITLE$i" },
+      config: { loop: { index: "i", from: 0, count: ".result", step: 1 } }
+    });
+
+    expect(counted).toEqual([".result"]);
+    expect(["TITLE0", "TITLE1", "TITLE2"].map(key => engine.get(key))).toEqual(["x0", "x1", "x2"]);
+    expect(engine.get("TITLE3", null)).toBe(null);
+  });
+
+  test("loops stop at max; only open-ended loops have a safety limit", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    const loop = (name, config) => executor.execute({
+      command: "store", input: "x", output: { name: `${name}$i` }, config: { loop: { index: "i", from: 1, ...config } }
+    });
+
+    await loop("A", { to: 50, max: 3 });
+    await loop("B", { until_empty: true });
+    await loop("C", { until_empty: true, max: 150 });
+    await loop("D", { to: 150 });
+
+    expect(engine.findOutputKeys("A$i").length).toBe(3);
+    expect(engine.findOutputKeys("B$i").length).toBe(100);
+    expect(engine.findOutputKeys("C$i").length).toBe(150);
+    expect(engine.findOutputKeys("D$i").length).toBe(150);
+  }));
+
+  test("ends read from the page and max never exceed the hard ceiling", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    executor.BrowserManager.countElements = async () => 5000;
+    engine.set("TOTAL", "5000 results");
+    const iterations = async (loop) => [...await executor.resolveLoopPositions({ from: 1, ...loop }, "test")].length;
+
+    expect(await iterations({ to: "$TOTAL" })).toBe(1000);
+    expect(await iterations({ count: "li.result" })).toBe(1000);
+    expect(await iterations({ until_empty: true, max: 5000 })).toBe(1000);
+    expect(await iterations({ to: 5000 })).toBe(5000);
+  }));
+
+  test("positions are generated as the loop runs", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", JSON.stringify(["a", "b"]));
+
+    await executor.execute({
+      command: "json_store_text", input: "$JSON", locator: "[$i]", output: { name: "ITEM$i" },
+      config: { loop: { index: "i", from: 0, to: 10000000, until_empty: true } }
+    });
+    expect(engine.findOutputKeys("ITEM$i")).toEqual(["ITEM0", "ITEM1"]);
+  });
+
+  test("non-positive loop steps do not run", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    await executor.execute({
+      command: "store",
+      input: "x",
+      output: { name: "TITLE$i" },
+      config: { loop: { index: "i", from: 1, to: 3, step: 0 } }
+    });
+    expect(engine.get("TITLE1", null)).toBe(null);
+  }));
+
   // Unknown command
   test("handles unknown command gracefully", silenceErrors(async () => {
     const { executor } = createExecutor();
@@ -666,6 +1102,1407 @@ describe("StepExecutor — execute() loop", () => {
   });
 });
 
+// ============================================================
+// execute() — if / skip_if conditions
+// ============================================================
+describe("StepExecutor — execute() conditions", () => {
+
+  // From generic/generic.json — fall back to <title> only when og:title is missing
+  test("skip_if not_empty keeps an earlier value", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("TITLE", "From og:title");
+
+    await executor.execute({
+      command: "store",
+      input: "From head title",
+      output: { name: "TITLE" },
+      skip_if: { input: "$TITLE", not_empty: true }
+    });
+
+    expect(engine.get("TITLE")).toBe("From og:title");
+  });
+
+  test("skip_if runs the step when condition does not hold", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("TITLE", "");
+
+    await executor.execute({
+      command: "store",
+      input: "From head title",
+      output: { name: "TITLE" },
+      skip_if: { input: "$TITLE", not_empty: true }
+    });
+
+    expect(engine.get("TITLE")).toBe("From head title");
+  });
+
+  test("if runs the step only when condition holds", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: [] });
+
+    await executor.execute({
+      command: "store",
+      input: "has results",
+      output: { name: "STATUS" },
+      if: { input: "$JSON", path: "results.[0]", not_empty: true }
+    });
+    expect(engine.get("STATUS")).toBe("");
+
+    engine.set("JSON", { results: [{ id: 1 }] });
+    await executor.execute({
+      command: "store",
+      input: "has results",
+      output: { name: "STATUS" },
+      if: { input: "$JSON", path: "results.[0]", not_empty: true }
+    });
+    expect(engine.get("STATUS")).toBe("has results");
+  });
+
+  test("conditions are evaluated per loop iteration", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("i", 0);
+    engine.set("COVER1", "https://img/1.jpg");
+    engine.set("COVER2", "");
+    engine.set("COVER3", "https://img/3.jpg");
+
+    await executor.execute({
+      command: "store",
+      input: "https://img/placeholder.jpg",
+      output: { name: "COVER$i" },
+      if: { input: "$COVER$i", empty: true },
+      config: { loop: { index: "i", from: 1, to: 3, step: 1 } }
+    });
+
+    expect(engine.get("COVER1")).toBe("https://img/1.jpg");
+    expect(engine.get("COVER2")).toBe("https://img/placeholder.jpg");
+    expect(engine.get("COVER3")).toBe("https://img/3.jpg");
+  });
+
+  test("skipped step does not call the handler", async () => {
+    const { engine, executor } = createExecutor();
+    let calls = 0;
+    engine.browserManager.loadPage = async () => { calls++; };
+
+    await executor.execute({
+      command: "load",
+      url: "https://example.com",
+      if: { input: "$INPUT", not_empty: true }
+    });
+
+    expect(calls).toBe(0);
+  });
+});
+
+// ============================================================
+// execute() — output.mode
+// ============================================================
+describe("StepExecutor — execute() output modes", () => {
+
+  // From generic/generic.json — several store_attribute steps writing TITLE
+  test("coalesce: a missed locator does not wipe an earlier hit", async () => {
+    const { engine, executor } = createExecutor();
+    engine.browserManager.querySelector = async (locator) =>
+      locator === "head > title" ? { evaluate: async () => "Page title" } : null;
+
+    await executor.execute({
+      command: "store_text", locator: "head > title",
+      output: { name: "TITLE", mode: "coalesce" }
+    });
+    await executor.execute({
+      command: "store_attribute", locator: "meta[property='og:title']", attribute_name: "content",
+      output: { name: "TITLE", mode: "coalesce" }
+    });
+
+    expect(engine.get("TITLE")).toBe("Page title");
+  });
+
+  test("overwrite (default) keeps the old behavior", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("TITLE", "Page title");
+
+    await executor.execute({
+      command: "store_attribute", locator: "meta[property='og:title']", attribute_name: "content",
+      output: { name: "TITLE" }
+    });
+
+    expect(engine.get("TITLE")).toBe("");
+  });
+
+  test("append collects values across steps", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("GENRE", "Drama");
+
+    await executor.execute({ command: "store", input: "$GENRE", output: { name: "TAGS", mode: "append" } });
+    await executor.execute({ command: "store", input: "Crime", output: { name: "TAGS", mode: "append" } });
+
+    expect(engine.get("TAGS")).toEqual(["Drama", "Crime"]);
+  });
+
+  test("modes apply per loop iteration", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("i", 0);
+    engine.set("COVER1", "https://img/1.jpg");
+    engine.set("COVER2", "https://img/2.jpg");
+    engine.set("RAW1", "");
+    engine.set("RAW2", "https://img/2-hd.jpg");
+
+    await executor.execute({
+      command: "store", input: "$RAW$i",
+      output: { name: "COVER$i", mode: "coalesce" },
+      config: { loop: { index: "i", from: 1, to: 2, step: 1 } }
+    });
+
+    expect(engine.get("COVER1")).toBe("https://img/1.jpg");
+    expect(engine.get("COVER2")).toBe("https://img/2-hd.jpg");
+  });
+});
+
+// ============================================================
+// Locator fallback chains
+// ============================================================
+describe("StepExecutor — locator fallback chains", () => {
+
+  test("store_text passes resolved alternatives to BrowserManager", async () => {
+    const { engine, executor } = createExecutor();
+    let received;
+    engine.browserManager.querySelector = async (locator) => {
+      received = locator;
+      return { evaluate: async () => "Dune" };
+    };
+    engine.set("i", 2);
+
+    const result = await executor.executeStoreTextStep({
+      command: "store_text",
+      locator: ["div.result-new:nth-child($i) h2", "div.result:nth-child($i) h3"],
+      output: { name: "TITLE$i" }
+    });
+
+    expect(result).toBe("Dune");
+    expect(received).toEqual(["div.result-new:nth-child(2) h2", "div.result:nth-child(2) h3"]);
+  });
+
+  test("store_attribute returns empty string when no alternative matches", async () => {
+    const { executor } = createExecutor();
+    const result = await executor.executeStoreAttributeStep({
+      command: "store_attribute",
+      locator: ["meta[property='og:image']", "meta[name='twitter:image']"],
+      attribute_name: "content",
+      output: { name: "COVER" }
+    });
+    expect(result).toBe("");
+  });
+
+  test("store_count passes alternatives to countElements", async () => {
+    const { engine, executor } = createExecutor();
+    engine.browserManager.countElements = async (locator) => Array.isArray(locator) ? locator.length : 0;
+
+    const result = await executor.executeStoreCountStep({
+      command: "store_count",
+      locator: ["div.season_wrapper", "section.season"],
+      output: { name: "NUMBER_OF_SEASONS" }
+    });
+    expect(result).toBe("2");
+  });
+});
+
+// ============================================================
+// executeStoreJsonLdStep — schema.org structured data
+// ============================================================
+describe("StepExecutor — executeStoreJsonLdStep", () => {
+
+  const MOVIE_PAGE = [
+    JSON.stringify({ "@context": "https://schema.org", "@type": "BreadcrumbList", "itemListElement": [] }),
+    JSON.stringify({
+      "@context": "https://schema.org",
+      "@type": "Movie",
+      "name": "The Matrix",
+      "image": "https://img/matrix.jpg",
+      "datePublished": "1999-03-31",
+      "aggregateRating": { "@type": "AggregateRating", "ratingValue": 8.7 }
+    })
+  ];
+
+  function createJsonLdExecutor(blocks) {
+    const { engine, executor } = createExecutor();
+    engine.browserManager.getJsonLdBlocks = async () => blocks;
+    return { engine, executor };
+  }
+
+  test("returns the first node matching config.type", async () => {
+    const { executor } = createJsonLdExecutor(MOVIE_PAGE);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Movie" }, output: { name: "JSON_LD" }
+    });
+    expect(result.name).toBe("The Matrix");
+  });
+
+  test("returns the first node when no type is given", async () => {
+    const { executor } = createJsonLdExecutor(MOVIE_PAGE);
+    const result = await executor.executeStoreJsonLdStep({ command: "store_jsonld", output: { name: "JSON_LD" } });
+    expect(result["@type"]).toBe("BreadcrumbList");
+  });
+
+  // Yoast-style pages (recipes, articles) wrap everything in @graph
+  test("searches @graph members", async () => {
+    const { executor } = createJsonLdExecutor([JSON.stringify({
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "WebPage", "name": "Page" },
+        { "@type": "Recipe", "name": "Pancakes", "recipeIngredient": ["flour", "milk"] }
+      ]
+    })]);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Recipe" }, output: { name: "JSON_LD" }
+    });
+    expect(result.recipeIngredient).toEqual(["flour", "milk"]);
+  });
+
+  test("expands top-level arrays and matches array @type", async () => {
+    const { executor } = createJsonLdExecutor([JSON.stringify([
+      { "@type": "Organization", "name": "Publisher" },
+      { "@type": ["Book", "Product"], "name": "Dune", "numberOfPages": 412 }
+    ])]);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Book" }, output: { name: "JSON_LD" }
+    });
+    expect(result.numberOfPages).toBe(412);
+  });
+
+  test("accepts a list of types and prefixed type names", async () => {
+    const { executor } = createJsonLdExecutor([
+      JSON.stringify({ "@type": "http://schema.org/TVSeries", "name": "Breaking Bad" })
+    ]);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: ["Movie", "TVSeries"] }, output: { name: "JSON_LD" }
+    });
+    expect(result.name).toBe("Breaking Bad");
+  });
+
+  test("config.all returns every match", async () => {
+    const { executor } = createJsonLdExecutor([
+      JSON.stringify({ "@type": "Person", "name": "Lana" }),
+      JSON.stringify({ "@type": "Person", "name": "Lilly" })
+    ]);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Person", all: true }, output: { name: "PEOPLE" }
+    });
+    expect(result.map(p => p.name)).toEqual(["Lana", "Lilly"]);
+  });
+
+  test("skips invalid blocks and tolerates raw newlines in strings", async () => {
+    const { executor } = createJsonLdExecutor([
+      "{ not json",
+      '{"@type": "Movie", "description": "Line one\nLine two"}'
+    ]);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Movie" }, output: { name: "JSON_LD" }
+    });
+    expect(result.description).toBe("Line one Line two");
+  });
+
+  test("returns an empty object when nothing matches", async () => {
+    const { executor } = createJsonLdExecutor(MOVIE_PAGE);
+    const result = await executor.executeStoreJsonLdStep({
+      command: "store_jsonld", config: { type: "Book" }, output: { name: "JSON_LD" }
+    });
+    expect(result).toEqual({});
+  });
+
+  test("stored object feeds json_store_text", async () => {
+    const { engine, executor } = createJsonLdExecutor(MOVIE_PAGE);
+    await executor.execute({ command: "store_jsonld", config: { type: "Movie" }, output: { name: "JSON_LD" } });
+    await executor.execute({
+      command: "json_store_text", input: "$JSON_LD", locator: "aggregateRating.ratingValue",
+      output: { name: "RATING" }
+    });
+    expect(engine.get("RATING")).toBe(8.7);
+  });
+});
+
+// ============================================================
+// executeParseDateStep — DATE shapes seen across recipes
+// ============================================================
+describe("StepExecutor — executeParseDateStep", () => {
+
+  async function parseDate(input, config, language, region) {
+    const { engine, executor } = createExecutor();
+    engine.set("SYSTEM_LANGUAGE", language ?? "en");
+    engine.set("SYSTEM_REGION", region ?? "");
+    engine.set("DATE", input);
+    return executor.executeParseDateStep({ command: "parse_date", input: "$DATE", config, output: { name: "DATE" } });
+  }
+
+  // From songs/apple.json, podcasts/apple.json — iTunes releaseDate
+  test("ISO timestamp keeps the calendar day (apple)", async () => {
+    expect(await parseDate("1999-03-31T07:00:00Z")).toBe("1999-03-31");
+    expect(await parseDate("1999-03-31T23:30:00-05:00")).toBe("1999-03-31");
+  });
+
+  // From anime/anidb.json — <startdate>
+  test("ISO date (anidb)", async () => {
+    expect(await parseDate("1998-04-03")).toBe("1998-04-03");
+  });
+
+  // From generic/wikipediaorg.json — page summary timestamp
+  test("ISO timestamp with milliseconds (wikipedia)", async () => {
+    expect(await parseDate("2024-05-17T09:12:44.123Z")).toBe("2024-05-17");
+  });
+
+  // From movies/tmdb.json and boardgames/boardgamegeek.json — year in parentheses
+  test("parenthesized year (tmdb, boardgamegeek)", async () => {
+    expect(await parseDate("The Matrix (1999)")).toBe("1999");
+    expect(await parseDate("(1995)")).toBe("1995");
+  });
+
+  // From manga/anisearch.json and anime/anisearch.json — year inside the title block
+  test("year embedded in text (anisearch)", async () => {
+    expect(await parseDate("TV-Series, 26 (1998)")).toBe("1998");
+  });
+
+  // From movies/imdb.json — releaseYear.year is a number
+  test("numeric year (imdb)", async () => {
+    expect(await parseDate(1999)).toBe("1999");
+  });
+
+  // From tv_shows/thetvdb.json — "First Aired" label
+  test("English month name with label (thetvdb)", async () => {
+    expect(await parseDate("First Aired March 31, 1999")).toBe("1999-03-31");
+  });
+
+  // From generic/twitter.json — <time> text
+  test("abbreviated month after a time (twitter)", async () => {
+    expect(await parseDate("3:45 PM · Mar 31, 1999")).toBe("1999-03-31");
+  });
+
+  test("day-first month names", async () => {
+    expect(await parseDate("31 March 1999")).toBe("1999-03-31");
+    expect(await parseDate("1st Sept. 2001")).toBe("2001-09-01");
+  });
+
+  test("month and year only", async () => {
+    expect(await parseDate("March 1999")).toBe("1999-03");
+  });
+
+  test("numeric dates follow the locale when ambiguous", async () => {
+    expect(await parseDate("03/04/1999", undefined, "en_US")).toBe("1999-03-04");
+    expect(await parseDate("03/04/1999", undefined, "en_GB")).toBe("1999-04-03");
+    expect(await parseDate("03/04/1999", undefined, "es_ES")).toBe("1999-04-03");
+  });
+
+  test("numeric dates follow $SYSTEM_REGION when the language has none", async () => {
+    expect(await parseDate("03/04/2024", undefined, "en", "GB")).toBe("2024-04-03");
+    expect(await parseDate("03/04/2024", undefined, "en", "AU")).toBe("2024-04-03");
+    expect(await parseDate("03/04/2024", undefined, "en", "US")).toBe("2024-03-04");
+    expect(await parseDate("03/04/2024", { locale: "en-US" }, "en", "GB")).toBe("2024-03-04");
+  });
+
+  test("numeric dates with an unambiguous day", async () => {
+    expect(await parseDate("31/03/1999")).toBe("1999-03-31");
+    expect(await parseDate("03/31/1999", undefined, "es")).toBe("1999-03-31");
+    expect(await parseDate("31.03.99", undefined, "de")).toBe("1999-03-31");
+  });
+
+  test("month names in $SYSTEM_LANGUAGE", async () => {
+    expect(await parseDate("31 de marzo de 1999", undefined, "es_ES")).toBe("1999-03-31");
+    expect(await parseDate("31. März 1999", undefined, "de_DE")).toBe("1999-03-31");
+    expect(await parseDate("1er févr. 2002", undefined, "fr")).toBe("2002-02-01");
+  });
+
+  test("config.locale overrides $SYSTEM_LANGUAGE", async () => {
+    expect(await parseDate("31 de marzo de 1999", { locale: "es" }, "en")).toBe("1999-03-31");
+  });
+
+  test("explicit source formats are tried in order", async () => {
+    const config = { formats: ["DD.MM.YYYY", "YYYYMMDD"] };
+    expect(await parseDate("Premiere: 31.03.1999", config)).toBe("1999-03-31");
+    expect(await parseDate("19990331", config)).toBe("1999-03-31");
+  });
+
+  test("explicit formats with month names", async () => {
+    expect(await parseDate("31 mar 99", { formats: ["D MMM YY"] })).toBe("1999-03-31");
+    expect(await parseDate("marzo 31, 1999", { formats: ["MMMM D, YYYY"] }, "es")).toBe("1999-03-31");
+  });
+
+  test("explicit formats do not fall back to detection unless listed", silenceWarnings(async () => {
+    expect(await parseDate("March 31, 1999", { formats: ["DD/MM/YYYY"] })).toBe("March 31, 1999");
+    expect(await parseDate("March 31, 1999", { formats: ["DD/MM/YYYY", "auto"] })).toBe("1999-03-31");
+  }));
+
+  test("rejects impossible dates instead of keeping their year", silenceWarnings(async () => {
+    expect(await parseDate("31/02/1999", { formats: ["DD/MM/YYYY"] })).toBe("31/02/1999");
+    expect(await parseDate("1999-02-30")).toBe("1999-02-30");
+    expect(await parseDate("2020-13-45", { format: "YYYY" })).toBe("2020-13-45");
+  }));
+
+  test("config.format shapes the output", async () => {
+    expect(await parseDate("1999-03-31T07:00:00Z", { format: "YYYY" })).toBe("1999");
+    expect(await parseDate("1999-03-31", { format: "DD/MM/YYYY" })).toBe("31/03/1999");
+    expect(await parseDate("1999-03-31", { format: "D MMMM YYYY" }, "es")).toBe("31 marzo 1999");
+  });
+
+  test("keeps the input and warns when no date is found", async () => {
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      expect(await parseDate("Coming soon")).toBe("Coming soon");
+      expect(spy).toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test("works when $SYSTEM_LANGUAGE is unset", async () => {
+    const { engine, executor } = createExecutor();
+    delete engine.variables.SYSTEM_LANGUAGE;
+    const result = await executor.executeParseDateStep({
+      command: "parse_date", input: "March 31, 1999", output: { name: "DATE" }
+    });
+    expect(result).toBe("1999-03-31");
+  });
+
+  test("missing input returns empty string", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    const result = await executor.executeParseDateStep({ command: "parse_date", output: { name: "DATE" } });
+    expect(result).toBe("");
+  }));
+
+  test("execute() stores the normalized date", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("RAW_DATE", "March 31, 1999");
+    await executor.execute({
+      command: "parse_date", input: "$RAW_DATE", config: { format: "YYYY" }, output: { name: "DATE", show: true }
+    });
+    expect(engine.get("DATE")).toBe("1999");
+  });
+});
+
+// ============================================================
+// executeFormatDurationStep — DURATION shapes seen across recipes
+// ============================================================
+describe("StepExecutor — executeFormatDurationStep", () => {
+
+  async function formatDuration(input, config) {
+    const { engine, executor } = createExecutor();
+    engine.set("DURATION", input);
+    return executor.executeFormatDurationStep({ command: "format_duration", input: "$DURATION", config, output: { name: "DURATION" } });
+  }
+
+  // From movies/imdb.json — runtime.displayableProperty.value.plainText
+  test("human text is normalized (imdb)", async () => {
+    expect(await formatDuration("2h 16m")).toBe("2h 16m");
+    expect(await formatDuration("2 hours 16 minutes")).toBe("2h 16m");
+  });
+
+  // From movies/tmdb.json — ".runtime"
+  test("minutes text (tmdb)", async () => {
+    expect(await formatDuration("136 min")).toBe("2h 16m");
+  });
+
+  test("ISO 8601 from JSON-LD", async () => {
+    expect(await formatDuration("PT2H16M")).toBe("2h 16m");
+  });
+
+  // From podcasts/apple.json — trackTimeMillis
+  test("config.unit reads bare numbers (apple)", async () => {
+    expect(await formatDuration("2730000", { unit: "ms" })).toBe("45m 30s");
+    expect(await formatDuration("136")).toBe("2h 16m");
+  });
+
+  test("config.format picks the output shape", async () => {
+    expect(await formatDuration("136 min", { format: "iso" })).toBe("PT2H16M");
+    expect(await formatDuration("2h 16m", { format: "minutes" })).toBe("136 min");
+    expect(await formatDuration("PT2H16M", { format: "seconds" })).toBe("8160");
+    expect(await formatDuration("PT2H16M", { format: "{total_minutes} min" })).toBe("136 min");
+  });
+
+  test("returns empty string when no duration is found", async () => {
+    expect(await formatDuration("N/A")).toBe("");
+  });
+
+  test("missing input returns empty string", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    const result = await executor.executeFormatDurationStep({ command: "format_duration", output: { name: "DURATION" } });
+    expect(result).toBe("");
+  }));
+});
+
+// ============================================================
+// executeParsePriceStep — PRICE shapes from amazon, funko, vivino
+// ============================================================
+describe("StepExecutor — executeParsePriceStep", () => {
+
+  function createPriceExecutor(price, region = "US") {
+    const { engine, executor } = createExecutor();
+    engine.set("SYSTEM_REGION", region);
+    engine.set("AUX_PRICE", price);
+    return { engine, executor };
+  }
+
+  const step = (config) => ({ command: "parse_price", input: "$AUX_PRICE", config, output: { name: "PRICE", show: true } });
+
+  test("returns the amount and stores CURRENCY", async () => {
+    const { engine, executor } = createPriceExecutor("$19.99");
+    expect(await executor.executeParsePriceStep(step())).toBe(19.99);
+    expect(engine.get("CURRENCY")).toBe("USD");
+  });
+
+  test("decimal comma from $SYSTEM_REGION", async () => {
+    const { engine, executor } = createPriceExecutor("19,99 €", "ES");
+    expect(await executor.executeParsePriceStep(step())).toBe(19.99);
+    expect(engine.get("CURRENCY")).toBe("EUR");
+  });
+
+  test("ambiguous thousands follow $SYSTEM_REGION", async () => {
+    const { executor: es } = createPriceExecutor("1.299 €", "ES");
+    expect(await es.executeParsePriceStep(step())).toBe(1299);
+    const { executor: us } = createPriceExecutor("1,299", "US");
+    expect(await us.executeParsePriceStep(step())).toBe(1299);
+  });
+
+  test("config.region overrides $SYSTEM_REGION", async () => {
+    const { engine, executor } = createPriceExecutor("$ 350", "US");
+    expect(await executor.executeParsePriceStep(step({ region: "MX" }))).toBe(350);
+    expect(engine.get("CURRENCY")).toBe("MXN");
+  });
+
+  test("config.currency fills in a missing code", async () => {
+    const { engine, executor } = createPriceExecutor("24.50");
+    await executor.executeParsePriceStep(step({ currency: "GBP" }));
+    expect(engine.get("CURRENCY")).toBe("GBP");
+  });
+
+  test("config.currency_output renames the currency variable", async () => {
+    const { engine, executor } = createPriceExecutor("US$ 1.299,00", "BR");
+    expect(await executor.executeParsePriceStep(step({ currency_output: "AUX_CURRENCY" }))).toBe(1299);
+    expect(engine.get("AUX_CURRENCY")).toBe("USD");
+    expect(engine.get("CURRENCY")).toBe("");
+  });
+
+  test("returns empty string and leaves CURRENCY alone without an amount", async () => {
+    const { engine, executor } = createPriceExecutor("Currently unavailable");
+    expect(await executor.executeParsePriceStep(step())).toBe("");
+    expect(engine.get("CURRENCY")).toBe("");
+  });
+
+  test("missing input returns empty string", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    expect(await executor.executeParsePriceStep({ command: "parse_price", output: { name: "PRICE" } })).toBe("");
+  }));
+
+  test("loops write indexed currencies", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("SYSTEM_REGION", "US");
+    engine.set("AUX_PRICE1", "$5.00");
+    engine.set("AUX_PRICE2", "€7,50");
+    await executor.execute({
+      command: "parse_price", input: "$AUX_PRICE$i",
+      config: { loop: { index: "i", from: 1, to: 2, step: 1 } },
+      output: { name: "PRICE$i", show: true }
+    });
+    expect(engine.get("PRICE1")).toBe(5);
+    expect(engine.get("CURRENCY1")).toBe("USD");
+    expect(engine.get("PRICE2")).toBe(7.5);
+    expect(engine.get("CURRENCY2")).toBe("EUR");
+  });
+});
+
+// ============================================================
+// executeResolveUrlStep — making URL$i / COVER$i absolute
+// ============================================================
+describe("StepExecutor — executeResolveUrlStep", () => {
+
+  function createUrlExecutor(pageUrl) {
+    const { engine, executor } = createExecutor();
+    engine.browserManager.page = pageUrl ? { url: () => pageUrl } : null;
+    return { engine, executor };
+  }
+
+  // From movies/tmdb.json — href="/movie/603-the-matrix" on the search page
+  test("resolves root-relative links against the current page (tmdb)", async () => {
+    const { engine, executor } = createUrlExecutor("https://www.themoviedb.org/search/movie?query=matrix");
+    engine.set("URL1", "/movie/603-the-matrix");
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "$URL1", output: { name: "URL1" } });
+    expect(result).toBe("https://www.themoviedb.org/movie/603-the-matrix");
+  });
+
+  test("resolves path-relative links", async () => {
+    const { executor } = createUrlExecutor("https://example.com/books/search.html");
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "item.html?id=1", output: { name: "URL" } });
+    expect(result).toBe("https://example.com/books/item.html?id=1");
+  });
+
+  test("keeps the page scheme for protocol-relative links", async () => {
+    const { executor } = createUrlExecutor("https://www.example.com/search");
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "//img.example.com/a.jpg", output: { name: "COVER" } });
+    expect(result).toBe("https://img.example.com/a.jpg");
+  });
+
+  test("leaves absolute URLs as they are", async () => {
+    const { executor } = createUrlExecutor("https://www.example.com/search");
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "https://cdn.other.com/a.jpg", output: { name: "COVER" } });
+    expect(result).toBe("https://cdn.other.com/a.jpg");
+  });
+
+  test("config.base overrides the page URL", async () => {
+    const { engine, executor } = createUrlExecutor("https://api.example.com/v1/search");
+    engine.set("SITE", "https://www.example.com");
+    const result = await executor.executeResolveUrlStep({
+      command: "resolve_url", input: "/item/1", config: { base: "$SITE" }, output: { name: "URL" }
+    });
+    expect(result).toBe("https://www.example.com/item/1");
+  });
+
+  // api_request-only recipes never load a page
+  test("works without a page for absolute input", async () => {
+    const { executor } = createUrlExecutor(null);
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "https://example.com/a", output: { name: "URL" } });
+    expect(result).toBe("https://example.com/a");
+  });
+
+  test("warns and keeps relative input without any base", async () => {
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    const { executor } = createUrlExecutor(null);
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "/movie/603", output: { name: "URL" } });
+    expect(result).toBe("/movie/603");
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test("empty input stays empty", async () => {
+    const { engine, executor } = createUrlExecutor("https://example.com/");
+    engine.set("URL1", "");
+    const result = await executor.executeResolveUrlStep({ command: "resolve_url", input: "$URL1", output: { name: "URL1" } });
+    expect(result).toBe("");
+  });
+
+  test("missing input returns empty string", silenceErrors(async () => {
+    const { executor } = createUrlExecutor("https://example.com/");
+    expect(await executor.executeResolveUrlStep({ command: "resolve_url", output: { name: "URL" } })).toBe("");
+  }));
+});
+
+// ============================================================
+// executeComputeStep — arithmetic on stored values
+// ============================================================
+describe("StepExecutor — executeComputeStep", () => {
+
+  test("rescales a 10-point rating to 5", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("RATING", "8.7/10");
+    await executor.execute({ command: "compute", expression: "round($RATING / 2, 1)", output: { name: "RATING" } });
+    expect(engine.get("RATING")).toBe(4.4);
+  });
+
+  test("runs per loop iteration with indexed variables", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("VOTES1", "1,234");
+    engine.set("VOTES2", "56");
+    await executor.execute({
+      command: "compute",
+      expression: "$VOTES$i > 100",
+      output: { name: "POPULAR$i" },
+      config: { loop: { index: "i", from: 1, to: 2, step: 1 } }
+    });
+    expect(engine.get("POPULAR1")).toBe(true);
+    expect(engine.get("POPULAR2")).toBe(false);
+  });
+
+  test("stores empty string without a numeric result", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("RATING", "N/A");
+    expect(await executor.executeComputeStep({ command: "compute", expression: "$RATING / 2" })).toBe("");
+  });
+
+  test("invalid expression returns empty string", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    expect(await executor.executeComputeStep({ command: "compute", expression: "round(" })).toBe("");
+    expect(await executor.executeComputeStep({ command: "compute" })).toBe("");
+  }));
+});
+
+// ============================================================
+// Page interaction — click, type, press_key, select_option, scroll
+// ============================================================
+describe("StepExecutor — page interaction", () => {
+
+  // Records every BrowserManager interaction; `present` lists the locators that exist
+  function createInteractionExecutor(present = []) {
+    const { engine, executor } = createExecutor();
+    const calls = [];
+    const exists = (selector) => [].concat(selector).some(alternative => present.includes(alternative));
+    Object.assign(engine.browserManager, {
+      click: async (selector) => { calls.push(["click", selector]); return exists(selector); },
+      type: async (selector, text, options) => { calls.push(["type", selector, text, options]); return exists(selector); },
+      pressKey: async (key, selector) => { calls.push(["pressKey", key, selector]); return selector === undefined || exists(selector); },
+      selectOption: async (selector, value) => { calls.push(["selectOption", selector, value]); return exists(selector) ? value : null; },
+      scroll: async (options) => { calls.push(["scroll", options]); return options.selector === undefined || exists(options.selector); },
+    });
+    return { engine, executor, calls };
+  }
+
+  test("click resolves variables in the locator", async () => {
+    const { engine, executor, calls } = createInteractionExecutor(["#tab-2"]);
+    engine.set("TAB", "2");
+    await executor.execute({ command: "click", locator: "#tab-$TAB" });
+    expect(calls).toEqual([["click", "#tab-2"]]);
+  });
+
+  test("click accepts fallback chains", async () => {
+    const { executor, calls } = createInteractionExecutor(["text:Accept all"]);
+    await executor.executeClickStep({ command: "click", locator: ["#onetrust-accept-btn-handler", "text:Accept all"] });
+    expect(calls[0][1]).toEqual(["#onetrust-accept-btn-handler", "text:Accept all"]);
+  });
+
+  // Cookie walls are not always shown
+  test("click on a missing element is not an error", async () => {
+    const { executor } = createInteractionExecutor();
+    const spy = spyOn(console, "error").mockImplementation(() => {});
+    const result = await executor.executeClickStep({ command: "click", locator: "#cookie-accept" });
+    expect(result).toBe("");
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test("click and type on a hidden element are skipped", async () => {
+    const { engine, executor } = createExecutor();
+    const hidden = async () => { throw new Error("Node is either not visible or not an HTMLElement"); };
+    Object.assign(engine.browserManager, { click: hidden, type: hidden });
+    engine.set("INPUT", "dune");
+
+    await executor.execute({ command: "click", locator: "#show-more" });
+    await executor.execute({ command: "type", locator: "#search", input: "$INPUT" });
+    await executor.execute({ command: "store", input: "still running", output: { name: "AFTER" } });
+    expect(engine.get("AFTER")).toBe("still running");
+  });
+
+  test("click without locator logs an error", silenceErrors(async () => {
+    const { executor, calls } = createInteractionExecutor();
+    expect(await executor.executeClickStep({ command: "click" })).toBe("");
+    expect(calls).toHaveLength(0);
+  }));
+
+  test("type substitutes the input and clears by default", async () => {
+    const { engine, executor, calls } = createInteractionExecutor(["input[name='q']"]);
+    engine.set("INPUT", "the matrix");
+    await executor.executeTypeStep({ command: "type", locator: "input[name='q']", input: "$INPUT" });
+    expect(calls).toEqual([["type", "input[name='q']", "the matrix", { clear: true, delay: 0 }]]);
+  });
+
+  test("type honours config.clear and config.key_delay", async () => {
+    const { executor, calls } = createInteractionExecutor(["#search"]);
+    await executor.executeTypeStep({ command: "type", locator: "#search", input: " more", config: { clear: false, key_delay: 50 } });
+    expect(calls[0][3]).toEqual({ clear: false, delay: 50 });
+  });
+
+  test("type requires locator and input", silenceErrors(async () => {
+    const { executor, calls } = createInteractionExecutor();
+    await executor.executeTypeStep({ command: "type", locator: "#search" });
+    await executor.executeTypeStep({ command: "type", input: "x" });
+    expect(calls).toHaveLength(0);
+  }));
+
+  test("press_key on the focused element", async () => {
+    const { executor, calls } = createInteractionExecutor();
+    await executor.executePressKeyStep({ command: "press_key", input: "Enter" });
+    expect(calls).toEqual([["pressKey", "Enter", undefined]]);
+  });
+
+  test("press_key on a located element", async () => {
+    const { executor, calls } = createInteractionExecutor(["#search"]);
+    await executor.executePressKeyStep({ command: "press_key", input: "ArrowDown", locator: "#search" });
+    expect(calls).toEqual([["pressKey", "ArrowDown", "#search"]]);
+  });
+
+  test("press_key reports unknown keys", silenceErrors(async () => {
+    const { engine, executor } = createInteractionExecutor();
+    engine.browserManager.pressKey = async (key) => { throw new Error(`Unknown key: "${key}"`); };
+    expect(await executor.executePressKeyStep({ command: "press_key", input: "Foo" })).toBe("");
+  }));
+
+  test("select_option returns the selected value", async () => {
+    const { engine, executor, calls } = createInteractionExecutor(["select#region"]);
+    engine.set("SYSTEM_REGION", "ES");
+    const result = await executor.executeSelectOptionStep({ command: "select_option", locator: "select#region", input: "$SYSTEM_REGION" });
+    expect(result).toBe("ES");
+    expect(calls).toEqual([["selectOption", "select#region", "ES"]]);
+  });
+
+  test("select_option returns empty string when nothing was selected", async () => {
+    const { executor } = createInteractionExecutor();
+    expect(await executor.executeSelectOptionStep({ command: "select_option", locator: "select#region", input: "XX" })).toBe("");
+  });
+
+  test("scroll to the bottom by default", async () => {
+    const { executor, calls } = createInteractionExecutor();
+    await executor.executeScrollStep({ command: "scroll" });
+    expect(calls).toEqual([["scroll", { selector: undefined, to: undefined, by: undefined }]]);
+  });
+
+  test("scroll repeats config.times with variables in config.by", async () => {
+    const { engine, executor, calls } = createInteractionExecutor();
+    engine.set("STEP", "800");
+    await executor.executeScrollStep({ command: "scroll", config: { by: "$STEP", times: 3 } });
+    expect(calls).toHaveLength(3);
+    expect(calls[0][1].by).toBe(800);
+  });
+
+  test("scroll an element into view", async () => {
+    const { executor, calls } = createInteractionExecutor(["div.reviews"]);
+    await executor.executeScrollStep({ command: "scroll", locator: "div.reviews", config: { times: 2 } });
+    expect(calls).toEqual([
+      ["scroll", { selector: "div.reviews", to: undefined, by: undefined }],
+      ["scroll", { selector: "div.reviews", to: undefined, by: undefined }]
+    ]);
+  });
+
+  test("config.wait pauses after the interaction", async () => {
+    const { executor } = createInteractionExecutor(["button.more"]);
+    const started = Date.now();
+    await executor.executeClickStep({ command: "click", locator: "button.more", config: { wait: 30 } });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+  });
+});
+
+// ============================================================
+// executeWaitForStep / load wait_for — explicit waits
+// ============================================================
+describe("StepExecutor — waits", () => {
+
+  function createWaitingExecutor() {
+    const { engine, executor } = createExecutor();
+    const calls = [];
+    engine.browserManager.waitFor = async (condition) => { calls.push(["waitFor", condition]); return true; };
+    engine.browserManager.loadPage = async (url, options) => { calls.push(["loadPage", url, options]); };
+    return { engine, executor, calls };
+  }
+
+  test("wait_for waits for the locator", async () => {
+    const { engine, executor, calls } = createWaitingExecutor();
+    engine.set("ID", "42");
+    await executor.execute({ command: "wait_for", locator: ["#movie-$ID", "text:Results"], config: { timeout: 5000 } });
+    expect(calls).toEqual([["waitFor", { selector: ["#movie-42", "text:Results"], timeout: 5000 }]]);
+  });
+
+  test("wait_for passes network_idle, url and response conditions", async () => {
+    const { engine, executor, calls } = createWaitingExecutor();
+    engine.set("INPUT", "matrix");
+    await executor.executeWaitForStep({ command: "wait_for", config: { network_idle: 500 } });
+    await executor.executeWaitForStep({ command: "wait_for", config: { url: "q=$INPUT" } });
+    await executor.executeWaitForStep({ command: "wait_for", config: { response: "/api/search\\?q=$INPUT", timeout: 8000 } });
+    expect(calls.map(call => call[1])).toEqual([
+      { network_idle: 500 },
+      { url: "q=matrix" },
+      { response: "/api/search\\?q=matrix", timeout: 8000 }
+    ]);
+  });
+
+  test("wait_for without a condition logs an error", silenceErrors(async () => {
+    const { executor, calls } = createWaitingExecutor();
+    expect(await executor.executeWaitForStep({ command: "wait_for", config: { timeout: 1000 } })).toBe("");
+    expect(calls).toEqual([]);
+  }));
+
+  test("load passes config.wait_for to loadPage", async () => {
+    const { engine, executor, calls } = createWaitingExecutor();
+    engine.set("INPUT", "matrix");
+    await executor.executeLoadStep({
+      command: "load",
+      url: "https://example.com/search?q=$INPUT",
+      config: { js: true, wait_for: [{ selector: "ul.results li", timeout: 4000 }, { response: "/api/$INPUT" }] }
+    });
+    expect(calls[0][2].waitFor).toEqual([{ selector: "ul.results li", timeout: 4000 }, { response: "/api/matrix" }]);
+  });
+
+  test("load accepts a single wait condition", async () => {
+    const { executor, calls } = createWaitingExecutor();
+    await executor.executeLoadStep({ command: "load", url: "https://example.com/", config: { wait_for: { network_idle: 300 } } });
+    expect(calls[0][2].waitFor).toEqual([{ network_idle: 300 }]);
+  });
+
+  test("load without wait_for keeps the default settle delay", async () => {
+    const { executor, calls } = createWaitingExecutor();
+    await executor.executeLoadStep({ command: "load", url: "https://example.com/" });
+    expect(calls[0][2].waitFor).toBeUndefined();
+  });
+});
+
+// ============================================================
+// executePaginateStep — repeating a block across pages
+// ============================================================
+describe("StepExecutor — paginate", () => {
+
+  // Each page's items live in ITEMS1, ITEMS2, ...; the block appends $ITEMS$PAGE to ALL
+  function createPagedExecutor(pages) {
+    const { engine, executor } = createExecutor();
+    pages.forEach((items, index) => engine.set(`ITEMS${index + 1}`, items));
+    return { engine, executor };
+  }
+
+  const appendPage = { command: "store", input: "$ITEMS$PAGE", output: { name: "ALL", mode: "append" } };
+
+  test("page-number mode stops on the first page that adds nothing", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "", "d"]);
+    await executor.execute({ command: "paginate", config: { max_pages: 10 }, steps: [appendPage] });
+    expect(engine.get("ALL")).toEqual(["a", "b"]);
+    expect(engine.get("PAGE")).toBe(3);
+  });
+
+  test("max_pages caps the number of pages", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "c", "d"]);
+    await executor.executePaginateStep({ command: "paginate", config: { max_pages: 2 }, steps: [appendPage] });
+    expect(engine.get("ALL")).toEqual(["a", "b"]);
+  });
+
+  test("start sets the first $PAGE", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "c", ""]);
+    await executor.executePaginateStep({ command: "paginate", config: { start: 2, max_pages: 5 }, steps: [appendPage] });
+    expect(engine.get("ALL")).toEqual(["b", "c"]);
+  });
+
+  test("stop_if is checked after each page", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "c"]);
+    await executor.executePaginateStep({
+      command: "paginate",
+      config: { stop_if: { input: "$PAGE", gte: 2 } },
+      steps: [appendPage]
+    });
+    expect(engine.get("ALL")).toEqual(["a", "b"]);
+  });
+
+  // API cursors: the block stores the next URL, the next iteration reads $PAGE_URL
+  test("next_url follows a URL stored by the block", async () => {
+    const { engine, executor } = createExecutor();
+    const next = { "https://api.example.com/1": "https://api.example.com/2", "https://api.example.com/2": "" };
+    const visited = [];
+    engine.stepExecutor.stepHandlers.api_request = async function (step) {
+      const url = this.RecipeEngine.replaceVariablesinString(step.url);
+      visited.push(url);
+      return { next: next[url] };
+    };
+    await executor.executePaginateStep({
+      command: "paginate",
+      config: { url: "https://api.example.com/1", next_url: "$NEXT" },
+      steps: [
+        { command: "api_request", url: "$PAGE_URL", config: {}, output: { name: "JSON" } },
+        { command: "json_store_text", input: "$JSON", locator: "next", output: { name: "NEXT" } }
+      ]
+    });
+    expect(visited).toEqual(["https://api.example.com/1", "https://api.example.com/2"]);
+  });
+
+  test("next follows the next link until it disappears", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "c"]);
+    const loaded = [];
+    let page = 1;
+    Object.assign(engine.browserManager, {
+      page: { url: () => `https://example.com/list?p=${page}` },
+      querySelector: async () => page < 3 ? { evaluate: async () => `https://example.com/list?p=${page + 1}` } : null,
+      loadPage: async (url) => { loaded.push(url); page++; }
+    });
+    await executor.executePaginateStep({ command: "paginate", config: { next: "a[rel=next]" }, steps: [appendPage] });
+    expect(loaded).toEqual(["https://example.com/list?p=2", "https://example.com/list?p=3"]);
+    expect(engine.get("ALL")).toEqual(["a", "b", "c"]);
+  });
+
+  test("next clicks buttons without a link and waits for the network", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b"]);
+    const calls = [];
+    let page = 1;
+    Object.assign(engine.browserManager, {
+      querySelector: async () => page < 2 ? { evaluate: async () => "", click: async () => { calls.push("click"); page++; } } : null,
+      waitFor: async (condition) => { calls.push(condition); return true; }
+    });
+    await executor.executePaginateStep({ command: "paginate", config: { next: "button.next" }, steps: [appendPage] });
+    expect(calls).toEqual(["click", { network_idle: 500 }]);
+    expect(engine.get("ALL")).toEqual(["a", "b"]);
+  });
+
+  test("load_more clicks up to max_pages - 1 times, then runs the block once", async () => {
+    const { engine, executor } = createPagedExecutor(["a"]);
+    let clicks = 0;
+    Object.assign(engine.browserManager, {
+      click: async () => { clicks++; return true; },
+      waitFor: async () => true
+    });
+    await executor.executePaginateStep({
+      command: "paginate",
+      config: { load_more: "button.load-more", max_pages: 4, wait_for: { selector: "li:nth-child(40)" } },
+      steps: [appendPage]
+    });
+    expect(clicks).toBe(3);
+    expect(engine.get("ALL")).toEqual(["a"]);
+  });
+
+  // Puppeteer throws "Node is either not visible or not an HTMLElement" for hidden buttons
+  test("a hidden next button ends pagination", async () => {
+    const { engine, executor } = createPagedExecutor(["a", "b", "c"]);
+    let page = 1;
+    Object.assign(engine.browserManager, {
+      querySelector: async () => ({
+        evaluate: async () => "",
+        click: async () => {
+          if (page >= 2) throw new Error("Node is either not visible or not an HTMLElement");
+          page++;
+        }
+      }),
+      waitFor: async () => true
+    });
+    await executor.executePaginateStep({ command: "paginate", config: { next: "button.next" }, steps: [appendPage] });
+    expect(engine.get("ALL")).toEqual(["a", "b"]);
+  });
+
+  test("a hidden load_more button stops the clicks", async () => {
+    const { engine, executor } = createPagedExecutor(["a"]);
+    let clicks = 0;
+    Object.assign(engine.browserManager, {
+      click: async () => {
+        if (clicks === 2) throw new Error("Node is either not visible or not an HTMLElement");
+        clicks++;
+        return true;
+      },
+      waitFor: async () => true
+    });
+    await executor.executePaginateStep({ command: "paginate", config: { load_more: "button.load-more", max_pages: 5 }, steps: [appendPage] });
+    expect(clicks).toBe(2);
+    expect(engine.get("ALL")).toEqual(["a"]);
+  });
+
+  test("paginate without steps logs an error", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    expect(await executor.executePaginateStep({ command: "paginate", config: {} })).toBe("");
+  }));
+});
+
+// ============================================================
+// executeApiRequestStep — retries and step errors
+// ============================================================
+describe("StepExecutor — executeApiRequestStep", () => {
+
+  function mockFetch(replies) {
+    const calls = [];
+    const spy = spyOn(globalThis, "fetch").mockImplementation(async (url, init) => {
+      calls.push({ url, init });
+      const reply = replies[Math.min(calls.length, replies.length) - 1];
+      return new Response(reply.body ?? "{}", { status: reply.status ?? 200 });
+    });
+    return { calls, spy };
+  }
+
+  test("returns the parsed JSON and keeps the policy out of fetch", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("INPUT", "matrix");
+    const { calls, spy } = mockFetch([{ body: '{"results":[{"title":"The Matrix"}]}' }]);
+    const result = await executor.executeApiRequestStep({
+      command: "api_request",
+      url: "https://api.example.com/search?q=$INPUT",
+      config: { method: "GET", headers: { Accept: "application/json" }, timeout: 5000, retry: { attempts: 2 } }
+    });
+    spy.mockRestore();
+    expect(result).toEqual({ results: [{ title: "The Matrix" }] });
+    expect(calls[0].url).toBe("https://api.example.com/search?q=matrix");
+    expect(calls[0].init.retry).toBeUndefined();
+    expect(calls[0].init.timeout).toBeUndefined();
+    expect(calls[0].init.headers).toEqual({ Accept: "application/json" });
+  });
+
+  test("retries with the recipe's request_policy", async () => {
+    const { engine, executor } = createExecutor();
+    engine.requestPolicy = { retry: { attempts: 3, backoff: 1 } };
+    const { calls, spy } = mockFetch([{ status: 429 }, { status: 200, body: '{"ok":true}' }]);
+    const result = await executor.executeApiRequestStep({ command: "api_request", url: "https://api.example.com", config: {} });
+    spy.mockRestore();
+    expect(calls.length).toBe(2);
+    expect(result).toEqual({ ok: true });
+    expect(engine.getStepErrors()).toEqual([]);
+  });
+
+  test("records a step error when all attempts fail", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    const { spy } = mockFetch([{ status: 503 }]);
+    await executor.execute({
+      command: "api_request",
+      url: "https://api.example.com",
+      config: { retry: { attempts: 2, backoff: 1 } },
+      output: { name: "JSON" }
+    });
+    spy.mockRestore();
+    expect(engine.get("JSON")).toEqual({});
+    expect(engine.getStepErrors()).toEqual([
+      { command: "api_request", url: "https://api.example.com", status: 503, message: "HTTP 503", attempts: 2 }
+    ]);
+  }));
+
+  test("response_type xml returns a queryable tree", async () => {
+    const { engine, executor } = createExecutor();
+    const { spy } = mockFetch([{ body: '<rss><channel><title>Show</title><item><title>Ep 1</title></item></channel></rss>' }]);
+    await executor.execute({
+      command: "api_request",
+      url: "https://feeds.example.com/show.xml",
+      config: { response_type: "xml" },
+      output: { name: "FEED" }
+    });
+    spy.mockRestore();
+    await executor.execute({ command: "json_store_text", input: "$FEED", locator: "rss.channel.item[0].title", output: { name: "EPISODE" } });
+    await executor.execute({ command: "json_count", input: "$FEED", locator: "rss.channel.item", output: { name: "EPISODES" } });
+    expect(engine.get("EPISODE")).toBe("Ep 1");
+    expect(engine.get("EPISODES")).toBe("1");
+  });
+
+  test("response_type text and html return the body", async () => {
+    const { executor } = createExecutor();
+    const { calls, spy } = mockFetch([{ body: "<ul><li>A</li></ul>" }]);
+    const result = await executor.executeApiRequestStep({ command: "api_request", url: "https://example.com/fragment", config: { response_type: "html" } });
+    spy.mockRestore();
+    expect(result).toBe("<ul><li>A</li></ul>");
+    expect(calls[0].init.response_type).toBeUndefined();
+  });
+
+  test("text bodies are stored with their line breaks", async () => {
+    const { engine, executor } = createExecutor();
+    const { spy } = mockFetch([{ body: "Title: The quick\nbrown fox\r\nYear:\t1999\n" }]);
+    await executor.execute({
+      command: "api_request",
+      url: "https://example.com/info.txt",
+      config: { response_type: "text" },
+      output: { name: "BODY" }
+    });
+    spy.mockRestore();
+    expect(engine.get("BODY")).toBe("Title: The quick\nbrown fox\r\nYear:\t1999\n");
+
+    await executor.execute({ command: "regex", input: "$BODY", expression: "^Year:\\s*(\\d{4})$", config: { flags: "m" }, output: { name: "DATE" } });
+    expect(engine.get("DATE")).toBe("1999");
+  });
+
+  test("unknown response_type logs an error without fetching", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    const { calls, spy } = mockFetch([{}]);
+    expect(await executor.executeApiRequestStep({ command: "api_request", url: "https://example.com", config: { response_type: "yaml" } })).toBe("");
+    spy.mockRestore();
+    expect(calls.length).toBe(0);
+  }));
+
+  test("records a step error for invalid XML", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    const { spy } = mockFetch([{ body: "not xml" }]);
+    expect(await executor.executeApiRequestStep({ command: "api_request", url: "https://example.com/feed", config: { response_type: "xml" } })).toEqual({});
+    spy.mockRestore();
+    expect(engine.getStepErrors()[0].message).toBe("Invalid xml: no root element");
+  }));
+
+  test("records a step error for invalid JSON", silenceErrors(async () => {
+    const { engine, executor } = createExecutor();
+    const { spy } = mockFetch([{ body: "<html>" }]);
+    expect(await executor.executeApiRequestStep({ command: "api_request", url: "https://api.example.com", config: {} })).toEqual({});
+    spy.mockRestore();
+    expect(engine.getStepErrors()[0]).toMatchObject({ command: "api_request", status: 200, attempts: 1 });
+  }));
+});
+
+// ============================================================
+// DOM commands on HTML variables — input instead of the page
+// ============================================================
+describe("StepExecutor — querying HTML responses", () => {
+
+  function createHtmlExecutor() {
+    const { engine, executor } = createExecutor();
+    const calls = [];
+    const element = { evaluate: async (fn, ...args) => fn({ textContent: " Dune ", getAttribute: () => "/title/1" }, ...args) };
+    Object.assign(engine.browserManager, {
+      querySelector: async (selector, html) => { calls.push(["querySelector", selector, html]); return element; },
+      countElements: async (selector, html) => { calls.push(["countElements", selector, html]); return 3; },
+      getJsonLdBlocks: async (html) => { calls.push(["getJsonLdBlocks", html]); return ['{"@type":"Movie","name":"Dune"}']; }
+    });
+    engine.set("HTML", "<ul><li><a href='/title/1'>Dune</a></li></ul>");
+    return { engine, executor, calls };
+  }
+
+  test("store_text, store_attribute, store_array and store_count pass the HTML", async () => {
+    const { engine, executor, calls } = createHtmlExecutor();
+    const html = engine.get("HTML");
+    expect(await executor.executeStoreTextStep({ command: "store_text", input: "$HTML", locator: "li a" })).toBe("Dune");
+    expect(await executor.executeStoreAttributeStep({ command: "store_attribute", input: "$HTML", locator: "li a", attribute_name: "href" })).toBe("/title/1");
+    expect(await executor.executeStoreArrayStep({ command: "store_array", input: "$HTML", locator: "li a" })).toBe("Dune");
+    expect(await executor.executeStoreCountStep({ command: "store_count", input: "$HTML", locator: "li" })).toBe("3");
+    expect(calls.map(call => call[2])).toEqual([html, html, html, html]);
+  });
+
+  test("store_jsonld reads the HTML's JSON-LD", async () => {
+    const { engine, executor, calls } = createHtmlExecutor();
+    expect(await executor.executeStoreJsonLdStep({ command: "store_jsonld", input: "$HTML", config: { type: "Movie" } })).toEqual({ "@type": "Movie", name: "Dune" });
+    expect(calls).toEqual([["getJsonLdBlocks", engine.get("HTML")]]);
+  });
+
+  test("without input the page is queried", async () => {
+    const { executor, calls } = createHtmlExecutor();
+    await executor.executeStoreTextStep({ command: "store_text", locator: "h1" });
+    expect(calls).toEqual([["querySelector", "h1", undefined]]);
+  });
+
+  test("input must be a variable holding text", silenceErrors(async () => {
+    const { engine, executor, calls } = createHtmlExecutor();
+    engine.set("JSON", { a: 1 });
+    expect(await executor.executeStoreTextStep({ command: "store_text", input: "$JSON", locator: "h1" })).toBe("");
+    expect(await executor.executeStoreTextStep({ command: "store_text", input: "<p>x</p>", locator: "p" })).toBe("");
+    expect(calls).toEqual([]);
+  }));
+});
+
+// ============================================================
+// for_each — blocks of steps per result
+// ============================================================
+describe("StepExecutor — for_each", () => {
+
+  test("runs the nested steps per index with indexed outputs", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("RAW1", "The Matrix (1999)");
+    engine.set("RAW2", "Alien (1979)");
+
+    await executor.execute({
+      command: "for_each",
+      config: { index: "i", from: 1, to: 2 },
+      steps: [
+        { command: "store", input: "$RAW$i", output: { name: "AUX$i" } },
+        { command: "regex", input: "$AUX$i", expression: "\\((\\d{4})\\)", output: { name: "DATE$i" } },
+        { command: "regex", input: "$AUX$i", expression: "^(.*?) \\(", output: { name: "TITLE$i" } }
+      ]
+    });
+
+    expect(engine.get("TITLE1")).toBe("The Matrix");
+    expect(engine.get("DATE1")).toBe("1999");
+    expect(engine.get("TITLE2")).toBe("Alien");
+    expect(engine.get("DATE2")).toBe("1979");
+  });
+
+  test("bounds come from a json_count result", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: [{ title: "A" }, { title: "B" }, { title: "C" }] });
+
+    await executor.execute({ command: "json_count", input: "$JSON", locator: "results", output: { name: "COUNT" } });
+    await executor.execute({
+      command: "for_each",
+      config: { from: 0, to: "$COUNT - 1" },
+      steps: [{ command: "json_store_text", input: "$JSON", locator: "results[$i].title", output: { name: "TITLE$i" } }]
+    });
+
+    expect(["TITLE0", "TITLE1", "TITLE2"].map(key => engine.get(key))).toEqual(["A", "B", "C"]);
+    expect(engine.get("TITLE3", null)).toBe(null);
+  });
+
+  test("iterates a JSON array, exposing each element", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: [{ title: "Dune", year: 2021 }, { title: "Arrival", year: 2016 }] });
+
+    await executor.execute({
+      command: "for_each",
+      input: "$JSON",
+      locator: "results",
+      config: { item: "MOVIE" },
+      steps: [
+        { command: "json_store_text", input: "$MOVIE", locator: "title", output: { name: "TITLE$i" } },
+        { command: "json_store_text", input: "$MOVIE", locator: "year", output: { name: "DATE$i" } }
+      ]
+    });
+
+    expect(engine.get("TITLE0")).toBe("Dune");
+    expect(engine.get("DATE1")).toBe(2016);
+  });
+
+  test("nested blocks use their own index", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("SHOWS", [{ seasons: ["S1", "S2"] }, { seasons: ["S1"] }]);
+
+    await executor.execute({
+      command: "for_each",
+      input: "$SHOWS",
+      config: { index: "i", item: "SHOW" },
+      steps: [{
+        command: "for_each",
+        input: "$SHOW",
+        locator: "seasons",
+        config: { index: "j", item: "SEASON" },
+        steps: [{ command: "store", input: "$i-$j:$SEASON", output: { name: "SEASONS", mode: "append" } }]
+      }]
+    });
+
+    expect(engine.get("SEASONS")).toEqual(["0-0:S1", "0-1:S2", "1-0:S1"]);
+  });
+
+  test("rejects a nested block reusing the outer index", silenceErrors(async () => {
+    // Nested steps run through the engine's own executor
+    const { engine } = createExecutor();
+    const executor = engine.stepExecutor;
+
+    await executor.execute({
+      command: "for_each",
+      config: { to: 2 },
+      steps: [{
+        command: "for_each",
+        config: { to: 3 },
+        steps: [{ command: "store", input: "x$i", output: { name: "INNER", mode: "append" } }]
+      }]
+    });
+
+    expect(engine.get("INNER")).toBe("");
+    expect(executor.forEachIndexes).toEqual([]);
+  }));
+
+  test("rejects a step loop reusing the block's index", silenceErrors(async () => {
+    const { engine } = createExecutor();
+    const executor = engine.stepExecutor;
+
+    await executor.execute({
+      command: "for_each",
+      config: { to: 2 },
+      steps: [
+        { command: "store", input: "x", output: { name: "CELL$i" }, config: { loop: { index: "i", from: 1, to: 5 } } },
+        { command: "store", input: "$i", output: { name: "ROW$i" } }
+      ]
+    });
+
+    expect(engine.findOutputKeys("CELL$i")).toEqual([]);
+    expect(engine.findOutputKeys("ROW$i")).toEqual(["ROW1", "ROW2"]);
+  }));
+
+  test("until_empty ends the block at the first empty result", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: ["A", "B"] });
+
+    await executor.execute({
+      command: "for_each",
+      config: { from: 0, until_empty: "TITLE$i" },
+      steps: [
+        { command: "json_store_text", input: "$JSON", locator: "results[$i]", output: { name: "TITLE$i" } },
+        { command: "store", input: "seen", output: { name: "SEEN", mode: "append" } }
+      ]
+    });
+
+    expect(engine.get("TITLE1")).toBe("B");
+    expect(engine.get("SEEN")).toEqual(["seen", "seen", "seen"]);
+    expect(engine.get("i")).toBe(2);
+  });
+
+  test("no array means no iterations", async () => {
+    const { engine, executor } = createExecutor();
+    engine.set("JSON", { results: null });
+
+    await executor.execute({
+      command: "for_each",
+      input: "$JSON",
+      locator: "results",
+      steps: [{ command: "store", input: "x", output: { name: "TITLE$i" } }]
+    });
+
+    expect(engine.get("TITLE0", null)).toBe(null);
+  });
+
+  test("missing steps, bounds or a positive step do nothing", silenceErrors(async () => {
+    const { executor } = createExecutor();
+    const steps = [{ command: "store", input: "x", output: { name: "X" } }];
+    expect(await executor.executeForEachStep({ command: "for_each", config: { to: 2 } })).toBe("");
+    expect(await executor.executeForEachStep({ command: "for_each", steps })).toBe("");
+    expect(await executor.executeForEachStep({ command: "for_each", config: { to: 2, step: 0 }, steps })).toBe("");
+  }));
+});
+
 // ============================================================
 // executeStoreCountStep — from tv_shows/tmdb
 // ============================================================
@@ -0,0 +1,178 @@
+import { expect, test, describe, beforeEach } from "bun:test";
+import { Log } from '../src/logger.js';
+
+Log.setDebug(false);
+
+import { mock } from "bun:test";
+
+mock.module('../src/browser.js', () => ({
+  BrowserManager: class MockBrowserManager {
+    constructor() { this.page = null; }
+    async initialize() {}
+    async close() {}
+    async setUserAgent() {}
+    async setExtraHTTPHeaders() {}
+    async loadPage() {}
+    async querySelector() { return null; }
+    async countElements() { return 0; }
+    async setCookies() {}
+  }
+}));
+
+const { RecipeEngine } = await import('../src/recipe.js');
+const { evaluateCondition } = await import('../src/conditions.js');
+
+// ============================================================
+// evaluateCondition — operators
+// ============================================================
+describe("evaluateCondition — operators", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecipeEngine();
+  });
+
+  // From generic/generic.json — only fall back to <title> when no og:title was found
+  test("empty / not_empty on a string variable", () => {
+    engine.set("TITLE", "");
+    expect(evaluateCondition({ input: "$TITLE", empty: true }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$TITLE", not_empty: true }, engine).passed).toBe(false);
+
+    engine.set("TITLE", "The Matrix");
+    expect(evaluateCondition({ input: "$TITLE", empty: true }, engine).passed).toBe(false);
+    expect(evaluateCondition({ input: "$TITLE", empty: false }, engine).passed).toBe(true);
+  });
+
+  test("undefined variable counts as empty", () => {
+    expect(evaluateCondition({ input: "$NEVER_SET", empty: true }, engine).passed).toBe(true);
+  });
+
+  // api_request returns {} on failure
+  test("empty object and empty array count as empty", () => {
+    engine.set("JSON", {});
+    expect(evaluateCondition({ input: "$JSON", empty: true }, engine).passed).toBe(true);
+    engine.set("TAGS", []);
+    expect(evaluateCondition({ input: "$TAGS", empty: true }, engine).passed).toBe(true);
+  });
+
+  test("path checks a field inside a JSON variable", () => {
+    engine.set("JSON", { results: [{ title: "Inception" }] });
+    expect(evaluateCondition({ input: "$JSON", path: "results.[0].title", not_empty: true }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$JSON", path: "results.[1].title", not_empty: true }, engine).passed).toBe(false);
+  });
+
+  test("path works on JSON strings", () => {
+    engine.set("JSON_LD", '{"name":"Dune","aggregateRating":{"ratingValue":"4.5"}}');
+    expect(evaluateCondition({ input: "$JSON_LD", path: "aggregateRating.ratingValue", gte: 4 }, engine).passed).toBe(true);
+  });
+
+  test("path resolves the loop index", () => {
+    engine.set("i", 2);
+    engine.set("JSON", { results: [{}, {}, { poster_path: "/a.jpg" }] });
+    expect(evaluateCondition({ input: "$JSON", path: "results.[$i].poster_path", not_empty: true }, engine).passed).toBe(true);
+  });
+
+  test("equals / not_equals compare as strings", () => {
+    engine.set("TYPE", "Movie");
+    engine.set("COUNT", 3);
+    expect(evaluateCondition({ input: "$TYPE", equals: "Movie" }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$TYPE", not_equals: "TVSeries" }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$COUNT", equals: 3 }, engine).passed).toBe(true);
+  });
+
+  test("equals resolves variables in the expected value", () => {
+    engine.set("A", "x");
+    engine.set("B", "x");
+    expect(evaluateCondition({ input: "$A", equals: "$B" }, engine).passed).toBe(true);
+  });
+
+  test("matches tests a regex, with optional flags", () => {
+    engine.set("URL", "https://www.imdb.com/title/tt0133093/");
+    expect(evaluateCondition({ input: "$URL", matches: "/title/tt\\d+" }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$URL", matches: "IMDB" }, engine).passed).toBe(false);
+    expect(evaluateCondition({ input: "$URL", matches: "IMDB", flags: "i" }, engine).passed).toBe(true);
+  });
+
+  test("invalid regex fails without throwing", () => {
+    engine.set("X", "abc");
+    const result = evaluateCondition({ input: "$X", matches: "(" }, engine);
+    expect(result.passed).toBe(false);
+    expect(result.reason).toContain("matches");
+  });
+
+  test("numeric comparisons against literals and variables", () => {
+    engine.set("RATING", "8.8");
+    engine.set("THRESHOLD", "5");
+    expect(evaluateCondition({ input: "$RATING", gt: 8 }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$RATING", gte: "8.8" }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$RATING", lt: "$THRESHOLD" }, engine).passed).toBe(false);
+    expect(evaluateCondition({ input: "$RATING", lte: 10 }, engine).passed).toBe(true);
+  });
+
+  test("numeric comparison with non-numeric value fails", () => {
+    engine.set("RATING", "N/A");
+    expect(evaluateCondition({ input: "$RATING", gt: 0 }, engine).passed).toBe(false);
+    expect(evaluateCondition({ input: "$RATING", lte: 0 }, engine).passed).toBe(false);
+  });
+
+  test("multiple operators in one object must all hold", () => {
+    engine.set("YEAR", "1999");
+    expect(evaluateCondition({ input: "$YEAR", gte: 1900, lt: 2100 }, engine).passed).toBe(true);
+    expect(evaluateCondition({ input: "$YEAR", gte: 2000, lt: 2100 }, engine).passed).toBe(false);
+  });
+
+  test("composed input is substituted as a string", () => {
+    engine.set("i", 1);
+    engine.set("TITLE1", "");
+    expect(evaluateCondition({ input: "$TITLE$i", empty: true }, engine).passed).toBe(true);
+  });
+});
+
+// ============================================================
+// evaluateCondition — grouping and invalid blocks
+// ============================================================
+describe("evaluateCondition — grouping", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecipeEngine();
+    engine.set("TITLE", "Dune");
+    engine.set("COVER", "");
+  });
+
+  test("array requires all conditions", () => {
+    expect(evaluateCondition([
+      { input: "$TITLE", not_empty: true },
+      { input: "$COVER", empty: true }
+    ], engine).passed).toBe(true);
+    expect(evaluateCondition([
+      { input: "$TITLE", not_empty: true },
+      { input: "$COVER", not_empty: true }
+    ], engine).passed).toBe(false);
+  });
+
+  test("any requires at least one condition", () => {
+    expect(evaluateCondition({ any: [
+      { input: "$TITLE", empty: true },
+      { input: "$COVER", empty: true }
+    ] }, engine).passed).toBe(true);
+    expect(evaluateCondition({ any: [
+      { input: "$TITLE", empty: true },
+      { input: "$COVER", not_empty: true }
+    ] }, engine).passed).toBe(false);
+  });
+
+  test("all groups like an array", () => {
+    expect(evaluateCondition({ all: [{ input: "$TITLE", equals: "Dune" }] }, engine).passed).toBe(true);
+  });
+
+  test("missing input or operator fails with a reason", () => {
+    expect(evaluateCondition({ empty: true }, engine)).toEqual({ passed: false, reason: 'invalid condition (missing input)' });
+    expect(evaluateCondition({ input: "$TITLE" }, engine).passed).toBe(false);
+  });
+
+  test("reason describes the failing operator", () => {
+    const result = evaluateCondition({ input: "$TITLE", equals: "Arrival" }, engine);
+    expect(result.reason).toBe('$TITLE ("Dune") fails equals Arrival');
+  });
+});
@@ -0,0 +1,105 @@
+import { expect, test, describe } from "bun:test";
+import { parseDateParts, formatDateParts, monthFromName, parseLocale, combineLocale } from '../src/dates.js';
+
+// ============================================================
+// parseDateParts / formatDateParts
+// ============================================================
+describe("parseDateParts", () => {
+
+  test("ISO dates and timestamps keep their calendar day", () => {
+    expect(parseDateParts("1999-03-31")).toEqual({ year: 1999, month: 3, day: 31 });
+    expect(parseDateParts("1999-03-31T00:00:00Z")).toEqual({ year: 1999, month: 3, day: 31 });
+    expect(parseDateParts("2010-07")).toEqual({ year: 2010, month: 7, day: undefined });
+  });
+
+  test("year-only values", () => {
+    expect(parseDateParts("1999")).toEqual({ year: 1999 });
+    expect(parseDateParts("(1999)")).toEqual({ year: 1999 });
+  });
+
+  test("English month names", () => {
+    expect(parseDateParts("March 31, 1999")).toEqual({ year: 1999, month: 3, day: 31 });
+  });
+
+  test("unparseable text returns null", () => {
+    expect(parseDateParts("Coming soon")).toBe(null);
+  });
+
+  test("dates that do not exist return null instead of their year", () => {
+    expect(parseDateParts("2020-13-45")).toBe(null);
+    expect(parseDateParts("Released 2020-02-30")).toBe(null);
+    expect(parseDateParts("31/31/1999")).toBe(null);
+    expect(parseDateParts("Season 2019/20")).toEqual({ year: 2019 });
+  });
+});
+
+describe("formatDateParts", () => {
+
+  test("renders tokens", () => {
+    const parts = { year: 1999, month: 3, day: 1 };
+    expect(formatDateParts(parts, "YYYY")).toBe("1999");
+    expect(formatDateParts(parts, "DD/MM/YYYY")).toBe("01/03/1999");
+    expect(formatDateParts(parts, "MMM D, YYYY")).toBe("Mar 1, 1999");
+    expect(formatDateParts(parts, "MMMM YY")).toBe("March 99");
+  });
+
+  test("month names follow the locale", () => {
+    const parts = { year: 1999, month: 3, day: 31 };
+    expect(formatDateParts(parts, "D MMMM YYYY", "es_ES")).toBe("31 marzo 1999");
+    expect(formatDateParts(parts, "D. MMMM YYYY", "de")).toBe("31. März 1999");
+    expect(formatDateParts(parts, "MMMM", "xx")).toBe("March");
+  });
+});
+
+// ============================================================
+// parseLocale / combineLocale / monthFromName
+// ============================================================
+describe("parseLocale", () => {
+
+  test("splits language and region", () => {
+    expect(parseLocale("es_ES")).toEqual({ language: "es", region: "ES" });
+    expect(parseLocale("en-gb")).toEqual({ language: "en", region: "GB" });
+    expect(parseLocale("FR")).toEqual({ language: "fr", region: "" });
+  });
+
+  test("falls back to English", () => {
+    expect(parseLocale(undefined)).toEqual({ language: "en", region: "" });
+    expect(parseLocale("$SYSTEM_LANGUAGE")).toEqual({ language: "en", region: "" });
+  });
+});
+
+describe("combineLocale", () => {
+
+  test("adds the region to a bare language", () => {
+    expect(combineLocale("en", "gb")).toBe("en-GB");
+    expect(combineLocale("en_US", "GB")).toBe("en_US");
+    expect(combineLocale("en", "")).toBe("en");
+    expect(combineLocale("en", undefined)).toBe("en");
+  });
+});
+
+describe("monthFromName", () => {
+
+  test("full names and abbreviations", () => {
+    expect(monthFromName("March")).toBe(3);
+    expect(monthFromName("Sept.")).toBe(9);
+    expect(monthFromName("dec")).toBe(12);
+  });
+
+  test("locale names, ignoring accents", () => {
+    expect(monthFromName("marzo", "es")).toBe(3);
+    expect(monthFromName("févr.", "fr")).toBe(2);
+    expect(monthFromName("Mär", "de")).toBe(3);
+    expect(monthFromName("août", "fr")).toBe(8);
+  });
+
+  test("English names still resolve under another locale", () => {
+    expect(monthFromName("October", "es")).toBe(10);
+  });
+
+  test("short or ambiguous abbreviations do not resolve", () => {
+    expect(monthFromName("ma")).toBe(undefined);
+    expect(monthFromName("jui", "fr")).toBe(undefined);
+    expect(monthFromName("Movie")).toBe(undefined);
+  });
+});
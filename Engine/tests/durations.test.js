@@ -0,0 +1,71 @@
+import { expect, test, describe } from "bun:test";
+import { parseDuration, formatDuration } from '../src/durations.js';
+
+// ============================================================
+// parseDuration — runtime shapes from TMDB, IMDb and Apple
+// ============================================================
+describe("parseDuration", () => {
+
+  test("ISO 8601 durations (JSON-LD)", () => {
+    expect(parseDuration("PT2H16M")).toBe(8160);
+    expect(parseDuration("PT45M30S")).toBe(2730);
+    expect(parseDuration("PT1.5H")).toBe(5400);
+    expect(parseDuration("P1DT2H")).toBe(93600);
+  });
+
+  test("unit text", () => {
+    expect(parseDuration("136 min")).toBe(8160);
+    expect(parseDuration("2h 16m")).toBe(8160);
+    expect(parseDuration("1 hour 30 minutes")).toBe(5400);
+    expect(parseDuration("Runtime: 2 hrs. 5 mins.")).toBe(7500);
+    expect(parseDuration("2 Std. 16 Min.")).toBe(8160);
+    expect(parseDuration("45s")).toBe(45);
+  });
+
+  test("clock notation", () => {
+    expect(parseDuration("2:16:00")).toBe(8160);
+    expect(parseDuration("45:30")).toBe(2730);
+  });
+
+  test("bare numbers use the given unit", () => {
+    expect(parseDuration("136")).toBe(8160);
+    expect(parseDuration(136)).toBe(8160);
+    expect(parseDuration(2730000, "ms")).toBe(2730);
+    expect(parseDuration("90", "s")).toBe(90);
+    expect(parseDuration("2", "hours")).toBe(7200);
+  });
+
+  test("returns null without a duration", () => {
+    expect(parseDuration("")).toBe(null);
+    expect(parseDuration("Unknown")).toBe(null);
+    expect(parseDuration("P")).toBe(null);
+    expect(parseDuration("12", "fortnights")).toBe(null);
+  });
+});
+
+// ============================================================
+// formatDuration
+// ============================================================
+describe("formatDuration", () => {
+
+  test("human omits empty parts", () => {
+    expect(formatDuration(8160)).toBe("2h 16m");
+    expect(formatDuration(2700)).toBe("45m");
+    expect(formatDuration(3725)).toBe("1h 2m 5s");
+    expect(formatDuration(0)).toBe("0m");
+  });
+
+  test("presets", () => {
+    expect(formatDuration(8160, "iso")).toBe("PT2H16M");
+    expect(formatDuration(0, "iso")).toBe("PT0S");
+    expect(formatDuration(8160, "clock")).toBe("2:16:00");
+    expect(formatDuration(8160, "seconds")).toBe("8160");
+    expect(formatDuration(8160, "minutes")).toBe("136 min");
+  });
+
+  test("templates", () => {
+    expect(formatDuration(8160, "{hours} h {minutes} min")).toBe("2 h 16 min");
+    expect(formatDuration(8160, "{total_minutes}'")).toBe("136'");
+    expect(formatDuration(8160, "{unknown}")).toBe("{unknown}");
+  });
+});
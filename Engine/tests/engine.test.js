@@ -1,5 +1,6 @@
 import { expect, test, describe, beforeEach } from "bun:test";
 import { Log } from '../src/logger.js';
+import { getStepOutputs } from '../src/outputs.js';
 
 Log.setDebug(false);
 
@@ -43,9 +44,9 @@ function restructureOutputByStepConfig(result, recipe) {
   const filteredResult = {};
 
   if (recipe.url_steps && Array.isArray(recipe.url_steps)) {
-    for (const step of recipe.url_steps) {
-      if (step.output && step.output.name && step.output.show) {
-        const outputName = step.output.name;
+    for (const output of recipe.url_steps.flatMap(getStepOutputs)) {
+      if (output.show) {
+        const outputName = output.name;
         if (result.hasOwnProperty(outputName)) {
           filteredResult[outputName] = result[outputName];
         } else if (outputName.includes('$')) {
@@ -245,6 +246,21 @@ describe("restructureOutputByStepConfig", () => {
     expect(results.INPUT).toBeUndefined();
   });
 
+  // parse_price writes CURRENCY next to PRICE
+  test("includes the currency output of parse_price", () => {
+    const recipe = {
+      url_steps: [
+        { command: "store_text", output: { name: "AUX_PRICE" } },
+        { command: "parse_price", input: "$AUX_PRICE", output: { name: "PRICE", show: true } },
+      ]
+    };
+    const rawResult = { AUX_PRICE: "19,99 €", PRICE: 19.99, CURRENCY: "EUR" };
+
+    const { results } = restructureOutputByStepConfig(rawResult, recipe);
+
+    expect(results).toEqual({ PRICE: 19.99, CURRENCY: "EUR" });
+  });
+
   // Empty recipe
   test("handles recipe with no url_steps", () => {
     const { results } = restructureOutputByStepConfig({ A: 1 }, {});
@@ -0,0 +1,139 @@
+import { expect, test, describe } from "bun:test";
+import { evaluateExpression, parseExpression, ExpressionError } from '../src/expressions.js';
+
+const variables = {
+  COUNT: "24",
+  RATING: "8.7/10",
+  TITLE: "The Matrix",
+  TITLE1: "Alien",
+  i: 1,
+  EMPTY: "",
+  LIST: ["a", "b", "c"],
+  TYPE: "movie"
+};
+const evaluate = (source, values = variables) => evaluateExpression(source, name => values[name]);
+
+// ============================================================
+// evaluateExpression — arithmetic
+// ============================================================
+describe("evaluateExpression — arithmetic", () => {
+
+  test("precedence and parentheses", () => {
+    expect(evaluate("1 + 2 * 3")).toBe(7);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("10 - 4 - 3")).toBe(3);
+    expect(evaluate("7 % 3")).toBe(1);
+    expect(evaluate("-2 * -3")).toBe(6);
+    expect(evaluate("1.5 * 2")).toBe(3);
+  });
+
+  test("variables are read as numbers", () => {
+    expect(evaluate("$COUNT - 1")).toBe(23);
+    expect(evaluate("$RATING / 2")).toBe(4.35);
+  });
+
+  test("+ always adds", () => {
+    expect(evaluate("$COUNT + 1")).toBe(25);
+    expect(evaluate('"2" + "3"')).toBe(5);
+  });
+
+  test("non-numeric operands and division by zero are NaN", () => {
+    expect(evaluate("$TITLE + 1")).toBeNaN();
+    expect(evaluate("$MISSING * 2")).toBeNaN();
+    expect(evaluate("1 / 0")).toBeNaN();
+    expect(evaluate("1 % 0")).toBeNaN();
+  });
+});
+
+// ============================================================
+// evaluateExpression — functions
+// ============================================================
+describe("evaluateExpression — functions", () => {
+
+  test("min and max", () => {
+    expect(evaluate("min($COUNT, 10)")).toBe(10);
+    expect(evaluate("max($COUNT, 10, 30)")).toBe(30);
+    expect(evaluate("min()")).toBeNaN();
+  });
+
+  test("rounding half away from zero", () => {
+    expect(evaluate("round($RATING / 2, 1)")).toBe(4.4);
+    expect(evaluate("round(2.5)")).toBe(3);
+    expect(evaluate("round(-2.5)")).toBe(-3);
+    expect(evaluate("floor(2.7)")).toBe(2);
+    expect(evaluate("ceil(2.1)")).toBe(3);
+    expect(evaluate("abs(-4)")).toBe(4);
+  });
+
+  test("len of text and lists", () => {
+    expect(evaluate("len($TITLE)")).toBe(10);
+    expect(evaluate("len($LIST)")).toBe(3);
+    expect(evaluate("len($MISSING)")).toBe(0);
+  });
+
+  test("number reads the first number in text", () => {
+    expect(evaluate('number("1,234 votes")')).toBe(1234);
+  });
+});
+
+// ============================================================
+// evaluateExpression — comparisons and logic
+// ============================================================
+describe("evaluateExpression — comparisons and logic", () => {
+
+  test("ordering is numeric", () => {
+    expect(evaluate("$COUNT > 10")).toBe(true);
+    expect(evaluate('"9" < "10"')).toBe(true);
+    expect(evaluate("$COUNT <= 23")).toBe(false);
+  });
+
+  test("equality compares text when both sides are text", () => {
+    expect(evaluate('$TYPE == "movie"')).toBe(true);
+    expect(evaluate("$TYPE != 'series'")).toBe(true);
+    expect(evaluate("$COUNT == 24")).toBe(true);
+    expect(evaluate('"1.0" == "1"')).toBe(false);
+  });
+
+  test("logic returns booleans", () => {
+    expect(evaluate("len($TITLE) > 0 && $COUNT > 0")).toBe(true);
+    expect(evaluate("$EMPTY || 0")).toBe(false);
+    expect(evaluate("!$EMPTY")).toBe(true);
+    expect(evaluate("true && !false")).toBe(true);
+  });
+});
+
+// ============================================================
+// Variables and safety
+// ============================================================
+describe("evaluateExpression — variables", () => {
+
+  test("chained names read the indexed variable", () => {
+    expect(evaluate("len($TITLE$i)")).toBe(5);
+  });
+
+  test("values are operands, never code", () => {
+    const hostile = { X: "1); process.exit(1" };
+    expect(evaluate("$X + 1", hostile)).toBe(2);
+    expect(evaluate("len($X)", hostile)).toBe(18);
+  });
+});
+
+// ============================================================
+// parseExpression — errors
+// ============================================================
+describe("parseExpression — errors", () => {
+
+  test.each([
+    ["", /Empty expression/],
+    ["1 +", /Unexpected end/],
+    ["(1 + 2", /Expected "\)"/],
+    ["1 2", /Unexpected "2"/],
+    ["alert(1)", /Unknown function "alert"/],
+    ["$COUNT|length", /Unexpected "\|"/],
+    ["1 < 2 < 3", /Unexpected "<"/],
+    ["constructor(1)", /Unknown function "constructor"/]
+  ])("%p", (source, message) => {
+    expect(() => parseExpression(source)).toThrow(ExpressionError);
+    expect(() => parseExpression(source)).toThrow(message);
+  });
+});
@@ -1,5 +1,5 @@
 import { expect, test, describe } from "bun:test";
-import { validateField, validateRecipeFields } from '../src/fieldValidator.js';
+import { validateField, validateRecipeFields, getFieldType } from '../src/fieldValidator.js';
 import { Log } from '../src/logger.js';
 
 Log.setDebug(false);
@@ -59,7 +59,7 @@ describe("validateField", () => {
   });
 
   test("validates all standard url_fields keys", () => {
-    const knownKeys = ["TITLE", "COVER", "URL", "DESCRIPTION", "RATING", "DATE", "AUTHOR", "TAGS", "FAVICON", "GENRE", "DURATION", "YEAR", "WINERY", "INGREDIENTS", "STEPS", "COORDS", "LATITUDE", "LONGITUDE"];
+    const knownKeys = ["TITLE", "COVER", "URL", "DESCRIPTION", "RATING", "DATE", "AUTHOR", "TAGS", "PRICE", "CURRENCY", "FAVICON", "GENRE", "DURATION", "YEAR", "WINERY", "INGREDIENTS", "STEPS", "COORDS", "LATITUDE", "LONGITUDE"];
     for (const key of knownKeys) {
       const step = { output: { name: key, show: true } };
       const result = validateField(step, "url_steps");
@@ -106,6 +106,18 @@ describe("validateRecipeFields", () => {
     expect(ignored.has("TITLE")).toBe(false);
   });
 
+  test("validates the currency output of parse_price", () => {
+    const recipe = {
+      url_steps: [
+        { command: "parse_price", output: { name: "PRICE", show: true } },
+        { command: "parse_price", config: { currency_output: "PRICE_CODE" }, output: { name: "PRICE", show: true } },
+      ]
+    };
+    const ignored = validateRecipeFields(recipe, "url_steps");
+    expect(ignored.has("CURRENCY")).toBe(false);
+    expect(ignored.has("PRICE_CODE")).toBe(true);
+  });
+
   test("handles recipe with no steps", () => {
     const ignored = validateRecipeFields({}, "url_steps");
     expect(ignored.size).toBe(0);
@@ -139,3 +151,25 @@ describe("validateRecipeFields", () => {
     expect(ignored.has("TITLE")).toBe(false);
   });
 });
+
+// ============================================================
+// getFieldType — schema types used for output coercion
+// ============================================================
+describe("getFieldType", () => {
+
+  test("returns the schema type for url fields", () => {
+    expect(getFieldType("RATING", "url_steps")).toBe("float");
+    expect(getFieldType("DATE", "url_steps")).toBe("date");
+    expect(getFieldType("EPISODES", "url_steps")).toBe("integer");
+    expect(getFieldType("TITLE", "url_steps")).toBe("string");
+  });
+
+  test("uses the autocomplete field set for autocomplete_steps", () => {
+    expect(getFieldType("TITLE", "autocomplete_steps")).toBe("string");
+    expect(getFieldType("RATING", "autocomplete_steps")).toBeUndefined();
+  });
+
+  test("returns undefined for unknown fields", () => {
+    expect(getFieldType("BANANA", "url_steps")).toBeUndefined();
+  });
+});
@@ -0,0 +1,145 @@
+import { expect, test, describe } from "bun:test";
+import { FILTERS, FILTER_CHAIN, parseFilterChain, applyFilters } from '../src/filters.js';
+
+// ============================================================
+// Text filters
+// ============================================================
+describe("FILTERS — text", () => {
+
+  test("lower, upper, trim, capitalize", () => {
+    expect(FILTERS.lower("The MATRIX")).toBe("the matrix");
+    expect(FILTERS.upper("es")).toBe("ES");
+    expect(FILTERS.trim("  Dune \n")).toBe("Dune");
+    expect(FILTERS.capitalize("élan vital")).toBe("Élan vital");
+  });
+
+  test("replace is literal and global", () => {
+    expect(FILTERS.replace("a.b.c", ".", "/")).toBe("a/b/c");
+    expect(FILTERS.replace("w100", "w100", "original")).toBe("original");
+    expect(FILTERS.replace("abc", "b")).toBe("ac");
+    expect(FILTERS.replace("abc")).toBe("abc");
+  });
+
+  test("truncate adds an ellipsis only when cutting", () => {
+    expect(FILTERS.truncate("A long description", "6")).toBe("A long…");
+    expect(FILTERS.truncate("Short", "10")).toBe("Short");
+    expect(FILTERS.truncate("A long description", "7", "...")).toBe("A long...");
+    expect(FILTERS.truncate("Unchanged", "x")).toBe("Unchanged");
+  });
+});
+
+// ============================================================
+// default and list filters
+// ============================================================
+describe("FILTERS — default and lists", () => {
+
+  test("default replaces empty values only", () => {
+    expect(FILTERS.default("", "unknown")).toBe("unknown");
+    expect(FILTERS.default("   ", "unknown")).toBe("unknown");
+    expect(FILTERS.default([], "none")).toBe("none");
+    expect(FILTERS.default(undefined, "n/a")).toBe("n/a");
+    expect(FILTERS.default("1999", "unknown")).toBe("1999");
+    expect(FILTERS.default(0, "unknown")).toBe(0);
+  });
+
+  test("join, split, first, last", () => {
+    expect(FILTERS.join(["Drama", "Sci-Fi"])).toBe("Drama, Sci-Fi");
+    expect(FILTERS.join(["a", "b"], " / ")).toBe("a / b");
+    expect(FILTERS.join("not a list", "-")).toBe("not a list");
+    expect(FILTERS.split("Drama, Sci-Fi ,Thriller")).toEqual(["Drama", "Sci-Fi", "Thriller"]);
+    expect(FILTERS.split("a|b", "|")).toEqual(["a", "b"]);
+    expect(FILTERS.first(["a", "b"])).toBe("a");
+    expect(FILTERS.last(["a", "b"])).toBe("b");
+    expect(FILTERS.first([])).toBe("");
+    expect(FILTERS.first("text")).toBe("text");
+  });
+
+  test("slice and length work on lists and text", () => {
+    expect(FILTERS.slice(["a", "b", "c", "d"], "1", "3")).toEqual(["b", "c"]);
+    expect(FILTERS.slice("2024-05-01", "0", "4")).toBe("2024");
+    expect(FILTERS.slice("2024-05-01", "-2")).toBe("01");
+    expect(FILTERS.length(["a", "b"])).toBe(2);
+    expect(FILTERS.length("abc")).toBe(3);
+  });
+});
+
+// ============================================================
+// Escaping filters
+// ============================================================
+describe("FILTERS — escaping", () => {
+
+  test("json quotes and escapes strings", () => {
+    expect(FILTERS.json(`Ocean's "Eleven"`)).toBe(`"Ocean's \\"Eleven\\""`);
+    expect(FILTERS.json("a\\b\nc\t")).toBe('"a\\\\b\\nc\\t"');
+    expect(FILTERS.json("Amélie 東京")).toBe('"Amélie 東京"');
+  });
+
+  test("json renders non-strings as JSON", () => {
+    expect(FILTERS.json(["a", "b"])).toBe('["a","b"]');
+    expect(FILTERS.json({ id: 1 })).toBe('{"id":1}');
+    expect(FILTERS.json(42)).toBe("42");
+    expect(FILTERS.json(undefined)).toBe("");
+  });
+
+  test("url encodes a URL component", () => {
+    expect(FILTERS.url("Tom & Jerry")).toBe("Tom%20%26%20Jerry");
+    expect(FILTERS.url("a=b?c#d/e")).toBe("a%3Db%3Fc%23d%2Fe");
+    expect(FILTERS.url("Amélie")).toBe("Am%C3%A9lie");
+    expect(FILTERS.url("$5")).toBe("%245");
+  });
+
+  test("html escapes markup characters", () => {
+    expect(FILTERS.html(`<b>"Fish" & 'Chips'</b>`)).toBe("&lt;b&gt;&quot;Fish&quot; &amp; &#39;Chips&#39;&lt;/b&gt;");
+  });
+});
+
+// ============================================================
+// Chains
+// ============================================================
+describe("parseFilterChain", () => {
+
+  test("names and colon-separated arguments", () => {
+    expect(parseFilterChain("|trim|truncate:300|default:unknown")).toEqual([
+      { name: "trim", args: [] },
+      { name: "truncate", args: ["300"] },
+      { name: "default", args: ["unknown"] }
+    ]);
+  });
+
+  test("quoted arguments keep spaces, colons and pipes", () => {
+    expect(parseFilterChain(`|join:", "|replace:'a:b':"x|y"`)).toEqual([
+      { name: "join", args: [", "] },
+      { name: "replace", args: ["a:b", "x|y"] }
+    ]);
+  });
+});
+
+describe("applyFilters", () => {
+
+  test("applies a chain left to right", () => {
+    expect(applyFilters(`"x" & y`, "|json|url")).toBe("%22%5C%22x%5C%22%20%26%20y%22");
+    expect(applyFilters(["b", "a"], `|first|upper`)).toBe("B");
+    expect(applyFilters("", "|default:unknown|upper")).toBe("UNKNOWN");
+  });
+
+  test("an empty chain returns the value unchanged", () => {
+    expect(applyFilters(7, "")).toBe(7);
+  });
+});
+
+describe("FILTER_CHAIN", () => {
+  const chain = new RegExp(`^${FILTER_CHAIN}`);
+
+  test("matches registered filters only", () => {
+    expect("|json|url rest".match(chain)[0]).toBe("|json|url");
+    expect("|jsonp".match(chain)[0]).toBe("");
+    expect("|other".match(chain)[0]).toBe("");
+  });
+
+  test("unquoted arguments stop at spaces, & and brackets", () => {
+    expect("|default:unknown rest".match(chain)[0]).toBe("|default:unknown");
+    expect("|default:1&lang=en".match(chain)[0]).toBe("|default:1");
+    expect("|default:none)".match(chain)[0]).toBe("|default:none");
+    expect(`|join:", " rest`.match(chain)[0]).toBe(`|join:", "`);
+  });
+});
@@ -0,0 +1,143 @@
+import { expect, test, describe, afterEach, spyOn } from "bun:test";
+import { Log } from '../src/logger.js';
+import {
+  resolveRequestPolicy, parseRetryAfter, getBackoffDelay, fetchWithRetry,
+  DEFAULT_RETRY_STATUSES, DEFAULT_REQUEST_TIMEOUT
+} from '../src/http.js';
+
+Log.setDebug(false);
+
+// Replaces fetch with a queue of canned responses (or errors to throw)
+function mockFetch(replies) {
+  const calls = [];
+  const spy = spyOn(globalThis, "fetch").mockImplementation(async (url, init) => {
+    calls.push({ url, init });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    return new Response(reply.body ?? "{}", { status: reply.status ?? 200, headers: reply.headers });
+  });
+  return { calls, spy };
+}
+
+afterEach(() => {
+  globalThis.fetch.mockRestore?.();
+});
+
+// ============================================================
+// resolveRequestPolicy
+// ============================================================
+describe("resolveRequestPolicy", () => {
+
+  test("defaults to a single attempt with the default timeout", () => {
+    expect(resolveRequestPolicy()).toEqual({
+      attempts: 1,
+      backoff: 500,
+      maxBackoff: 10000,
+      retryOn: DEFAULT_RETRY_STATUSES,
+      timeout: DEFAULT_REQUEST_TIMEOUT
+    });
+  });
+
+  test("step settings override the recipe's field by field", () => {
+    const policy = resolveRequestPolicy(
+      { timeout: 8000, retry: { attempts: 4, backoff: 1000 } },
+      { retry: { attempts: 2, retry_on: [429] } }
+    );
+    expect(policy).toEqual({ attempts: 2, backoff: 1000, maxBackoff: 10000, retryOn: [429], timeout: 8000 });
+    expect(resolveRequestPolicy({ timeout: 8000 }, { timeout: "3000" }).timeout).toBe(3000);
+  });
+});
+
+// ============================================================
+// parseRetryAfter / getBackoffDelay
+// ============================================================
+describe("parseRetryAfter", () => {
+
+  test("seconds", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter("0")).toBe(0);
+  });
+
+  test("HTTP dates", () => {
+    const now = Date.parse("Wed, 21 Oct 2026 07:28:00 GMT");
+    expect(parseRetryAfter("Wed, 21 Oct 2026 07:28:05 GMT", now)).toBe(5000);
+    expect(parseRetryAfter("Wed, 21 Oct 2026 07:27:00 GMT", now)).toBe(0);
+  });
+
+  test("missing or invalid", () => {
+    expect(parseRetryAfter(null)).toBe(null);
+    expect(parseRetryAfter("")).toBe(null);
+    expect(parseRetryAfter("soon")).toBe(null);
+  });
+});
+
+describe("getBackoffDelay", () => {
+  const policy = { backoff: 500, maxBackoff: 3000 };
+
+  test("doubles per attempt with jitter between half and full delay", () => {
+    expect(getBackoffDelay(1, policy, () => 0)).toBe(250);
+    expect(getBackoffDelay(1, policy, () => 1)).toBe(500);
+    expect(getBackoffDelay(3, policy, () => 1)).toBe(2000);
+  });
+
+  test("caps at maxBackoff", () => {
+    expect(getBackoffDelay(6, policy, () => 1)).toBe(3000);
+  });
+});
+
+// ============================================================
+// fetchWithRetry
+// ============================================================
+describe("fetchWithRetry", () => {
+  const policy = { attempts: 3, backoff: 1, maxBackoff: 5, retryOn: [429, 503], timeout: 1000 };
+
+  test("returns the first successful response", async () => {
+    const { calls } = mockFetch([{ status: 200, body: '{"ok":1}' }]);
+    const result = await fetchWithRetry("https://api.example.com", { method: "GET" }, policy);
+    expect(result.ok).toBe(true);
+    expect(result.attempts).toBe(1);
+    expect(await result.response.json()).toEqual({ ok: 1 });
+    expect(calls[0].init.signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test("retries retryable statuses, honouring Retry-After", async () => {
+    const { calls } = mockFetch([
+      { status: 429, headers: { "Retry-After": "0" } },
+      { status: 503 },
+      { status: 200 }
+    ]);
+    const result = await fetchWithRetry("https://api.example.com", {}, policy);
+    expect(result.ok).toBe(true);
+    expect(result.attempts).toBe(3);
+    expect(calls.length).toBe(3);
+  });
+
+  test("retries network errors", async () => {
+    mockFetch([new TypeError("fetch failed"), { status: 200 }]);
+    const result = await fetchWithRetry("https://api.example.com", {}, policy);
+    expect(result.attempts).toBe(2);
+  });
+
+  test("does not retry other statuses", async () => {
+    const { calls } = mockFetch([{ status: 404, body: "Not here" }]);
+    const result = await fetchWithRetry("https://api.example.com", {}, policy);
+    expect(calls.length).toBe(1);
+    expect(result).toEqual({ ok: false, error: { status: 404, message: "HTTP 404", body: "Not here", attempts: 1 } });
+  });
+
+  test("reports the last failure after the final attempt", async () => {
+    mockFetch([{ status: 503 }]);
+    const result = await fetchWithRetry("https://api.example.com", {}, policy);
+    expect(result.ok).toBe(false);
+    expect(result.error.status).toBe(503);
+    expect(result.error.attempts).toBe(3);
+  });
+
+  test("aborts slow responses", async () => {
+    spyOn(globalThis, "fetch").mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    }));
+    const result = await fetchWithRetry("https://api.example.com", {}, { ...policy, attempts: 1, timeout: 20 });
+    expect(result.error).toEqual({ status: null, message: "Timed out after 20ms", attempts: 1 });
+  });
+});
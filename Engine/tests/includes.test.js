@@ -0,0 +1,169 @@
+import { expect, test, describe, beforeAll, afterAll } from "bun:test";
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveIncludes, createMacroScope } from '../src/includes.js';
+
+let root;
+
+// Writes a JSON file under the temporary root and returns its path
+async function writeJson(path, data) {
+  const fullPath = join(root, path);
+  await mkdir(join(fullPath, '..'), { recursive: true });
+  await writeFile(fullPath, JSON.stringify(data));
+  return fullPath;
+}
+
+beforeAll(async () => {
+  root = await mkdtemp(join(tmpdir(), 'recipekit-includes-'));
+  await writeJson('shared/apple.json', {
+    macros: {
+      search: {
+        params: { ENTITY: null, LIMIT: 10 },
+        steps: [
+          {
+            command: "api_request",
+            url: "https://itunes.apple.com/search?term=$INPUT&entity={{ENTITY}}&limit={{LIMIT}}",
+            config: { method: "GET" },
+            output: { name: "JSON" }
+          },
+          {
+            command: "json_store_text",
+            input: "$JSON",
+            locator: "results[$i].trackName",
+            config: { loop: { index: "i", from: 0, to: "{{LIMIT}}", step: 1 } },
+            output: { name: "TITLE$i", type: "string", show: true }
+          }
+        ]
+      },
+      cover: {
+        params: ["SIZE"],
+        steps: [
+          { command: "replace", input: "$COVER$i", find: "100x100", replace: "{{SIZE}}x{{SIZE}}", output: { name: "COVER$i" } }
+        ]
+      },
+      search_with_cover: {
+        params: { ENTITY: null },
+        steps: [
+          { command: "include", macro: "search", params: { ENTITY: "{{ENTITY}}", LIMIT: 5 } },
+          { command: "include", macro: "cover", params: { SIZE: 600 } }
+        ]
+      },
+      loop_a: { steps: [{ command: "include", macro: "loop_b" }] },
+      loop_b: { steps: [{ command: "include", macro: "loop_a" }] },
+      typo: { params: ["ENTITY"], steps: [{ command: "store", input: "{{ENTTY}}", output: { name: "X" } }] }
+    }
+  });
+});
+
+afterAll(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+// ============================================================
+// resolveIncludes — expanding macros
+// ============================================================
+describe("resolveIncludes", () => {
+
+  test("replaces include steps with the macro's steps and parameters", async () => {
+    const recipePath = await writeJson('albums/apple.json', {});
+    const recipe = await resolveIncludes({
+      title: "Apple Music",
+      autocomplete_steps: [
+        { command: "include", file: "../shared/apple.json", macro: "search", params: { ENTITY: "album" } }
+      ]
+    }, recipePath);
+
+    expect(recipe.autocomplete_steps.length).toBe(2);
+    expect(recipe.autocomplete_steps[0].url).toBe("https://itunes.apple.com/search?term=$INPUT&entity=album&limit=10");
+    // A string that is only a parameter keeps the parameter's type
+    expect(recipe.autocomplete_steps[1].config.loop.to).toBe(10);
+    expect(recipe.title).toBe("Apple Music");
+  });
+
+  test("macros can include other macros from their own file", async () => {
+    const recipePath = await writeJson('songs/apple.json', {});
+    const recipe = await resolveIncludes({
+      autocomplete_steps: [
+        { command: "include", file: "../shared/apple.json", macro: "search_with_cover", params: { ENTITY: "song" } }
+      ]
+    }, recipePath);
+
+    expect(recipe.autocomplete_steps.map(step => step.command)).toEqual(["api_request", "json_store_text", "replace"]);
+    expect(recipe.autocomplete_steps[0].url).toContain("entity=song&limit=5");
+    expect(recipe.autocomplete_steps[2].replace).toBe("600x600");
+  });
+
+  test("recipe-local macros and includes inside blocks", async () => {
+    const recipe = await resolveIncludes({
+      macros: {
+        title: { params: { SELECTOR: "h2" }, steps: [{ command: "store_text", locator: ".result:nth-child($i) {{SELECTOR}}", output: { name: "TITLE$i" } }] }
+      },
+      url_steps: [{ command: "store_url", output: { name: "URL" } }],
+      autocomplete_steps: [
+        { command: "for_each", config: { to: 5 }, steps: [{ command: "include", macro: "title" }] }
+      ]
+    }, join(root, 'local.json'));
+
+    expect(recipe.autocomplete_steps[0].steps).toEqual([
+      { command: "store_text", locator: ".result:nth-child($i) h2", output: { name: "TITLE$i" } }
+    ]);
+    expect(recipe.url_steps).toEqual([{ command: "store_url", output: { name: "URL" } }]);
+    expect(recipe.macros).toBeUndefined();
+  });
+
+  test("include ids prefix the ids of the expanded steps", async () => {
+    const recipe = await resolveIncludes({
+      macros: {
+        people: {
+          params: ["ROLE"],
+          steps: [
+            { id: "list", command: "for_each", config: { to: 3 }, steps: [{ id: "name", command: "store_text", locator: ".{{ROLE}}:nth-child($i)" }] }
+          ]
+        }
+      },
+      url_steps: [
+        { id: "cast", command: "include", macro: "people", params: { ROLE: "actor" } },
+        { id: "crew", command: "include", macro: "people", params: { ROLE: "director" } }
+      ]
+    }, join(root, 'prefix.json'));
+
+    expect(recipe.url_steps.map(step => step.id)).toEqual(["cast.list", "crew.list"]);
+    expect(recipe.url_steps[1].steps[0]).toEqual({ id: "crew.name", command: "store_text", locator: ".director:nth-child($i)" });
+  });
+
+  test("macros not in the recipe are looked up in its base's scope", async () => {
+    const base = createMacroScope({ macros: { rating: { steps: [{ command: "include", macro: "score" }] }, score: { steps: [{ command: "store_text", locator: ".score" }] } } }, join(root, 'base.json'));
+    const recipe = await resolveIncludes({ url_steps: [{ command: "include", macro: "rating" }] }, join(root, 'child.json'), base);
+    expect(recipe.url_steps).toEqual([{ command: "store_text", locator: ".score" }]);
+  });
+
+  test("recipes without includes are returned unchanged", async () => {
+    const original = { autocomplete_steps: [{ command: "load", url: "https://example.com" }] };
+    expect(await resolveIncludes(original, join(root, 'plain.json'))).toEqual(original);
+  });
+});
+
+// ============================================================
+// resolveIncludes — errors
+// ============================================================
+describe("resolveIncludes — errors", () => {
+
+  const include = (step) => resolveIncludes({ autocomplete_steps: [{ command: "include", file: "shared/apple.json", ...step }] }, join(root, 'recipe.json'));
+
+  test("missing and unknown parameters", async () => {
+    await expect(include({ macro: "search" })).rejects.toThrow(/Missing parameter ENTITY/);
+    await expect(include({ macro: "search", params: { ENTITY: "album", SORT: "new" } })).rejects.toThrow(/Unknown parameter SORT/);
+    await expect(include({ macro: "typo", params: { ENTITY: "album" } })).rejects.toThrow(/\{\{ENTTY\}\} is not a parameter/);
+  });
+
+  test("unknown macros and files", async () => {
+    await expect(include({ macro: "nope" })).rejects.toThrow(/No macro "nope"/);
+    await expect(include({ macro: "search", file: "shared/missing.json" })).rejects.toThrow(/Cannot load/);
+    await expect(include({ macro: undefined })).rejects.toThrow(/Missing required step properties/);
+  });
+
+  test("include cycles", async () => {
+    await expect(include({ macro: "loop_a" })).rejects.toThrow(/Circular include .*loop_a → .*loop_b → .*loop_a/);
+  });
+});
@@ -0,0 +1,151 @@
+import { expect, test, describe } from "bun:test";
+import { queryJsonPath, parseJsonPath, isSingularJsonPath, fromLodashPath, JsonPathError } from '../src/jsonpath.js';
+
+// Shaped after a TMDB movie with append_to_response=credits,images
+const movie = {
+  title: "The Dark Knight",
+  "release-date": "2008-07-16",
+  genres: [{ id: 28, name: "Action" }, { id: 80, name: "Crime" }, { id: 18, name: "Drama" }],
+  credits: {
+    cast: [{ name: "Christian Bale", order: 0 }, { name: "Heath Ledger", order: 1 }],
+    crew: [
+      { name: "Christopher Nolan", job: "Director", department: "Directing" },
+      { name: "Jonathan Nolan", job: "Screenplay", department: "Writing" },
+      { name: "Hans Zimmer", job: "Original Music Composer", department: "Sound", known: false }
+    ]
+  },
+  images: {
+    posters: [
+      { file_path: "/a.jpg", width: 500, iso_639_1: "en" },
+      { file_path: "/b.jpg", width: 2000, iso_639_1: null },
+      { file_path: "/c.jpg", width: 1000, iso_639_1: "en" }
+    ]
+  }
+};
+
+const query = (path) => queryJsonPath(movie, path);
+
+// ============================================================
+// queryJsonPath — selectors
+// ============================================================
+describe("queryJsonPath — selectors", () => {
+
+  test("names, quoted names and indexes", () => {
+    expect(query("$.title")).toEqual(["The Dark Knight"]);
+    expect(query("$['release-date']")).toEqual(["2008-07-16"]);
+    expect(query("$.genres[1].name")).toEqual(["Crime"]);
+    expect(query("$.genres[-1].name")).toEqual(["Drama"]);
+    expect(query("$")).toEqual([movie]);
+  });
+
+  test("missing names and indexes match nothing", () => {
+    expect(query("$.tagline")).toEqual([]);
+    expect(query("$.genres[9].name")).toEqual([]);
+    expect(query("$.title.length")).toEqual([]);
+  });
+
+  test("wildcards, slices and unions", () => {
+    expect(query("$.genres[*].name")).toEqual(["Action", "Crime", "Drama"]);
+    expect(query("$.genres.*.id")).toEqual([28, 80, 18]);
+    expect(query("$.genres[0:2].name")).toEqual(["Action", "Crime"]);
+    expect(query("$.genres[::-1].id")).toEqual([18, 80, 28]);
+    expect(query("$.genres[0,2].name")).toEqual(["Action", "Drama"]);
+  });
+
+  test("descendants", () => {
+    expect(query("$..job")).toEqual(["Director", "Screenplay", "Original Music Composer"]);
+    expect(query("$.credits..name")).toEqual(["Christian Bale", "Heath Ledger", "Christopher Nolan", "Jonathan Nolan", "Hans Zimmer"]);
+  });
+
+  test("works on arrays at the root", () => {
+    expect(queryJsonPath([{ title: "A" }, { title: "B" }], "$[*].title")).toEqual(["A", "B"]);
+  });
+});
+
+// ============================================================
+// queryJsonPath — filters
+// ============================================================
+describe("queryJsonPath — filters", () => {
+
+  test("equality with strings, numbers and null", () => {
+    expect(query("$.credits.crew[?(@.job == 'Director')].name")).toEqual(["Christopher Nolan"]);
+    expect(query('$.genres[?(@.id == 80)].name')).toEqual(["Crime"]);
+    expect(query("$.images.posters[?(@.iso_639_1 == null)].file_path")).toEqual(["/b.jpg"]);
+    expect(query("$.credits.crew[?(@.job != 'Director')].name")).toEqual(["Jonathan Nolan", "Hans Zimmer"]);
+  });
+
+  test("ordering comparisons only between numbers or strings", () => {
+    expect(query("$.images.posters[?(@.width > 500)].file_path")).toEqual(["/b.jpg", "/c.jpg"]);
+    expect(query("$.images.posters[?(@.width >= '500')].file_path")).toEqual([]);
+  });
+
+  test("logical operators and parentheses", () => {
+    expect(query("$.images.posters[?(@.width > 500 && @.iso_639_1 == 'en')].file_path")).toEqual(["/c.jpg"]);
+    expect(query("$.credits.crew[?(!(@.department == 'Directing' || @.department == 'Sound'))].name")).toEqual(["Jonathan Nolan"]);
+  });
+
+  test("regex matches", () => {
+    expect(query("$.credits.crew[?(@.name =~ /^jon/i)].name")).toEqual(["Jonathan Nolan"]);
+    expect(query("$.genres[?(@.id =~ /8/)]")).toEqual([]);
+  });
+
+  test("existence tests, including false values", () => {
+    expect(query("$.credits.crew[?(@.known)].name")).toEqual(["Hans Zimmer"]);
+    expect(query("$.credits.crew[?(!@.known)].name")).toEqual(["Christopher Nolan", "Jonathan Nolan"]);
+  });
+
+  test("filters may compare with the document root", () => {
+    expect(query("$.credits.crew[?(@.name == $.credits.crew[0].name)].job")).toEqual(["Director"]);
+  });
+
+  test("strings take JSON escapes in either quote style", () => {
+    const shows = [{ title: 'Grey\'s "Anatomy"' }, { title: "Other" }];
+    expect(queryJsonPath(shows, `$[?(@.title == ${JSON.stringify(shows[0].title)})]`)).toEqual([shows[0]]);
+    expect(queryJsonPath(shows, "$[?(@.title == 'Grey\\'s \\u0022Anatomy\\u0022')]")).toEqual([shows[0]]);
+  });
+
+  test("filter without parentheses (RFC 9535)", () => {
+    expect(query("$.genres[?@.name == 'Drama'].id")).toEqual([18]);
+  });
+});
+
+describe("fromLodashPath", () => {
+
+  test("turns lodash paths with [*] into JSONPath", () => {
+    expect(fromLodashPath("genres[*].name")).toBe('$["genres"][*]["name"]');
+    expect(fromLodashPath("data.edges.[*].node")).toBe('$["data"]["edges"][*]["node"]');
+    expect(fromLodashPath("[*].tags[0]")).toBe('$[*]["tags"][0]');
+  });
+
+  test("queries like the lodash path", () => {
+    const data = { genres: [{ name: "Drama" }, {}, { name: "Crime" }] };
+    expect(queryJsonPath(data, fromLodashPath("genres[*].name"))).toEqual(["Drama", "Crime"]);
+  });
+});
+
+describe("isSingularJsonPath", () => {
+
+  test("names and indexes only", () => {
+    expect(isSingularJsonPath("$.results")).toBe(true);
+    expect(isSingularJsonPath("$['results'][0].genres")).toBe(true);
+    expect(isSingularJsonPath("$.results[*]")).toBe(false);
+    expect(isSingularJsonPath("$.results[?(@.id == 1)]")).toBe(false);
+    expect(isSingularJsonPath("$..genres")).toBe(false);
+    expect(isSingularJsonPath("$.results[0,1]")).toBe(false);
+    expect(isSingularJsonPath("$.results[0:1]")).toBe(false);
+  });
+});
+
+// ============================================================
+// parseJsonPath — errors
+// ============================================================
+describe("parseJsonPath — errors", () => {
+
+  test("rejects malformed queries", () => {
+    expect(() => parseJsonPath("genres[0]")).toThrow(JsonPathError);
+    expect(() => parseJsonPath("$.genres[0")).toThrow(/Expected "\]"/);
+    expect(() => parseJsonPath("$.genres[?(@.id ==)]")).toThrow(/Expected a filter operand/);
+    expect(() => parseJsonPath("$.crew[?(@.name =~ /[/)]")).toThrow(JsonPathError);
+    expect(() => parseJsonPath("$.title 'x'")).toThrow(/Unexpected/);
+  });
+});
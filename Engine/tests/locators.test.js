@@ -0,0 +1,68 @@
+import { expect, test, describe } from "bun:test";
+import { parseLocator, toPuppeteerSelector, queryAllLocator } from '../src/locators.js';
+
+// ============================================================
+// parseLocator
+// ============================================================
+describe("parseLocator", () => {
+
+  test("plain selectors are CSS", () => {
+    expect(parseLocator("meta[property='og:title']")).toEqual({ type: 'css', value: "meta[property='og:title']" });
+  });
+
+  // Goodreads-style "Pages:" label followed by its value
+  test("xpath: prefix", () => {
+    expect(parseLocator("xpath://dt[normalize-space()='Pages:']/following-sibling::dd[1]")).toEqual({
+      type: 'xpath',
+      value: "//dt[normalize-space()='Pages:']/following-sibling::dd[1]"
+    });
+  });
+
+  test("text: prefix trims surrounding whitespace", () => {
+    expect(parseLocator("text: Runtime ")).toEqual({ type: 'text', value: 'Runtime' });
+  });
+
+  test("CSS pseudo-classes are not mistaken for prefixes", () => {
+    expect(parseLocator("a:hover").type).toBe('css');
+    expect(parseLocator("input:text").type).toBe('css');
+  });
+
+  test("non-string input is coerced", () => {
+    expect(parseLocator(undefined)).toEqual({ type: 'css', value: '' });
+  });
+});
+
+// ============================================================
+// toPuppeteerSelector
+// ============================================================
+describe("toPuppeteerSelector", () => {
+
+  test("maps xpath: to Puppeteer's xpath/ handler", () => {
+    expect(toPuppeteerSelector("xpath://h1")).toBe("xpath///h1");
+    expect(toPuppeteerSelector("xpath:(//li[@class='cast'])[3]")).toBe("xpath/(//li[@class='cast'])[3]");
+  });
+
+  test("maps text: to Puppeteer's text/ handler", () => {
+    expect(toPuppeteerSelector("text:Show more")).toBe("text/Show more");
+  });
+
+  test("leaves CSS untouched", () => {
+    expect(toPuppeteerSelector("div.result:nth-child(2) h2")).toBe("div.result:nth-child(2) h2");
+  });
+});
+
+// ============================================================
+// queryAllLocator
+// ============================================================
+describe("queryAllLocator", () => {
+  const root = { $$: async (selector) => ({ "li.b": [1, 2], "xpath///li": [3] })[selector] ?? [] };
+
+  test("returns the matches of the first alternative that matches", async () => {
+    expect(await queryAllLocator(root, ["li.a", "li.b", "xpath://li"])).toEqual({ elements: [1, 2], index: 1 });
+    expect(await queryAllLocator(root, "xpath://li")).toEqual({ elements: [3], index: 0 });
+  });
+
+  test("returns no elements when nothing matches", async () => {
+    expect(await queryAllLocator(root, ["li.a", "li.c"])).toEqual({ elements: [], index: -1 });
+  });
+});
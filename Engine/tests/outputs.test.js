@@ -0,0 +1,72 @@
+import { expect, test, describe } from "bun:test";
+import { getStepOutputs, getCurrencyOutputName, getRegexGroupOutputs } from '../src/outputs.js';
+
+// ============================================================
+// getStepOutputs
+// ============================================================
+describe("getStepOutputs", () => {
+
+  test("returns the step output", () => {
+    const output = { name: "TITLE", show: true };
+    expect(getStepOutputs({ command: "store_text", output })).toEqual([output]);
+  });
+
+  test("returns nothing without an output name", () => {
+    expect(getStepOutputs({ command: "load" })).toEqual([]);
+    expect(getStepOutputs({ command: "store", output: {} })).toEqual([]);
+    expect(getStepOutputs(undefined)).toEqual([]);
+  });
+
+  test("includes the outputs of nested steps", () => {
+    const step = {
+      command: "paginate",
+      steps: [
+        { command: "load", url: "https://example.com/?page=$PAGE" },
+        { command: "store_array", locator: "li", output: { name: "EPISODES", show: true } }
+      ]
+    };
+    expect(getStepOutputs(step)).toEqual([{ name: "EPISODES", show: true }]);
+  });
+
+  test("parse_price adds the currency output with the same show flag", () => {
+    const step = { command: "parse_price", output: { name: "PRICE", show: true } };
+    expect(getStepOutputs(step)).toEqual([
+      { name: "PRICE", show: true },
+      { name: "CURRENCY", type: "string", show: true }
+    ]);
+  });
+});
+
+describe("getRegexGroupOutputs", () => {
+
+  test("bare names share the primary show flag", () => {
+    const step = {
+      command: "regex",
+      config: { groups: { year: "DATE$i", title: { name: "TITLE$i", type: "string", show: false } } },
+      output: { name: "RAW$i", show: true }
+    };
+    expect(getRegexGroupOutputs(step)).toEqual([
+      { group: "year", output: { name: "DATE$i", show: true } },
+      { group: "title", output: { name: "TITLE$i", type: "string", show: false } }
+    ]);
+    expect(getStepOutputs(step).map(output => output.name)).toEqual(["RAW$i", "DATE$i", "TITLE$i"]);
+  });
+
+  test("groups count as outputs without a primary output", () => {
+    const step = { command: "regex", config: { groups: { year: "DATE" } } };
+    expect(getStepOutputs(step)).toEqual([{ name: "DATE", show: undefined }]);
+    expect(getRegexGroupOutputs({ command: "store", config: { groups: { year: "DATE" } } })).toEqual([]);
+  });
+});
+
+describe("getCurrencyOutputName", () => {
+
+  test("defaults to CURRENCY with the price index suffix", () => {
+    expect(getCurrencyOutputName({ output: { name: "PRICE" } })).toBe("CURRENCY");
+    expect(getCurrencyOutputName({ output: { name: "PRICE$i" } })).toBe("CURRENCY$i");
+  });
+
+  test("uses config.currency_output", () => {
+    expect(getCurrencyOutputName({ config: { currency_output: "AUX_CURRENCY" }, output: { name: "PRICE" } })).toBe("AUX_CURRENCY");
+  });
+});
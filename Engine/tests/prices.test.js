@@ -0,0 +1,99 @@
+import { expect, test, describe } from "bun:test";
+import { parsePrice, parseAmount, detectCurrency, getDecimalSeparator } from '../src/prices.js';
+
+// ============================================================
+// parsePrice — shapes from amazon, funko and vivino recipes
+// ============================================================
+describe("parsePrice", () => {
+
+  test("symbol before the amount", () => {
+    expect(parsePrice("$19.99", "US")).toEqual({ amount: 19.99, currency: "USD" });
+    expect(parsePrice("£7.50", "GB")).toEqual({ amount: 7.5, currency: "GBP" });
+  });
+
+  test("symbol after the amount with decimal comma", () => {
+    expect(parsePrice("19,99 €", "ES")).toEqual({ amount: 19.99, currency: "EUR" });
+    expect(parsePrice("19,99 €", "FR")).toEqual({ amount: 19.99, currency: "EUR" });
+  });
+
+  test("prefixed dollar symbols", () => {
+    expect(parsePrice("US$ 1.299,00", "BR")).toEqual({ amount: 1299, currency: "USD" });
+    expect(parsePrice("R$ 49,90", "BR")).toEqual({ amount: 49.9, currency: "BRL" });
+    expect(parsePrice("CA$24.99", "US")).toEqual({ amount: 24.99, currency: "CAD" });
+  });
+
+  test("ISO codes", () => {
+    expect(parsePrice("EUR 12", "US")).toEqual({ amount: 12, currency: "EUR" });
+    expect(parsePrice("1,299.00 USD", "ES")).toEqual({ amount: 1299, currency: "USD" });
+  });
+
+  test("bare $ and kr follow the region", () => {
+    expect(parsePrice("$19.99", "MX").currency).toBe("MXN");
+    expect(parsePrice("$19.99", "").currency).toBe("USD");
+    expect(parsePrice("149 kr", "NO").currency).toBe("NOK");
+    expect(parsePrice("¥1,200", "CN")).toEqual({ amount: 1200, currency: "CNY" });
+  });
+
+  test("thousands separated by spaces", () => {
+    expect(parsePrice("1 299,00 €", "FR")).toEqual({ amount: 1299, currency: "EUR" });
+  });
+
+  test("no currency in the text", () => {
+    expect(parsePrice("19.99", "US")).toEqual({ amount: 19.99, currency: "" });
+    expect(parsePrice(19.99)).toEqual({ amount: 19.99, currency: "" });
+  });
+
+  test("returns null without an amount", () => {
+    expect(parsePrice("Out of stock", "US")).toBe(null);
+    expect(parsePrice("", "US")).toBe(null);
+  });
+});
+
+// ============================================================
+// parseAmount — ambiguous separators
+// ============================================================
+describe("parseAmount", () => {
+
+  test("mixed separators: the last one is decimal", () => {
+    expect(parseAmount("1.299,00", "US")).toBe(1299);
+    expect(parseAmount("1,299.00", "ES")).toBe(1299);
+  });
+
+  test("one separator with three digits follows the region", () => {
+    expect(parseAmount("1.299", "ES")).toBe(1299);
+    expect(parseAmount("1.299", "US")).toBe(1.299);
+    expect(parseAmount("1,299", "US")).toBe(1299);
+    expect(parseAmount("1,299", "DE")).toBe(1.299);
+  });
+
+  test("one separator with one or two digits is decimal", () => {
+    expect(parseAmount("19,99", "US")).toBe(19.99);
+    expect(parseAmount("19.9", "ES")).toBe(19.9);
+  });
+
+  test("repeated separators are thousands", () => {
+    expect(parseAmount("1.234.567", "US")).toBe(1234567);
+    expect(parseAmount("1,234,567", "ES")).toBe(1234567);
+  });
+});
+
+describe("detectCurrency", () => {
+
+  test("lowercase words are not read as ISO codes", () => {
+    expect(detectCurrency("try it for 9.99", "US")).toBe("");
+  });
+
+  test("kr needs to stand alone", () => {
+    expect(detectCurrency("Kronenbourg 4,50", "SE")).toBe("");
+    expect(detectCurrency("kr 149", "DK")).toBe("DKK");
+  });
+});
+
+describe("getDecimalSeparator", () => {
+
+  test("by region", () => {
+    expect(getDecimalSeparator("ES")).toBe(",");
+    expect(getDecimalSeparator("us")).toBe(".");
+    expect(getDecimalSeparator(undefined)).toBe(".");
+  });
+});
@@ -1,4 +1,4 @@
-import { expect, test, describe, beforeEach } from "bun:test";
+import { expect, test, describe, beforeEach, spyOn } from "bun:test";
 import { Log } from '../src/logger.js';
 
 // Suppress debug logging during tests
@@ -92,6 +92,68 @@ describe("RecipeEngine — variable management", () => {
   });
 });
 
+describe("RecipeEngine — output modes", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecipeEngine();
+  });
+
+  test("overwrite replaces with empty values (default)", () => {
+    engine.set("TITLE", "Inception");
+    expect(engine.set("TITLE", "")).toBe(true);
+    expect(engine.get("TITLE")).toBe("");
+  });
+
+  // From generic/generic.json — a missed og:title must not wipe the <title> value
+  test("coalesce keeps the current value when the new one is empty", () => {
+    engine.set("TITLE", "Inception");
+    expect(engine.set("TITLE", "", "coalesce")).toBe(false);
+    expect(engine.set("TITLE", "  \n ", "coalesce")).toBe(false);
+    expect(engine.set("TITLE", null, "coalesce")).toBe(false);
+    expect(engine.get("TITLE")).toBe("Inception");
+  });
+
+  test("coalesce replaces with non-empty values", () => {
+    engine.set("TITLE", "Inception");
+    expect(engine.set("TITLE", "Inception (2010)", "coalesce")).toBe(true);
+    expect(engine.get("TITLE")).toBe("Inception (2010)");
+  });
+
+  test("coalesce sets an unset variable", () => {
+    engine.set("COVER", "https://img/a.jpg", "coalesce");
+    expect(engine.get("COVER")).toBe("https://img/a.jpg");
+  });
+
+  test("append builds a list and skips empty values", () => {
+    engine.set("TAGS", "Drama", "append");
+    engine.set("TAGS", "", "append");
+    engine.set("TAGS", "Sci-Fi", "append");
+    expect(engine.get("TAGS")).toEqual(["Drama", "Sci-Fi"]);
+  });
+
+  test("append promotes an existing scalar to a list", () => {
+    engine.set("AUTHOR", "Lana Wachowski");
+    engine.set("AUTHOR", "Lilly Wachowski", "append");
+    expect(engine.get("AUTHOR")).toEqual(["Lana Wachowski", "Lilly Wachowski"]);
+  });
+
+  test("append flattens array values", () => {
+    engine.set("TAGS", ["Drama"], "append");
+    engine.set("TAGS", ["Action", "Thriller"], "append");
+    expect(engine.get("TAGS")).toEqual(["Drama", "Action", "Thriller"]);
+  });
+
+  test("unknown mode warns and overwrites", () => {
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    engine.set("TITLE", "A");
+    engine.set("TITLE", "B", "merge");
+    expect(engine.get("TITLE")).toBe("B");
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
+
 describe("RecipeEngine — cleanVariableValue", () => {
   let engine;
 
@@ -104,6 +166,11 @@ describe("RecipeEngine — cleanVariableValue", () => {
     expect(engine.get("TITLE")).toBe("The Matrix Reloaded");
   });
 
+  test("set() with raw keeps text as is", () => {
+    engine.set("BODY", "line one\nline two\n", "overwrite", { raw: true });
+    expect(engine.get("BODY")).toBe("line one\nline two\n");
+  });
+
   test("set() preserves non-string values", () => {
     engine.set("COUNT", 42);
     expect(engine.get("COUNT")).toBe(42);
@@ -190,6 +257,188 @@ describe("RecipeEngine — replaceVariablesinString", () => {
     const result = engine.replaceVariablesinString("https:$COVER");
     expect(result).toBe("https://images.vivino.com/wine.jpg");
   });
+
+  // From movies/imdbgraphql.json — user input inside a JSON request body
+  test("json filter keeps quotes in the input from breaking a JSON body", () => {
+    engine.setInput(`Ocean's "Eleven"`);
+    const body = engine.replaceVariablesinString('{"variables":{"term":$INPUT|json}}');
+    expect(JSON.parse(body).variables.term).toBe(`Ocean's "Eleven"`);
+  });
+
+  test("url filter encodes & and unicode in query strings", () => {
+    engine.setInput("Tom & Jerry: Amélie");
+    const url = engine.replaceVariablesinString("https://example.com/search?q=$INPUT|url&lang=$SYSTEM_LANGUAGE");
+    expect(new URL(url).searchParams.get("q")).toBe("Tom & Jerry: Amélie");
+  });
+
+  test("html filter escapes markup", () => {
+    engine.setInput(`<b>"hi"</b>`);
+    expect(engine.replaceVariablesinString("<p>$INPUT|html</p>")).toBe("<p>&lt;b&gt;&quot;hi&quot;&lt;/b&gt;</p>");
+  });
+
+  test("filters apply to chained names", () => {
+    engine.set("i", 1);
+    engine.set("TITLE1", `"Heat"`);
+    expect(engine.replaceVariablesinString("$TITLE$i|json")).toBe('"\\"Heat\\""');
+  });
+
+  test("a literal | after a variable is kept", () => {
+    engine.set("TITLE", "Heat");
+    expect(engine.replaceVariablesinString("$TITLE|1995|jsonp")).toBe("Heat|1995|jsonp");
+  });
+
+  // From movies/tmdb.json — store/regex chains collapsed into filters
+  test("text filters with arguments", () => {
+    engine.set("TITLE", "  The Matrix ");
+    engine.set("DESC", "A computer hacker learns about the true nature of reality.");
+    engine.set("TAGS", ["Action", "Sci-Fi"]);
+    expect(engine.replaceVariablesinString("$TITLE|trim|lower")).toBe("the matrix");
+    expect(engine.replaceVariablesinString("$DESC|truncate:10")).toBe("A computer…");
+    expect(engine.replaceVariablesinString(`$TAGS|join:" / " ($TAGS|length)`)).toBe("Action / Sci-Fi (2)");
+  });
+
+  test("separators with spaces must be quoted", () => {
+    engine.set("TAGS", ["Action", "Sci-Fi"]);
+    expect(engine.replaceVariablesinString(`$TAGS|join:", "`)).toBe("Action, Sci-Fi");
+    // The unquoted argument ends at the space, which is then literal text
+    expect(engine.replaceVariablesinString("$TAGS|join:, ")).toBe("Action,Sci-Fi ");
+  });
+
+  test("default covers empty and never-set variables", () => {
+    engine.set("YEAR", "");
+    expect(engine.replaceVariablesinString("($YEAR|default:unknown)")).toBe("(unknown)");
+    expect(engine.replaceVariablesinString("($RUNTIME|default:unknown)")).toBe("(unknown)");
+    expect(engine.replaceVariablesinString("$RUNTIME stays")).toBe("$RUNTIME stays");
+  });
+
+  test("default covers a missing chained name", () => {
+    engine.set("i", 2);
+    engine.set("YEAR1", "1999");
+    expect(engine.replaceVariablesinString("$YEAR$i|default:TBA")).toBe("TBA");
+  });
+
+  test("$ in user input is not substituted again", () => {
+    engine.set("SYSTEM_REGION", "US");
+    engine.setInput("$SYSTEM_REGION costs $& $1 $$");
+    expect(engine.replaceVariablesinString("q=$INPUT")).toBe("q=$SYSTEM_REGION costs $& $1 $$");
+    expect(engine.replaceVariablesinString("q=$INPUT|url")).toBe("q=%24SYSTEM_REGION%20costs%20%24%26%20%241%20%24%24");
+  });
+});
+
+describe("RecipeEngine — coerceOutputs", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecipeEngine();
+  });
+
+  test("uses output.type and output.format", () => {
+    engine.set("RATING", "8.8/10");
+    engine.set("DATE", "March 31, 1999");
+    engine.coerceOutputs([
+      { command: "store", output: { name: "RATING", type: "float", show: true } },
+      { command: "store", output: { name: "DATE", type: "date", format: "YYYY", show: true } },
+    ], "url_steps");
+    expect(engine.get("RATING")).toBe(8.8);
+    expect(engine.get("DATE")).toBe("1999");
+  });
+
+  test("dates follow $SYSTEM_LANGUAGE and $SYSTEM_REGION", () => {
+    engine.set("SYSTEM_LANGUAGE", "en");
+    engine.set("SYSTEM_REGION", "GB");
+    engine.set("DATE", "03/04/2020");
+    engine.coerceOutputs([{ command: "store", output: { name: "DATE", type: "date", show: true } }], "url_steps");
+    expect(engine.get("DATE")).toBe("2020-04-03");
+  });
+
+  test("falls back to the schema type for show: true fields", () => {
+    engine.set("EPISODES", "62 episodes");
+    engine.set("AUX_EPISODES", "62 episodes");
+    engine.coerceOutputs([
+      { command: "store", output: { name: "EPISODES", show: true } },
+      { command: "store", output: { name: "AUX_EPISODES", show: false } },
+    ], "url_steps");
+    expect(engine.get("EPISODES")).toBe(62);
+    expect(engine.get("AUX_EPISODES")).toBe("62 episodes");
+  });
+
+  test("coerces every index of a looped output", () => {
+    engine.set("SEASON_EPISODES1", "7");
+    engine.set("SEASON_EPISODES2", "13");
+    engine.coerceOutputs([
+      { command: "regex", output: { name: "SEASON_EPISODES$i", type: "int", show: false } },
+    ], "url_steps");
+    expect(engine.get("SEASON_EPISODES1")).toBe(7);
+    expect(engine.get("SEASON_EPISODES2")).toBe(13);
+  });
+
+  test("last declaration of a field wins", () => {
+    engine.set("DATE", "1999-03-31");
+    engine.coerceOutputs([
+      { command: "store", output: { name: "DATE", type: "string", show: true } },
+      { command: "regex", output: { name: "DATE", type: "date", format: "YYYY", show: true } },
+    ], "url_steps");
+    expect(engine.get("DATE")).toBe("1999");
+  });
+
+  test("warns and keeps the raw value when coercion fails", () => {
+    const spy = spyOn(console, "warn").mockImplementation(() => {});
+    engine.set("RATING", "Not rated");
+    engine.coerceOutputs([{ command: "store", output: { name: "RATING", type: "float", show: true } }], "url_steps");
+    expect(engine.get("RATING")).toBe("Not rated");
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test("skips outputs that were never set", () => {
+    engine.coerceOutputs([{ command: "store", output: { name: "PRICE", show: true } }], "url_steps");
+    expect(engine.getAllVariables()).not.toHaveProperty("PRICE");
+  });
+});
+
+// ============================================================
+// checkAbsoluteUrls — URL/COVER must be absolute
+// ============================================================
+describe("RecipeEngine — checkAbsoluteUrls", () => {
+  let engine;
+  let warn;
+
+  beforeEach(() => {
+    engine = new RecipeEngine();
+    warn = spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  const steps = [
+    { command: "store_attribute", output: { name: "URL$i" } },
+    { command: "store_attribute", output: { name: "COVER$i", show: true } },
+    { command: "store_attribute", output: { name: "AUX_URL" } },
+  ];
+
+  test("stays quiet for absolute URLs", () => {
+    engine.set("URL1", "https://www.themoviedb.org/movie/603");
+    engine.set("COVER1", "https://image.tmdb.org/t/p/w500/abc.jpg");
+    engine.checkAbsoluteUrls(steps);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test("warns about relative and protocol-relative values", () => {
+    engine.set("URL1", "/movie/603");
+    engine.set("COVER2", "//image.tmdb.org/abc.jpg");
+    engine.checkAbsoluteUrls(steps);
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0].join(" ")).toContain("URL1");
+    expect(engine.get("URL1")).toBe("/movie/603");
+    warn.mockRestore();
+  });
+
+  test("ignores other fields and empty values", () => {
+    engine.set("AUX_URL", "/movie/603");
+    engine.set("URL1", "");
+    engine.checkAbsoluteUrls(steps);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
 });
 
 describe("RecipeEngine — matchLanguageAndRegion", () => {
@@ -0,0 +1,212 @@
+import { expect, test, describe, beforeAll, afterAll } from "bun:test";
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadRecipeFile, extendRecipe, mergePatch, findStepById } from '../src/recipeLoader.js';
+
+let root;
+
+async function writeJson(path, data) {
+  const fullPath = join(root, path);
+  await mkdir(join(fullPath, '..'), { recursive: true });
+  await writeFile(fullPath, JSON.stringify(data));
+  return fullPath;
+}
+
+// Shaped after movies/tmdb.json
+const movieRecipe = {
+  recipe_shortcut: "tmdb_movies",
+  list_type: "movies",
+  title: "TMDB Movies",
+  headers: { "Accept-Language": "en-US,en", "User-Agent": "Mozilla/5.0" },
+  autocomplete_steps: [
+    { id: "search", command: "load", url: "https://www.themoviedb.org/search/movie?query=$INPUT" },
+    {
+      id: "results",
+      command: "for_each",
+      config: { to: 10 },
+      steps: [
+        { id: "title", command: "store_text", locator: ".card:nth-child($i) h2", output: { name: "TITLE$i", show: true } },
+        { id: "cover", command: "store_attribute", locator: ".card:nth-child($i) img", attribute_name: "src", output: { name: "COVER$i", show: true } }
+      ]
+    }
+  ],
+  url_steps: [
+    { id: "title", command: "store_text", locator: "h2 a", output: { name: "TITLE", show: true } }
+  ]
+};
+
+beforeAll(async () => {
+  root = await mkdtemp(join(tmpdir(), 'recipekit-loader-'));
+});
+
+afterAll(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+// ============================================================
+// mergePatch / findStepById
+// ============================================================
+describe("mergePatch", () => {
+
+  test("merges objects, replaces arrays and removes nulls", () => {
+    expect(mergePatch(
+      { a: 1, headers: { x: "1", y: "2" }, urls: ["a", "b"] },
+      { headers: { y: "3", x: null }, urls: ["c"], b: 2 }
+    )).toEqual({ a: 1, headers: { y: "3" }, urls: ["c"], b: 2 });
+  });
+
+  test("does not modify its inputs", () => {
+    const target = { config: { loop: { to: 5 } } };
+    mergePatch(target, { config: { loop: { to: 9 } } });
+    expect(target.config.loop.to).toBe(5);
+  });
+});
+
+describe("findStepById", () => {
+
+  test("finds top-level and nested steps", () => {
+    expect(findStepById(movieRecipe.autocomplete_steps, "search").index).toBe(0);
+    const nested = findStepById(movieRecipe.autocomplete_steps, "cover");
+    expect(nested.index).toBe(1);
+    expect(nested.list).toBe(movieRecipe.autocomplete_steps[1].steps);
+    expect(findStepById(movieRecipe.autocomplete_steps, "missing")).toBe(null);
+  });
+});
+
+// ============================================================
+// extendRecipe
+// ============================================================
+describe("extendRecipe", () => {
+
+  test("overrides metadata and merges headers", () => {
+    const recipe = extendRecipe(movieRecipe, {
+      extends: "../movies/tmdb.json",
+      recipe_shortcut: "tmdb_tv",
+      list_type: "tv_shows",
+      headers: { "Accept-Language": "es-ES,es" }
+    });
+
+    expect(recipe.recipe_shortcut).toBe("tmdb_tv");
+    expect(recipe.headers).toEqual({ "Accept-Language": "es-ES,es", "User-Agent": "Mozilla/5.0" });
+    expect(recipe.extends).toBeUndefined();
+    expect(recipe.autocomplete_steps).toEqual(movieRecipe.autocomplete_steps);
+  });
+
+  test("patches steps by id, including nested ones", () => {
+    const recipe = extendRecipe(movieRecipe, {
+      autocomplete_steps: [
+        { id: "search", url: "https://www.themoviedb.org/search/tv?query=$INPUT" },
+        { id: "title", locator: ".card:nth-child($i) h3" }
+      ]
+    });
+
+    expect(recipe.autocomplete_steps[0]).toEqual({ id: "search", command: "load", url: "https://www.themoviedb.org/search/tv?query=$INPUT" });
+    expect(recipe.autocomplete_steps[1].steps[0].locator).toBe(".card:nth-child($i) h3");
+    expect(recipe.autocomplete_steps[1].steps[0].output).toEqual({ name: "TITLE$i", show: true });
+    expect(recipe.url_steps).toEqual(movieRecipe.url_steps);
+    expect(movieRecipe.autocomplete_steps[0].url).toContain("/search/movie");
+  });
+
+  test("removes, inserts, appends and moves steps", () => {
+    const recipe = extendRecipe(movieRecipe, {
+      autocomplete_steps: [
+        { id: "cover", remove: true },
+        { id: "date", command: "store_text", locator: ".card:nth-child($i) .date", output: { name: "DATE$i" }, after: "title" },
+        { id: "cookies", command: "click", locator: "#accept", before: "search" },
+        { command: "store_url", output: { name: "LAST_URL" } },
+        { id: "search", before: "cookies" }
+      ]
+    });
+
+    expect(recipe.autocomplete_steps.map(step => step.id ?? step.command)).toEqual(["search", "cookies", "results", "store_url"]);
+    expect(recipe.autocomplete_steps[2].steps.map(step => step.id)).toEqual(["title", "date"]);
+    expect(recipe.autocomplete_steps[1].before).toBeUndefined();
+  });
+
+  test("null drops a whole step list", () => {
+    const recipe = extendRecipe(movieRecipe, { url_steps: null });
+    expect(recipe.url_steps).toBeUndefined();
+  });
+
+  test("unknown ids to remove or anchor on are errors", () => {
+    expect(() => extendRecipe(movieRecipe, { autocomplete_steps: [{ id: "nope", remove: true }] })).toThrow(/No step "nope" to remove/);
+    expect(() => extendRecipe(movieRecipe, { autocomplete_steps: [{ command: "store_url", after: "nope" }] })).toThrow(/No step "nope" to insert after/);
+  });
+});
+
+// ============================================================
+// loadRecipeFile
+// ============================================================
+describe("loadRecipeFile", () => {
+
+  test("resolves extends relative to the recipe, then includes", async () => {
+    await writeJson('movies/tmdb.json', movieRecipe);
+    await writeJson('shared/tmdb.json', {
+      macros: { rating: { steps: [{ command: "store_text", locator: ".rating", output: { name: "RATING", show: true } }] } }
+    });
+    const path = await writeJson('tv_shows/tmdb.json', {
+      extends: "../movies/tmdb.json",
+      recipe_shortcut: "tmdb_tv",
+      autocomplete_steps: [{ id: "search", url: "https://www.themoviedb.org/search/tv?query=$INPUT" }],
+      url_steps: [{ command: "include", file: "../shared/tmdb.json", macro: "rating" }]
+    });
+
+    const recipe = await loadRecipeFile(path);
+    expect(recipe.recipe_shortcut).toBe("tmdb_tv");
+    expect(recipe.list_type).toBe("movies");
+    expect(recipe.autocomplete_steps[0].url).toContain("/search/tv");
+    expect(recipe.url_steps.map(step => step.output.name)).toEqual(["TITLE", "RATING"]);
+  });
+
+  test("bases can extend other bases", async () => {
+    await writeJson('chain/a.json', { title: "A", list_type: "movies", autocomplete_steps: [{ id: "one", command: "store_url" }] });
+    await writeJson('chain/b.json', { extends: "a.json", title: "B" });
+    const path = await writeJson('chain/c.json', { extends: "b.json", autocomplete_steps: [{ id: "two", command: "store_url" }] });
+
+    const recipe = await loadRecipeFile(path);
+    expect(recipe.title).toBe("B");
+    expect(recipe.autocomplete_steps.map(step => step.id)).toEqual(["one", "two"]);
+  });
+
+  test("children can include their bases' macros, once per include id", async () => {
+    await writeJson('macros/base.json', {
+      ...movieRecipe,
+      macros: { people: { params: ["ROLE"], steps: [{ id: "names", command: "store_text", locator: ".{{ROLE}}", output: { name: "{{ROLE}}S", show: true } }] } }
+    });
+    const path = await writeJson('macros/child.json', {
+      extends: "base.json",
+      url_steps: [
+        { id: "cast", command: "include", macro: "people", params: { ROLE: "ACTOR" } },
+        { id: "crew", command: "include", macro: "people", params: { ROLE: "DIRECTOR" } }
+      ]
+    });
+
+    const recipe = await loadRecipeFile(path);
+    expect(recipe.url_steps.map(step => step.id)).toEqual(["title", "cast.names", "crew.names"]);
+    expect(recipe.url_steps.map(step => step.output.name)).toEqual(["TITLE", "ACTORS", "DIRECTORS"]);
+    expect(recipe.macros).toBeUndefined();
+
+    const unnamed = await writeJson('macros/unnamed.json', {
+      extends: "base.json",
+      url_steps: [{ command: "include", macro: "people", params: { ROLE: "ACTOR" } }, { command: "include", macro: "people", params: { ROLE: "WRITER" } }]
+    });
+    await expect(loadRecipeFile(unnamed)).rejects.toThrow(/Duplicate step id "names".*its own id/);
+  });
+
+  test("circular extends and duplicate ids are errors", async () => {
+    await writeJson('cycle/a.json', { extends: "b.json" });
+    const cyclic = await writeJson('cycle/b.json', { extends: "a.json" });
+    await expect(loadRecipeFile(cyclic)).rejects.toThrow(/Circular extends/);
+
+    const duplicate = await writeJson('dup.json', {
+      autocomplete_steps: [{ id: "x", command: "store_url" }, { command: "for_each", config: { to: 1 }, steps: [{ id: "x", command: "store_url" }] }]
+    });
+    await expect(loadRecipeFile(duplicate)).rejects.toThrow(/Duplicate step id "x" in autocomplete_steps/);
+  });
+
+  test("recipes without extends load as written", async () => {
+    const path = await writeJson('plain.json', movieRecipe);
+    expect(await loadRecipeFile(path)).toEqual(movieRecipe);
+  });
+});
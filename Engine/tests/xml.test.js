@@ -0,0 +1,94 @@
+import { expect, test, describe } from "bun:test";
+import { parseXml, decodeEntities } from '../src/xml.js';
+
+// ============================================================
+// parseXml — RSS, Atom and sitemap shapes
+// ============================================================
+describe("parseXml", () => {
+
+  const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>The Daily &amp; More</title>
+    <itunes:author>The New York Times</itunes:author>
+    <!-- episodes -->
+    <item>
+      <title><![CDATA[Episode <1>]]></title>
+      <enclosure url="https://cdn.example.com/1.mp3" length="1200" type="audio/mpeg"/>
+      <itunes:duration>24:10</itunes:duration>
+    </item>
+    <item>
+      <title>Episode 2</title>
+    </item>
+  </channel>
+</rss>`;
+
+  test("text-only elements become strings", () => {
+    const tree = parseXml(rss);
+    expect(tree.rss.channel.title).toBe("The Daily & More");
+    expect(tree.rss.channel["itunes:author"]).toBe("The New York Times");
+  });
+
+  test("attributes are @-prefixed", () => {
+    const tree = parseXml(rss);
+    expect(tree.rss["@version"]).toBe("2.0");
+    expect(tree.rss.channel.item[0].enclosure).toEqual({
+      "@url": "https://cdn.example.com/1.mp3",
+      "@length": "1200",
+      "@type": "audio/mpeg"
+    });
+  });
+
+  test("repeated elements become arrays; CDATA is text", () => {
+    const tree = parseXml(rss);
+    expect(tree.rss.channel.item.map(item => item.title)).toEqual(["Episode <1>", "Episode 2"]);
+  });
+
+  test("feed entries are arrays even when single", () => {
+    const tree = parseXml(`<feed><entry><title>Only</title></entry></feed>`);
+    expect(tree.feed.entry).toEqual([{ title: "Only" }]);
+
+    const sitemap = parseXml(`<urlset><url><loc>https://example.com/a</loc></url></urlset>`);
+    expect(sitemap.urlset.url[0].loc).toBe("https://example.com/a");
+  });
+
+  test("url is only a list inside a sitemap", () => {
+    const tree = parseXml(`<rss><channel><image><url>https://example.com/c.jpg</url></image></channel></rss>`);
+    expect(tree.rss.channel.image.url).toBe("https://example.com/c.jpg");
+
+    const index = parseXml(`<sitemapindex><sitemap><loc>https://example.com/s.xml</loc></sitemap></sitemapindex>`);
+    expect(index.sitemapindex.sitemap).toEqual([{ loc: "https://example.com/s.xml" }]);
+  });
+
+  test("text next to attributes goes under #text", () => {
+    const tree = parseXml(`<rating scale="10">8.8</rating>`);
+    expect(tree).toEqual({ rating: { "@scale": "10", "#text": "8.8" } });
+  });
+
+  test("empty elements are empty strings", () => {
+    expect(parseXml(`<a><b/><c></c></a>`)).toEqual({ a: { b: "", c: "" } });
+  });
+
+  test("tolerates a DOCTYPE and unclosed elements", () => {
+    const tree = parseXml(`<!DOCTYPE note [<!ENTITY x "y">]><note><to>Ann<from>Bob</from></note>`);
+    expect(tree.note.to).toEqual({ from: "Bob", "#text": "Ann" });
+  });
+
+  test("returns null without an element", () => {
+    expect(parseXml("")).toBe(null);
+    expect(parseXml("just text")).toBe(null);
+    expect(parseXml(undefined)).toBe(null);
+  });
+});
+
+describe("decodeEntities", () => {
+
+  test("named and numeric references", () => {
+    expect(decodeEntities("Tom &amp; Jerry &lt;3 &quot;hi&quot; &apos;")).toBe(`Tom & Jerry <3 "hi" '`);
+    expect(decodeEntities("caf&#233; &#x2014; &#128512;")).toBe("café — 😀");
+  });
+
+  test("leaves unknown entities alone", () => {
+    expect(decodeEntities("&nbsp; &bogus;")).toBe("&nbsp; &bogus;");
+  });
+});
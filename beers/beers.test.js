@@ -32,7 +32,7 @@ describe(RECIPE, () => {
         expect(results.TITLE).toBe(ENTRY.TITLE);
         expect(results.AUTHOR).toBe(ENTRY.SUBTITLE);
         expect(results.COVER).not.toBeEmpty();
-        expect(results.RATING).not.toBeEmpty();
+        expect(typeof results.RATING).toBe("number");
         expect(results.STYLE).not.toBeEmpty();
         expect(results.ALCOHOL).not.toBeEmpty();
     }, TIMEOUT);